@@ -14,7 +14,9 @@ class NeuralAppIntegrator {
         this.components = {
             languageModel: null,
             dataManager: null,
-            conversationEngine: null
+            conversationEngine: null,
+            trainingManager: null,
+            trainingScheduler: null
         };
         
         // UI elements
@@ -28,7 +30,8 @@ class NeuralAppIntegrator {
             loadingIndicator: null,
             statusDisplay: null,
             micButton: null,         // New: microphone button
-            speakerButton: null      // New: speaker button
+            speakerButton: null,     // New: speaker button
+            trainingProgress: null   // Training progress bar and controls
         };
         
         // App state
@@ -213,6 +216,18 @@ class NeuralAppIntegrator {
         this.components.languageModel = new NeuralLanguageModel();
         await this.components.languageModel.initialize(this.components.dataManager);
         
+        // Train in a Web Worker so the chat stays responsive
+        this.components.trainingManager = new TrainingManager(this.components.languageModel);
+        this.components.languageModel.trainingManager = this.components.trainingManager;
+        
+        // Learn from stored conversations and corrections in the background
+        this.components.trainingScheduler = new TrainingScheduler(
+            this.components.languageModel,
+            this.components.dataManager
+        );
+        this.components.languageModel.trainingScheduler = this.components.trainingScheduler;
+        this.components.trainingScheduler.start();
+        
         // Initialize conversation engine
         this.components.conversationEngine = new NeuralConversationEngine();
         await this.components.conversationEngine.initialize(
@@ -245,6 +260,9 @@ class NeuralAppIntegrator {
         // Create feedback UI elements
         this.createFeedbackUI();
         
+        // Create training progress bar
+        this.createTrainingProgressUI();
+        
         // Update status display
         this.updateStatusDisplay();
     }
@@ -405,6 +423,68 @@ class NeuralAppIntegrator {
         };
     }
 
+    /**
+     * Create the training progress bar with pause and cancel buttons
+     */
+    createTrainingProgressUI() {
+        const progressContainer = document.createElement('div');
+        progressContainer.id = 'training-progress';
+        progressContainer.className = 'hidden border-t px-4 py-2';
+        
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-1';
+        
+        const label = document.createElement('span');
+        label.id = 'training-progress-label';
+        label.className = 'text-sm text-gray-600';
+        label.textContent = 'Training...';
+        
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'flex space-x-2';
+        
+        const pauseButton = document.createElement('button');
+        pauseButton.id = 'training-pause-button';
+        pauseButton.className = 'bg-gray-200 text-gray-700 px-3 py-1 rounded text-xs hover:bg-gray-300';
+        pauseButton.textContent = 'Pause';
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.id = 'training-cancel-button';
+        cancelButton.className = 'bg-red-100 text-red-700 px-3 py-1 rounded text-xs hover:bg-red-200';
+        cancelButton.textContent = 'Cancel';
+        
+        buttonContainer.appendChild(pauseButton);
+        buttonContainer.appendChild(cancelButton);
+        header.appendChild(label);
+        header.appendChild(buttonContainer);
+        
+        const track = document.createElement('div');
+        track.className = 'w-full bg-gray-200 rounded h-2';
+        
+        const bar = document.createElement('div');
+        bar.id = 'training-progress-bar';
+        bar.className = 'bg-primary h-2 rounded transition-all';
+        bar.style.width = '0%';
+        
+        track.appendChild(bar);
+        progressContainer.appendChild(header);
+        progressContainer.appendChild(track);
+        
+        // Show it between the messages and the input area
+        if (this.ui.loadingIndicator) {
+            this.ui.loadingIndicator.insertAdjacentElement('afterend', progressContainer);
+        } else {
+            document.body.appendChild(progressContainer);
+        }
+        
+        this.ui.trainingProgress = {
+            container: progressContainer,
+            label: label,
+            bar: bar,
+            pauseButton: pauseButton,
+            cancelButton: cancelButton
+        };
+    }
+
     /**
      * Initialize speech recognition and synthesis
      */
@@ -547,6 +627,9 @@ class NeuralAppIntegrator {
             this.submitCorrection();
         });
         
+        // Training progress
+        this.setupTrainingListeners();
+        
         // Online/offline events
         window.addEventListener('online', () => {
             this.state.offlineMode = false;
@@ -559,6 +642,79 @@ class NeuralAppIntegrator {
         });
     }
 
+    /**
+     * Connect the training manager to the progress bar
+     */
+    setupTrainingListeners() {
+        const trainingManager = this.components.trainingManager;
+        const progressUI = this.ui.trainingProgress;
+        
+        progressUI.pauseButton.addEventListener('click', () => {
+            if (trainingManager.status === 'paused') {
+                trainingManager.resume();
+            } else {
+                trainingManager.pause();
+            }
+        });
+        
+        progressUI.cancelButton.addEventListener('click', () => {
+            trainingManager.cancel();
+        });
+        
+        trainingManager.on('start', ({ examples }) => {
+            progressUI.container.classList.remove('hidden');
+            progressUI.pauseButton.textContent = 'Pause';
+            progressUI.bar.style.width = '0%';
+            progressUI.label.textContent = `Learning from ${examples} example${examples === 1 ? '' : 's'}...`;
+        });
+        
+        trainingManager.on('progress', (progress) => {
+            this.updateTrainingProgress(progress);
+        });
+        
+        trainingManager.on('pause', () => {
+            progressUI.pauseButton.textContent = 'Resume';
+            progressUI.label.textContent = 'Training paused';
+        });
+        
+        trainingManager.on('resume', () => {
+            progressUI.pauseButton.textContent = 'Pause';
+        });
+        
+        trainingManager.on('complete', () => {
+            progressUI.container.classList.add('hidden');
+            this.updateStatusDisplay();
+        });
+        
+        trainingManager.on('cancel', () => {
+            progressUI.container.classList.add('hidden');
+            this.showErrorMessage("Training cancelled. The previous model is kept.");
+        });
+        
+        trainingManager.on('error', ({ message }) => {
+            progressUI.container.classList.add('hidden');
+            this.showErrorMessage(`Training failed: ${message}`);
+        });
+    }
+
+    /**
+     * Update the training progress bar
+     * @param {Object} progress - Progress reported by the training manager
+     */
+    updateTrainingProgress(progress) {
+        const progressUI = this.ui.trainingProgress;
+        if (!progressUI || this.components.trainingManager.status === 'paused') return;
+        
+        const percent = Math.round(progress.progress * 100);
+        progressUI.bar.style.width = `${percent}%`;
+        
+        let label = `Training: epoch ${progress.epoch}/${progress.epochs}, batch ${progress.batch}/${progress.batches} (${percent}%)`;
+        if (typeof progress.loss === 'number') {
+            label += ` - loss ${progress.loss.toFixed(3)}`;
+        }
+        progressUI.label.textContent = label;
+    }
+
     /**
      * Toggle speech recognition
      */
@@ -711,6 +867,9 @@ class NeuralAppIntegrator {
         // Store last user message
         this.state.lastUserMessage = userInput;
         
+        // Postpone idle-time training while the user is chatting
+        this.components.trainingScheduler.notifyActivity();
+        
         // Show loading indicator
         this.showLoading(true);
         this.state.isProcessing = true;
@@ -0,0 +1,122 @@
+/**
+ * MR Bot Neural Language Teacher - Model Architectures
+ *
+ * This module is the registry of model architectures the language model can build:
+ * - Each architecture names a family ('lstm' or 'transformer') and its size parameters
+ * - Presets range from models that train quickly on the CPU backend to larger ones for WebGL
+ * - The architecture name is stored with the model parameters and in exported bundles
+ *
+ * NeuralLanguageModel builds, trains and decodes every family behind the same interface,
+ * so the rest of the app does not depend on the architecture in use.
+ */
+
+class ModelArchitectures {
+    /**
+     * Model families NeuralLanguageModel can build
+     */
+    static get FAMILIES() {
+        return ['lstm', 'transformer'];
+    }
+
+    /**
+     * Architecture used when none is selected
+     */
+    static get DEFAULT() {
+        return 'transformer-small';
+    }
+
+    /**
+     * Built-in architectures
+     */
+    static get PRESETS() {
+        return {
+            'lstm-small': {
+                family: 'lstm',
+                description: 'LSTM encoder-decoder, fastest to train on the CPU backend',
+                parameters: { embeddingDim: 128, hiddenUnits: 256, maxSequenceLength: 64 }
+            },
+            'lstm-base': {
+                family: 'lstm',
+                description: 'Larger LSTM encoder-decoder',
+                parameters: { embeddingDim: 256, hiddenUnits: 512, maxSequenceLength: 128 }
+            },
+            'transformer-tiny': {
+                family: 'transformer',
+                description: '2-layer transformer for the CPU backend and low-end devices',
+                parameters: { embeddingDim: 64, numHeads: 4, numLayers: 2, ffDim: 256, maxSequenceLength: 64 }
+            },
+            'transformer-small': {
+                family: 'transformer',
+                description: '4-layer transformer, a balance of quality and speed',
+                parameters: { embeddingDim: 128, numHeads: 4, numLayers: 4, ffDim: 512, maxSequenceLength: 128 }
+            },
+            'transformer-base': {
+                family: 'transformer',
+                description: '8-layer transformer, needs the WebGL backend to train in reasonable time',
+                parameters: { embeddingDim: 512, numHeads: 8, numLayers: 8, ffDim: 2048, maxSequenceLength: 128 }
+            }
+        };
+    }
+
+    /**
+     * Register a custom architecture
+     * @param {string} name - Architecture name
+     * @param {Object} definition - { family, description, parameters }
+     * @returns {boolean} - True if the architecture was registered
+     */
+    static register(name, definition) {
+        if (!definition || !ModelArchitectures.FAMILIES.includes(definition.family)) {
+            console.error(`Cannot register architecture ${name}: unknown family ${definition && definition.family}`);
+            return false;
+        }
+
+        ModelArchitectures.custom[name] = {
+            family: definition.family,
+            description: definition.description || '',
+            parameters: { ...definition.parameters }
+        };
+        return true;
+    }
+
+    /**
+     * Get an architecture definition
+     * A bare family name (as recorded by older models) resolves to that family without presets.
+     * @param {string} name - Architecture name
+     * @returns {Object|null} - { name, family, description, parameters }, or null if unknown
+     */
+    static get(name) {
+        const definition = ModelArchitectures.custom[name] || ModelArchitectures.PRESETS[name];
+        if (definition) {
+            return { name, ...definition, parameters: { ...definition.parameters } };
+        }
+
+        if (ModelArchitectures.FAMILIES.includes(name)) {
+            return { name, family: name, description: '', parameters: {} };
+        }
+
+        return null;
+    }
+
+    /**
+     * List the names of all architectures, including bare family names
+     * @returns {Array} - Architecture names
+     */
+    static list() {
+        return [
+            ...Object.keys(ModelArchitectures.PRESETS),
+            ...Object.keys(ModelArchitectures.custom),
+            ...ModelArchitectures.FAMILIES
+        ];
+    }
+}
+
+// Architectures added with register()
+ModelArchitectures.custom = {};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelArchitectures };
+} else {
+    // For browser use
+    window.ModelArchitectures = ModelArchitectures;
+}
@@ -66,9 +66,11 @@ class NeuralConversationEngine {
     /**
      * Process user input and generate a response
      * @param {string} userInput - The user's input text
+     * @param {Object} options - Processing options
+     * @param {Object} options.decoding - Decoding options for this response (see DecodingStrategy)
      * @returns {Object} - Response object with text and metadata
      */
-    async processInput(userInput) {
+    async processInput(userInput, options = {}) {
         if (!this.initialized || !this.languageModel) {
             console.error("Conversation engine not initialized. Call initialize() first.");
             return {
@@ -94,7 +96,11 @@ class NeuralConversationEngine {
             }
             
             // Generate response using the neural model
-            const response = await this.languageModel.generateResponse(userInput);
+            const result = await this.languageModel.respond(userInput, {
+                ...this.getConditions(),
+                decoding: options.decoding
+            });
+            const response = result.text;
             
             // Add response to conversation history
             this.context.history.push({
@@ -109,7 +115,13 @@ class NeuralConversationEngine {
             }
             
             // Add to training data
-            await this.dataManager.addConversation(userInput, response);
+            const conditions = this.getConditions();
+            await this.dataManager.addConversation(userInput, response, {
+                language: conditions.language,
+                difficulty: conditions.level,
+                mode: conditions.mode,
+                responseSource: result.source
+            });
             
             // Return response with metadata
             return {
@@ -118,7 +130,9 @@ class NeuralConversationEngine {
                     status: 'success',
                     mode: this.currentMode,
                     language: this.detectLanguage(response),
-                    learningFocus: this.context.learningFocus
+                    learningFocus: this.context.learningFocus,
+                    source: result.source,
+                    confidence: result.confidence
                 }
             };
         } catch (error) {
@@ -130,6 +144,18 @@ class NeuralConversationEngine {
         }
     }
 
+    /**
+     * Get the conditions the model answers under; they reach the model as control tokens
+     * @returns {Object} - { language: target language, level: learner level, mode: learning mode }
+     */
+    getConditions() {
+        return {
+            language: this.context.targetLanguage,
+            level: this.context.userLevel,
+            mode: this.currentMode
+        };
+    }
+
     /**
      * Process special commands in user input
      * @param {string} userInput - The user's input text
@@ -207,6 +233,10 @@ class NeuralConversationEngine {
         // Reset command
         if (input === '/reset' || input === 'reset') {
             this.context.history = [];
+            
+            // Later replies no longer see the earlier turns as context
+            this.languageModel.conversationContext.history = [];
+            this.dataManager.startSession();
             return {
                 text: "Conversation history has been reset.",
                 metadata: { status: 'command', command: 'reset' }
@@ -287,7 +317,12 @@ class NeuralConversationEngine {
         
         try {
             // Record feedback
-            await this.languageModel.recordFeedback(userInput, botResponse, correctedResponse);
+            const conditions = this.getConditions();
+            await this.languageModel.recordFeedback(userInput, botResponse, correctedResponse, {
+                language: conditions.language,
+                difficulty: conditions.level,
+                mode: conditions.mode
+            });
             
             // Update conversation history
             const lastBotIndex = this.context.history.findIndex(
@@ -0,0 +1,500 @@
+/**
+ * MR Bot Neural Language Teacher - Corpus Formats
+ *
+ * This module reads and writes training corpora in common interchange formats:
+ * - JSONL: one conversation pair ({ input, response }) or text ({ text }) per line
+ * - CSV/TSV: spreadsheet rows with a header; columns are mapped to record fields
+ * - TMX: translation units of a parallel corpus, the source segment as input and
+ *   the target segment as response
+ *
+ * Readers take the file as chunks and yield one record at a time, so large files are
+ * never held in memory whole. Writers yield the file as chunks for the same reason.
+ */
+
+class CorpusFormats {
+    /**
+     * Supported formats
+     */
+    static get FORMATS() {
+        return ['jsonl', 'csv', 'tsv', 'tmx'];
+    }
+
+    /**
+     * Record fields and the column (or JSON key) each is read from by default
+     */
+    static get DEFAULT_COLUMNS() {
+        return {
+            input: 'input',
+            response: 'response',
+            text: 'text',
+            language: 'language',
+            difficulty: 'difficulty',
+            topic: 'topic'
+        };
+    }
+
+    /**
+     * Get the format of a file from its name
+     * @param {string} fileName - The file name
+     * @returns {string|null} - The format, or null if the extension is unknown
+     */
+    static detectFormat(fileName) {
+        const extension = String(fileName || '').split('.').pop().toLowerCase();
+        if (extension === 'ndjson') {
+            return 'jsonl';
+        }
+        return CorpusFormats.FORMATS.includes(extension) ? extension : null;
+    }
+
+    /**
+     * Read a source as text chunks
+     * @param {string|Blob|AsyncIterable|Iterable} source - A string, a File or Blob, a Node stream
+     *                                                     or an iterable of string or byte chunks
+     * @returns {AsyncGenerator<string>} - The text chunks
+     */
+    static async *readChunks(source) {
+        if (typeof source === 'string') {
+            yield source;
+            return;
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const decode = (chunk) => typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        if (source && typeof source.stream === 'function') {
+            // File or Blob: read it piece by piece instead of calling text()
+            const reader = source.stream().getReader();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                yield decode(value);
+            }
+        } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+            for await (const chunk of source) {
+                yield decode(chunk);
+            }
+        } else {
+            throw new Error("Corpus source must be a string, a Blob or an iterable of chunks");
+        }
+
+        const rest = decoder.decode();
+        if (rest) {
+            yield rest;
+        }
+    }
+
+    /**
+     * Read the records of a corpus
+     * @param {string|Blob|AsyncIterable|Iterable} source - The corpus (see readChunks)
+     * @param {Object} options - Read options
+     * @param {string} options.format - 'jsonl', 'csv', 'tsv' or 'tmx'
+     * @param {Object} options.columns - Column (CSV/TSV header or index, JSONL key) of each record field,
+     *                                   for example { input: 'english', response: 'bengali' }
+     * @param {boolean} options.header - Whether the first CSV/TSV row names the columns (default true)
+     * @param {string} options.language - Language of records that do not name one
+     * @param {string} options.difficulty - Difficulty of records that do not name one
+     * @param {string} options.topic - Topic of records that do not name one
+     * @param {string} options.sourceLanguage - TMX language read as input (defaults to the header srclang)
+     * @param {string} options.targetLanguage - TMX language read as response (defaults to the first other language)
+     * @param {boolean} options.texts - Also yield every TMX segment as a training text
+     * @returns {AsyncGenerator<Object>} - Records: { type: 'conversation', input, response, language, difficulty, topic },
+     *                                     { type: 'text', text, language, difficulty, topic } or
+     *                                     { type: 'rejected', line, reason }
+     */
+    static async *readRecords(source, options = {}) {
+        const format = options.format;
+        const chunks = CorpusFormats.readChunks(source);
+
+        if (format === 'jsonl') {
+            for await (const { line, value, error } of CorpusFormats.parseJsonl(chunks)) {
+                yield error ? { type: 'rejected', line, reason: error } : CorpusFormats.toRecord(value, line, options);
+            }
+        } else if (format === 'csv' || format === 'tsv') {
+            let headers = null;
+            for await (const { line, fields } of CorpusFormats.parseDelimited(chunks, format === 'csv' ? ',' : '\t')) {
+                if (!headers && options.header !== false) {
+                    headers = fields.map(field => field.trim());
+                    continue;
+                }
+
+                // Without a header the columns are numbered from 0
+                const row = {};
+                fields.forEach((field, index) => {
+                    row[headers ? headers[index] : String(index)] = field;
+                });
+                yield CorpusFormats.toRecord(row, line, options);
+            }
+        } else if (format === 'tmx') {
+            for await (const unit of CorpusFormats.parseTmx(chunks)) {
+                yield* CorpusFormats.fromTranslationUnit(unit, options);
+            }
+        } else {
+            throw new Error(`Unknown corpus format: ${format}`);
+        }
+    }
+
+    /**
+     * Map a JSONL object or CSV/TSV row to a record
+     * @param {Object} row - Values by column name
+     * @param {number} line - Line the row starts on
+     * @param {Object} options - Read options (see readRecords)
+     * @returns {Object} - The record
+     */
+    static toRecord(row, line, options = {}) {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            return { type: 'rejected', line, reason: 'not an object' };
+        }
+
+        const columns = { ...CorpusFormats.DEFAULT_COLUMNS, ...(options.header === false ? { input: 0, response: 1 } : {}), ...options.columns };
+        const read = (field) => {
+            const value = row[String(columns[field])];
+            return value === undefined || value === null ? '' : String(value).trim();
+        };
+
+        const metadata = {
+            language: read('language') || options.language || undefined,
+            difficulty: read('difficulty') || options.difficulty || undefined,
+            topic: read('topic') || options.topic || undefined
+        };
+
+        if (read('input') && read('response')) {
+            return { type: 'conversation', input: read('input'), response: read('response'), ...metadata };
+        }
+        if (read('text')) {
+            return { type: 'text', text: read('text'), ...metadata };
+        }
+        return { type: 'rejected', line, reason: `no ${columns.input} and ${columns.response} or ${columns.text} value` };
+    }
+
+    /**
+     * Map a TMX translation unit to records
+     * @param {Object} unit - Unit from parseTmx
+     * @param {Object} options - Read options (see readRecords)
+     * @returns {Array} - The records
+     */
+    static fromTranslationUnit(unit, options = {}) {
+        const base = (lang) => lang.toLowerCase().split(/[-_]/)[0];
+        const segments = new Map();
+        for (const variant of unit.variants) {
+            if (variant.text && !segments.has(base(variant.lang))) {
+                segments.set(base(variant.lang), variant.text);
+            }
+        }
+
+        const sourceLanguage = base(options.sourceLanguage || (unit.srclang && unit.srclang !== '*all*' ? unit.srclang : 'en'));
+        const targetLanguage = options.targetLanguage
+            ? base(options.targetLanguage)
+            : [...segments.keys()].find(lang => lang !== sourceLanguage);
+
+        const metadata = {
+            difficulty: unit.props['x-difficulty'] || options.difficulty || undefined,
+            topic: unit.props['x-topic'] || options.topic || undefined
+        };
+
+        const records = [];
+        if (segments.has(sourceLanguage) && targetLanguage && segments.has(targetLanguage)) {
+            records.push({
+                type: 'conversation',
+                input: segments.get(sourceLanguage),
+                response: segments.get(targetLanguage),
+                language: targetLanguage,
+                ...metadata
+            });
+        } else {
+            records.push({ type: 'rejected', line: unit.line, reason: `no ${sourceLanguage} and ${targetLanguage || 'target'} segments` });
+        }
+
+        if (options.texts) {
+            for (const [language, text] of segments) {
+                records.push({ type: 'text', text, language, ...metadata });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Parse JSON Lines
+     * @param {AsyncIterable<string>} chunks - Text chunks
+     * @returns {AsyncGenerator<Object>} - { line, value } or { line, error } for every non-blank line
+     */
+    static async *parseJsonl(chunks) {
+        let buffer = '';
+        let line = 0;
+
+        const parse = (text) => {
+            line++;
+            const trimmed = text.replace(/^\uFEFF/, '').trim();
+            if (!trimmed) return null;
+            try {
+                return { line, value: JSON.parse(trimmed) };
+            } catch (error) {
+                return { line, error: `invalid JSON (${error.message})` };
+            }
+        };
+
+        for await (const chunk of chunks) {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const entry = parse(buffer.slice(0, newline));
+                buffer = buffer.slice(newline + 1);
+                if (entry) yield entry;
+            }
+        }
+
+        const entry = parse(buffer);
+        if (entry) yield entry;
+    }
+
+    /**
+     * Parse delimiter-separated values (RFC 4180 quoting; quoted fields may span lines)
+     * @param {AsyncIterable<string>} chunks - Text chunks
+     * @param {string} delimiter - ',' or '\t'
+     * @returns {AsyncGenerator<Object>} - { line, fields } for every row with a value
+     */
+    static async *parseDelimited(chunks, delimiter) {
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let quoteSeen = false;
+        let line = 1;
+        let rowLine = 1;
+        let first = true;
+
+        const endRow = () => {
+            fields.push(field);
+            const row = { line: rowLine, fields };
+            fields = [];
+            field = '';
+            rowLine = line;
+            // Blank lines and rows of empty cells are skipped
+            return row.fields.every(value => value.trim() === '') ? null : row;
+        };
+
+        for await (const chunk of chunks) {
+            for (const char of chunk) {
+                if (first) {
+                    first = false;
+                    if (char === '\uFEFF') continue;
+                }
+
+                if (quoted) {
+                    if (quoteSeen) {
+                        quoteSeen = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        // The quote closed the field; handle this character as unquoted
+                        quoted = false;
+                    } else if (char === '"') {
+                        quoteSeen = true;
+                        continue;
+                    } else {
+                        if (char === '\n') line++;
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"' && field === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    fields.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    line++;
+                    const row = endRow();
+                    if (row) yield row;
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            const row = endRow();
+            if (row) yield row;
+        }
+    }
+
+    /**
+     * Parse the translation units of a TMX document
+     * @param {AsyncIterable<string>} chunks - Text chunks
+     * @returns {AsyncGenerator<Object>} - { line, srclang, props, variants: [{ lang, text }] } per <tu>
+     */
+    static async *parseTmx(chunks) {
+        let buffer = '';
+        let line = 1;
+        let srclang = null;
+
+        const advance = (count) => {
+            line += (buffer.slice(0, count).match(/\n/g) || []).length;
+            buffer = buffer.slice(count);
+        };
+
+        for await (const chunk of chunks) {
+            buffer += chunk;
+
+            if (srclang === null) {
+                const header = buffer.match(/<header\b[^>]*>/);
+                if (header) {
+                    const attribute = header[0].match(/\bsrclang\s*=\s*["']([^"']*)["']/);
+                    srclang = attribute ? attribute[1] : '';
+                }
+            }
+
+            while (true) {
+                const start = buffer.search(/<tu[\s>]/);
+                if (start === -1) {
+                    // Keep a possible partial tag for the next chunk
+                    const lastTag = buffer.lastIndexOf('<');
+                    advance(lastTag === -1 ? buffer.length : lastTag);
+                    break;
+                }
+
+                const end = buffer.indexOf('</tu>', start);
+                if (end === -1) {
+                    advance(start);
+                    break;
+                }
+
+                advance(start);
+                const unitLine = line;
+                const block = buffer.slice(0, end - start + '</tu>'.length);
+                advance(block.length);
+                yield CorpusFormats.parseTranslationUnit(block, unitLine, srclang);
+            }
+        }
+    }
+
+    /**
+     * Parse a single <tu> element
+     * @param {string} block - The element
+     * @param {number} line - Line the element starts on
+     * @param {string} headerLanguage - srclang of the TMX header
+     * @returns {Object} - { line, srclang, props, variants }
+     */
+    static parseTranslationUnit(block, line, headerLanguage) {
+        const openTag = block.match(/^<tu\b[^>]*>/)[0];
+        const unitLanguage = openTag.match(/\bsrclang\s*=\s*["']([^"']*)["']/);
+
+        const props = {};
+        for (const prop of block.matchAll(/<prop\b[^>]*\btype\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/prop>/g)) {
+            props[prop[1]] = CorpusFormats.unescapeXml(prop[2]).trim();
+        }
+
+        const variants = [];
+        for (const variant of block.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/g)) {
+            // TMX 1.4 uses xml:lang, TMX 1.1 lang
+            const lang = variant[1].match(/\b(?:xml:)?lang\s*=\s*["']([^"']*)["']/);
+            const seg = variant[2].match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/);
+            if (lang && seg) {
+                // Inline markup (<bpt>, <ph>, ...) holds formatting codes, not text
+                const text = seg[1]
+                    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => CorpusFormats.escapeXml(content))
+                    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+                    .replace(/<[^>]+>/g, '');
+                variants.push({ lang: lang[1], text: CorpusFormats.unescapeXml(text).trim() });
+            }
+        }
+
+        return {
+            line,
+            srclang: unitLanguage ? unitLanguage[1] : headerLanguage,
+            props,
+            variants
+        };
+    }
+
+    /**
+     * Write records in a corpus format
+     * @param {Iterable<Object>} records - Records as yielded by readRecords (without rejected ones)
+     * @param {Object} options - Write options
+     * @param {string} options.format - 'jsonl', 'csv', 'tsv' or 'tmx'
+     * @param {string} options.sourceLanguage - TMX language of the inputs (default 'en')
+     * @returns {Generator<string>} - The file as chunks
+     */
+    static *writeRecords(records, options = {}) {
+        const format = options.format;
+        const fields = ['input', 'response', 'text', 'language', 'difficulty', 'topic'];
+
+        if (format === 'jsonl') {
+            for (const record of records) {
+                const entry = {};
+                fields.forEach(field => {
+                    if (record[field] !== undefined) entry[field] = record[field];
+                });
+                yield `${JSON.stringify(entry)}\n`;
+            }
+        } else if (format === 'csv' || format === 'tsv') {
+            const delimiter = format === 'csv' ? ',' : '\t';
+            const quote = (value) => {
+                const text = value === undefined || value === null ? '' : String(value);
+                return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            yield `${fields.join(delimiter)}\r\n`;
+            for (const record of records) {
+                yield `${fields.map(field => quote(record[field])).join(delimiter)}\r\n`;
+            }
+        } else if (format === 'tmx') {
+            const sourceLanguage = options.sourceLanguage || 'en';
+            const escape = CorpusFormats.escapeXml;
+            yield '<?xml version="1.0" encoding="UTF-8"?>\n<tmx version="1.4">\n' +
+                `  <header creationtool="MR Bot" creationtoolversion="1.0" datatype="plaintext" segtype="sentence" ` +
+                `adminlang="en" srclang="${escape(sourceLanguage)}" o-tmf="MR Bot"/>\n  <body>\n`;
+            for (const record of records) {
+                // Texts have no translation, so only conversation pairs become units
+                if (record.type !== 'conversation') continue;
+                const props = ['difficulty', 'topic']
+                    .filter(field => record[field])
+                    .map(field => `      <prop type="x-${field}">${escape(record[field])}</prop>\n`)
+                    .join('');
+                yield `    <tu>\n${props}` +
+                    `      <tuv xml:lang="${escape(sourceLanguage)}"><seg>${escape(record.input)}</seg></tuv>\n` +
+                    `      <tuv xml:lang="${escape(record.language || sourceLanguage)}"><seg>${escape(record.response)}</seg></tuv>\n` +
+                    '    </tu>\n';
+            }
+            yield '  </body>\n</tmx>\n';
+        } else {
+            throw new Error(`Unknown corpus format: ${format}`);
+        }
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {string} text - The text
+     * @returns {string} - Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Resolve XML entities and character references
+     * @param {string} text - XML text
+     * @returns {string} - Plain text
+     */
+    static unescapeXml(text) {
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return entities[entity] !== undefined ? entities[entity] : match;
+        });
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CorpusFormats };
+} else {
+    // For browser use
+    window.CorpusFormats = CorpusFormats;
+}
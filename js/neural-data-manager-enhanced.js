@@ -6,25 +6,51 @@
  * - Managing training data with metadata for curriculum learning
  * - Supporting multiple languages dynamically
  * - Handling model persistence
- * - Importing and exporting data
+ * - Importing and exporting data, upgraded to the current schema (see DataMigrations)
+ *   and replaced or merged into the stored data (see DataMerge)
  */
 
+// Loaded as a script before this one in the browser (see neural-modules.js)
+if (typeof module !== 'undefined' && module.exports) {
+    var { resolveExport } = require('./neural-modules.js');
+}
+
 class NeuralDataManager {
-    constructor() {
+    /**
+     * @param {Object} options - Data manager options
+     * @param {Object} options.storage - Storage adapter instance (see neural-storage.js)
+     * @param {string} options.storageType - Adapter type used when no instance is given ('auto' by default)
+     * @param {string} options.dataDir - Data directory for the filesystem adapter in Node
+     * @param {number} options.maxSnapshots - Model snapshots kept for rollback; the oldest are dropped,
+     *                                        except the newest one not taken by an automatic run
+     */
+    constructor(options = {}) {
         this.initialized = false;
+        this.maxSnapshots = options.maxSnapshots || 5;
+        
+        // Persistent storage adapter, created on initialize() if not provided
+        this.storage = options.storage || null;
+        this.storageOptions = {
+            type: options.storageType || 'auto',
+            dataDir: options.dataDir
+        };
         
         // Storage for training data with enhanced structure
         this.trainingData = {
             conversations: [],
             texts: {},  // Changed from {en: [], bn: []} to dynamic object
-            feedback: []
+            feedback: [],
+            vocabulary: []  // Flashcard entries: word, translation, part of speech and examples
         };
         
         // Storage for model data
         this.modelData = {
             tokenizer: null,
             weights: null,
-            config: null
+            config: null,
+            evaluations: [],  // Evaluation results, oldest first (see ModelEvaluator)
+            checkpoint: null,  // Last completed epoch of an unfinished training run
+            snapshots: []  // Model snapshot summaries, oldest first; each state is its own record
         };
         
         // User profile data with expanded language support
@@ -42,8 +68,24 @@ class NeuralDataManager {
             trainingData: 'mr-bot-training-data',
             modelData: 'mr-bot-model-data',
             userProfile: 'mr-bot-user-profile',
-            conversationHistory: 'mr-bot-conversation-history'
+            conversationHistory: 'mr-bot-conversation-history',
+            schemaVersion: 'mr-bot-schema-version'
         };
+        
+        // Result of the last migration of stored or imported data (see DataMigrations.migrate)
+        this.migrationReport = null;
+        
+        // Conversations and feedback of one chat session share this id, so their turn order can be rebuilt
+        this.sessionId = this.generateRecordId();
+    }
+
+    /**
+     * Start a new chat session; later conversations do not see the earlier turns as context
+     * @returns {string} - The new session id
+     */
+    startSession() {
+        this.sessionId = this.generateRecordId();
+        return this.sessionId;
     }
 
     /**
@@ -73,55 +115,76 @@ class NeuralDataManager {
     }
 
     /**
-     * Load data from storage (localStorage in browser, simulated here)
+     * Create the storage adapter for the current environment
+     * @returns {Object} - The storage adapter
+     */
+    createStorage() {
+        const factory = resolveExport('createStorageAdapter', './neural-storage.js');
+        
+        return factory(this.storageOptions);
+    }
+
+    /**
+     * Load data from the storage adapter
      */
     async loadFromStorage() {
         console.log("Loading data from storage...");
         
         try {
-            // In a browser environment, we would use localStorage or IndexedDB
-            // For our implementation, we'll simulate loading from storage
+            if (!this.storage) {
+                this.storage = this.createStorage();
+            }
             
-            // Check if we have data in localStorage
-            const loadData = (key) => {
-                // In a real implementation, this would be:
-                // const data = localStorage.getItem(key);
-                // return data ? JSON.parse(data) : null;
-                
-                // For simulation, we'll return null to indicate no saved data
-                return null;
-            };
+            await this.storage.open();
+            console.log(`Using ${this.storage.constructor.name} for persistence`);
+            const stores = this.storage.storeNames;
+            const byTimestamp = (a, b) => (a.timestamp || '').localeCompare(b.timestamp || '');
             
-            // Load training data
-            const trainingData = loadData(this.storageKeys.trainingData);
-            if (trainingData) {
-                this.trainingData = trainingData;
-                
-                // Ensure all supported languages have an array
-                this.userProfile.supportedLanguages.forEach(lang => {
-                    if (!this.trainingData.texts[lang]) {
-                        this.trainingData.texts[lang] = [];
-                    }
-                });
-                
-                console.log(`Loaded ${this.trainingData.conversations.length} conversations and texts in ${Object.keys(this.trainingData.texts).length} languages`);
+            // Load training data record by record
+            const conversations = await this.storage.list(stores.conversations);
+            const texts = await this.storage.list(stores.texts);
+            const feedback = await this.storage.list(stores.feedback);
+            const vocabulary = await this.storage.list(stores.vocabulary);
+            
+            this.trainingData.conversations = conversations.sort(byTimestamp);
+            this.trainingData.feedback = feedback.sort(byTimestamp);
+            this.trainingData.vocabulary = vocabulary.sort(byTimestamp);
+            this.trainingData.texts = {};
+            for (const textObj of texts.sort(byTimestamp)) {
+                const language = textObj.language || 'en';
+                if (!this.trainingData.texts[language]) {
+                    this.trainingData.texts[language] = [];
+                }
+                this.trainingData.texts[language].push(textObj);
             }
             
+            // Ensure all supported languages have an array
+            this.userProfile.supportedLanguages.forEach(lang => {
+                if (!this.trainingData.texts[lang]) {
+                    this.trainingData.texts[lang] = [];
+                }
+            });
+            
+            console.log(`Loaded ${this.trainingData.conversations.length} conversations and texts in ${Object.keys(this.trainingData.texts).length} languages`);
+            
             // Load model data
-            const modelData = loadData(this.storageKeys.modelData);
-            if (modelData) {
-                this.modelData = modelData;
-                console.log("Loaded model data");
+            for (const field of Object.keys(this.modelData)) {
+                const value = await this.storage.get(stores.modelData, field);
+                if (value !== undefined) {
+                    this.modelData[field] = value;
+                }
             }
             
             // Load user profile
-            const userProfile = loadData(this.storageKeys.userProfile);
+            const userProfile = await this.storage.get(stores.profile, this.storageKeys.userProfile);
             if (userProfile) {
                 // Merge with default profile to ensure all fields exist
                 this.userProfile = {...this.userProfile, ...userProfile};
                 console.log("Loaded user profile");
             }
             
+            await this.migrateStoredData(await this.storage.get(stores.profile, this.storageKeys.schemaVersion));
+            
             return true;
         } catch (error) {
             console.error("Error loading from storage:", error);
@@ -130,19 +193,103 @@ class NeuralDataManager {
     }
 
     /**
-     * Save data to storage
+     * Upgrade data stored by an earlier version of the app
+     * Stores written before the schema version was recorded hold schema version 2.
+     * @param {number} storedVersion - Schema version recorded in storage (undefined if none)
+     */
+    async migrateStoredData(storedVersion) {
+        const Migrations = resolveExport('DataMigrations', './neural-data-migrations.js');
+        if (storedVersion === Migrations.CURRENT_VERSION) {
+            return;
+        }
+        
+        const hasData = this.trainingData.conversations.length > 0 ||
+            this.trainingData.feedback.length > 0 ||
+            Object.values(this.trainingData.texts).some(texts => texts.length > 0) ||
+            Object.values(this.modelData).some(value => value !== null && !(Array.isArray(value) && value.length === 0));
+        
+        if (hasData) {
+            const { data, report } = Migrations.migrate({
+                schemaVersion: storedVersion || 2,
+                trainingData: this.trainingData,
+                modelData: this.modelData,
+                userProfile: this.userProfile
+            }, { generateId: () => this.generateRecordId() });
+            
+            this.trainingData = data.trainingData;
+            this.modelData = { ...this.modelData, ...data.modelData };
+            this.userProfile = { ...this.userProfile, ...data.userProfile };
+            this.reportMigration(report);
+            
+            await this.saveToStorage(this.storageKeys.trainingData, this.trainingData);
+            await this.saveToStorage(this.storageKeys.modelData, this.modelData);
+            await this.saveToStorage(this.storageKeys.userProfile, this.userProfile);
+        }
+        
+        await this.saveRecord('profile', this.storageKeys.schemaVersion, Migrations.CURRENT_VERSION);
+    }
+
+    /**
+     * Keep and log the result of a migration
+     * @param {Object} report - Report from DataMigrations.migrate()
+     */
+    reportMigration(report) {
+        const Migrations = resolveExport('DataMigrations', './neural-data-migrations.js');
+        this.migrationReport = report;
+        
+        if (report.applied.length > 0) {
+            console.log(`Migrated data from schema version ${report.fromVersion} to ${report.toVersion}`);
+        }
+        for (const rejection of report.rejected) {
+            console.error(`Rejected invalid record ${Migrations.describe(rejection)}`);
+        }
+    }
+
+    /**
+     * Save a whole data section to storage
      * @param {string} key - The storage key
      * @param {Object} data - The data to save
      */
     async saveToStorage(key, data) {
+        if (!this.storage) {
+            return true;
+        }
+        
         console.log(`Saving data to storage: ${key}`);
         
         try {
-            // In a browser environment, we would use localStorage or IndexedDB
-            // For our implementation, we'll simulate saving to storage
+            const stores = this.storage.storeNames;
             
-            // In a real implementation, this would be:
-            // localStorage.setItem(key, JSON.stringify(data));
+            if (key === this.storageKeys.trainingData) {
+                const texts = [];
+                for (const language in data.texts) {
+                    for (const textObj of data.texts[language]) {
+                        texts.push([textObj.id, textObj]);
+                    }
+                }
+                
+                // Replace all training collections together
+                await this.storage.transaction(tx => {
+                    tx.clear(stores.conversations);
+                    tx.clear(stores.texts);
+                    tx.clear(stores.feedback);
+                    tx.clear(stores.vocabulary);
+                    data.conversations.forEach(conv => tx.put(stores.conversations, conv.id, conv));
+                    texts.forEach(([id, textObj]) => tx.put(stores.texts, id, textObj));
+                    data.feedback.forEach(item => tx.put(stores.feedback, item.id, item));
+                    (data.vocabulary || []).forEach(entry => tx.put(stores.vocabulary, entry.id, entry));
+                });
+            } else if (key === this.storageKeys.modelData) {
+                await this.storage.transaction(tx => {
+                    for (const field of Object.keys(data)) {
+                        tx.put(stores.modelData, field, data[field]);
+                    }
+                });
+            } else if (key === this.storageKeys.userProfile) {
+                await this.storage.put(stores.profile, key, data);
+            } else {
+                throw new Error(`Unknown storage key: ${key}`);
+            }
             
             console.log(`Data saved to ${key}`);
             return true;
@@ -152,11 +299,59 @@ class NeuralDataManager {
         }
     }
 
+    /**
+     * Save a single record to storage without rewriting the rest of its collection
+     * @param {string} storeName - The object store name
+     * @param {string} key - The record key
+     * @param {*} record - The record to save
+     */
+    async saveRecord(storeName, key, record) {
+        if (!this.storage) {
+            return true;
+        }
+        
+        try {
+            await this.storage.put(storeName, key, record);
+            return true;
+        } catch (error) {
+            console.error(`Error saving record to storage (${storeName}/${key}):`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Generate a unique id for a stored record
+     * @returns {string} - The record id
+     */
+    generateRecordId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Delete a single record from storage
+     * @param {string} storeName - The object store name
+     * @param {string} key - The record key
+     */
+    async deleteRecord(storeName, key) {
+        if (!this.storage) {
+            return true;
+        }
+        
+        try {
+            await this.storage.delete(storeName, key);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting record from storage (${storeName}/${key}):`, error);
+            return false;
+        }
+    }
+
     /**
      * Add a conversation to the training data with metadata
      * @param {string} userInput - The user's input
      * @param {string} botResponse - The bot's response
-     * @param {Object} metadata - Additional metadata (language, difficulty, etc.)
+     * @param {Object} metadata - Additional metadata (language, difficulty, mode, responseSource, etc.);
+     *                            sessionId defaults to the current chat session, null for none
      */
     async addConversation(userInput, botResponse, metadata = {}) {
         if (!this.initialized) {
@@ -166,17 +361,29 @@ class NeuralDataManager {
         
         try {
             // Add to conversations with metadata
-            this.trainingData.conversations.push({
+            const conversation = {
+                id: this.generateRecordId(),
                 input: userInput,
                 response: botResponse,
                 timestamp: new Date().toISOString(),
                 language: metadata.language || 'en',
                 difficulty: metadata.difficulty || 'beginner',
-                topic: metadata.topic || 'general'
-            });
+                topic: metadata.topic || 'general',
+                sessionId: metadata.sessionId !== undefined ? metadata.sessionId : this.sessionId
+            };
+            if (metadata.mode) {
+                conversation.mode = metadata.mode;
+            }
+            if (metadata.responseSource) {
+                // Which part of the bot answered: 'model', 'retrieval' or 'fallback'
+                conversation.responseSource = metadata.responseSource;
+            }
             
-            // Save to storage
-            await this.saveToStorage(this.storageKeys.trainingData, this.trainingData);
+            // Save only the new record; it is kept in memory once stored
+            if (!await this.saveRecord('conversations', conversation.id, conversation)) {
+                return false;
+            }
+            this.trainingData.conversations.push(conversation);
             
             return true;
         } catch (error) {
@@ -203,21 +410,26 @@ class NeuralDataManager {
         }
         
         try {
-            // Add to texts
-            if (!this.trainingData.texts[language]) {
-                this.trainingData.texts[language] = [];
-            }
-            
-            this.trainingData.texts[language].push({
+            const textObj = {
+                id: this.generateRecordId(),
                 content: text,
+                language: language,
                 timestamp: new Date().toISOString(),
                 difficulty: metadata.difficulty || 'beginner',
                 topic: metadata.topic || 'general',
                 source: metadata.source || 'user'
-            });
+            };
             
-            // Save to storage
-            await this.saveToStorage(this.storageKeys.trainingData, this.trainingData);
+            // Save only the new record; it is kept in memory once stored
+            if (!await this.saveRecord('texts', textObj.id, textObj)) {
+                return false;
+            }
+            
+            // Add to texts
+            if (!this.trainingData.texts[language]) {
+                this.trainingData.texts[language] = [];
+            }
+            this.trainingData.texts[language].push(textObj);
             
             return true;
         } catch (error) {
@@ -241,18 +453,26 @@ class NeuralDataManager {
         
         try {
             // Add to feedback
-            this.trainingData.feedback.push({
+            const feedback = {
+                id: this.generateRecordId(),
                 input: userInput,
                 botResponse: botResponse,
                 correctResponse: correctResponse,
                 timestamp: new Date().toISOString(),
                 language: metadata.language || this.userProfile.targetLanguage,
                 difficulty: metadata.difficulty || this.userProfile.proficiencyLevel,
-                topic: metadata.topic || 'general'
-            });
+                topic: metadata.topic || 'general',
+                sessionId: metadata.sessionId || this.sessionId
+            };
+            if (metadata.mode) {
+                feedback.mode = metadata.mode;
+            }
             
-            // Save to storage
-            await this.saveToStorage(this.storageKeys.trainingData, this.trainingData);
+            // Save only the new record; it is kept in memory once stored
+            if (!await this.saveRecord('feedback', feedback.id, feedback)) {
+                return false;
+            }
+            this.trainingData.feedback.push(feedback);
             
             return true;
         } catch (error) {
@@ -261,6 +481,64 @@ class NeuralDataManager {
         }
     }
 
+    /**
+     * Add a word to the vocabulary store
+     * @param {string} word - The word or phrase (the front of a flashcard)
+     * @param {string} translation - Its translation (the back of a flashcard)
+     * @param {Object} metadata - Additional metadata (language, partOfSpeech, examples, tags, source)
+     */
+    async addVocabulary(word, translation, metadata = {}) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        if (!word || !translation || word.trim().length === 0 || translation.trim().length === 0) {
+            console.error("Invalid word or translation");
+            return false;
+        }
+        
+        try {
+            const entry = {
+                id: this.generateRecordId(),
+                word: word.trim(),
+                translation: translation.trim(),
+                language: metadata.language || this.userProfile.targetLanguage,
+                partOfSpeech: metadata.partOfSpeech || null,
+                examples: metadata.examples || [],
+                tags: metadata.tags || [],
+                timestamp: new Date().toISOString(),
+                source: metadata.source || 'user'
+            };
+            
+            // Save only the new record; it is kept in memory once stored
+            if (!await this.saveRecord('vocabulary', entry.id, entry)) {
+                return false;
+            }
+            this.trainingData.vocabulary.push(entry);
+            
+            return true;
+        } catch (error) {
+            console.error("Error adding vocabulary:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get vocabulary entries
+     * @param {Object} options - Filters
+     * @param {string} options.language - Only entries in this language
+     * @param {string} options.partOfSpeech - Only entries with this part of speech
+     * @param {string} options.tag - Only entries with this tag
+     * @returns {Array} - Matching entries, oldest first
+     */
+    getVocabulary(options = {}) {
+        return this.trainingData.vocabulary.filter(entry =>
+            (!options.language || entry.language === options.language) &&
+            (!options.partOfSpeech || entry.partOfSpeech === options.partOfSpeech) &&
+            (!options.tag || entry.tags.includes(options.tag)));
+    }
+
     /**
      * Get all training data for the model
      * @returns {Array} - Array of text strings for training
@@ -304,7 +582,11 @@ class NeuralDataManager {
 
     /**
      * Get conversation pairs for training with metadata
+     * Conversation and feedback pairs carry the turns that preceded them in their session
+     * as metadata.context ([{ user, bot }], oldest first).
      * @param {Object} options - Options for filtering data
+     * @param {string} options.language - Only pairs in this language
+     * @param {number} options.contextTurns - Maximum preceding turns per pair (default 10)
      * @returns {Array} - Array of [input, output, metadata] triples
      */
     async getConversationPairs(options = {}) {
@@ -315,6 +597,7 @@ class NeuralDataManager {
         
         try {
             const pairs = [];
+            const contexts = this.getConversationContexts(options.contextTurns !== undefined ? options.contextTurns : 10);
             
             // Add conversation pairs with metadata
             for (const conv of this.trainingData.conversations) {
@@ -327,10 +610,17 @@ class NeuralDataManager {
                     conv.input, 
                     conv.response, 
                     {
+                        id: conv.id,
+                        source: 'conversation',
                         language: conv.language || 'en',
                         difficulty: conv.difficulty || 'beginner',
                         topic: conv.topic || 'general',
-                        timestamp: conv.timestamp
+                        mode: conv.mode,
+                        timestamp: conv.timestamp,
+                        context: contexts.get(conv.id) || [],
+                        responseSource: conv.responseSource,
+                        updatedAt: conv.updatedAt,
+                        trained: !!conv.trainedAt
                     }
                 ]);
             }
@@ -346,11 +636,17 @@ class NeuralDataManager {
                     feedback.input, 
                     feedback.correctResponse,
                     {
+                        id: feedback.id,
+                        source: 'feedback',
                         language: feedback.language || 'en',
                         difficulty: feedback.difficulty || 'beginner',
                         topic: feedback.topic || 'general',
+                        mode: feedback.mode,
                         timestamp: feedback.timestamp,
-                        isFeedback: true
+                        context: contexts.get(feedback.id) || [],
+                        isFeedback: true,
+                        updatedAt: feedback.updatedAt,
+                        trained: !!feedback.trainedAt
                     }
                 ]);
             }
@@ -369,6 +665,7 @@ class NeuralDataManager {
                             sentences[i].trim(), 
                             sentences[i + 1].trim(),
                             {
+                                source: 'text',
                                 language: lang,
                                 difficulty: textObj.difficulty || 'beginner',
                                 topic: textObj.topic || 'general',
@@ -387,122 +684,468 @@ class NeuralDataManager {
     }
 
     /**
-     * Get training data for a specific language
-     * @param {string} language - The language code
-     * @returns {Array} - Array of text objects for the specified language
+     * Find the turns that preceded every conversation and correction in its session
+     * Corrected bot replies are replaced by their corrections, as the learner intended them.
+     * @param {number} limit - Maximum preceding turns per record
+     * @returns {Map} - Record id to [{ user, bot }], oldest first
      */
-    async getLanguageData(language) {
-        if (!this.initialized) {
-            console.error("Data manager not initialized. Call initialize() first.");
-            return [];
+    getConversationContexts(limit) {
+        const contexts = new Map();
+        if (limit <= 0) {
+            return contexts;
         }
         
-        try {
-            if (!this.trainingData.texts[language]) {
-                return [];
-            }
+        const corrections = new Map();
+        for (const feedback of this.trainingData.feedback) {
+            corrections.set(`${feedback.sessionId}|${feedback.input}|${feedback.botResponse}`, feedback.correctResponse);
+        }
+        
+        // Conversations are kept in timestamp order, so each session's turns are in order too
+        const sessions = new Map();
+        for (const conv of this.trainingData.conversations) {
+            if (!conv.sessionId) continue;
             
-            return this.trainingData.texts[language];
-        } catch (error) {
-            console.error(`Error getting data for language ${language}:`, error);
-            return [];
+            const turns = sessions.get(conv.sessionId) || [];
+            contexts.set(conv.id, turns.slice(-limit));
+            const correction = corrections.get(`${conv.sessionId}|${conv.input}|${conv.response}`);
+            turns.push({ user: conv.input, bot: correction !== undefined ? correction : conv.response, conv });
+            sessions.set(conv.sessionId, turns);
         }
+        
+        // A correction sees the turns before the reply it corrects
+        for (const feedback of this.trainingData.feedback) {
+            const turns = (sessions.get(feedback.sessionId) || [])
+                .filter(turn => (turn.conv.timestamp || '') <= (feedback.timestamp || ''));
+            let end = turns.length;
+            for (let i = turns.length - 1; i >= 0; i--) {
+                if (turns[i].conv.input === feedback.input && turns[i].conv.response === feedback.botResponse) {
+                    end = i;
+                    break;
+                }
+            }
+            contexts.set(feedback.id, turns.slice(0, end).slice(-limit));
+        }
+        
+        // Only the text of the turns goes into the pair metadata
+        for (const [id, turns] of contexts) {
+            contexts.set(id, turns.map(({ user, bot }) => ({ user, bot })));
+        }
+        
+        return contexts;
     }
 
     /**
-     * Get all supported languages
-     * @returns {Array} - Array of language codes
-     */
-    getSupportedLanguages() {
-        return this.userProfile.supportedLanguages;
-    }
-
-    /**
-     * Add a new supported language
-     * @param {string} languageCode - The language code to add
-     * @returns {boolean} - Success status
+     * Mark conversations and feedback as trained on, so later runs skip them
+     * @param {Array} ids - Record ids from the pair metadata
      */
-    async addSupportedLanguage(languageCode) {
-        if (!languageCode || typeof languageCode !== 'string' || languageCode.length < 2) {
-            console.error("Invalid language code");
+    async markTrained(ids) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
             return false;
         }
         
         try {
-            // Check if language is already supported
-            if (!this.userProfile.supportedLanguages.includes(languageCode)) {
-                this.userProfile.supportedLanguages.push(languageCode);
-                
-                // Initialize empty array for the new language
-                if (!this.trainingData.texts[languageCode]) {
-                    this.trainingData.texts[languageCode] = [];
+            const idSet = new Set(ids);
+            const trainedAt = new Date().toISOString();
+            const updated = [];
+            
+            for (const [storeName, records] of [
+                ['conversations', this.trainingData.conversations],
+                ['feedback', this.trainingData.feedback]
+            ]) {
+                for (const record of records) {
+                    if (idSet.has(record.id)) {
+                        record.trainedAt = trainedAt;
+                        updated.push([storeName, record]);
+                    }
                 }
-                
-                // Save to storage
-                await this.saveToStorage(this.storageKeys.userProfile, this.userProfile);
-                
-                console.log(`Added support for language: ${languageCode}`);
-                return true;
             }
             
-            return false;
+            if (this.storage && updated.length > 0) {
+                const stores = this.storage.storeNames;
+                await this.storage.transaction(tx => {
+                    updated.forEach(([storeName, record]) => tx.put(stores[storeName], record.id, record));
+                });
+            }
+            
+            return true;
         } catch (error) {
-            console.error(`Error adding language ${languageCode}:`, error);
+            console.error("Error marking records as trained:", error);
             return false;
         }
     }
 
     /**
-     * Save tokenizer data
-     * @param {Object} tokenizerData - The tokenizer data to save
+     * Query stored records
+     * @param {Object} options - Filters, sorting and pagination
+     * @param {Array} options.collections - Any of 'conversations', 'feedback', 'texts' and 'vocabulary'
+     *                                      (default conversations, feedback and texts)
+     * @param {boolean} options.feedbackOnly - Only corrections (same as collections: ['feedback'])
+     * @param {string|Date} options.from - Only records from this time on (records without a valid timestamp
+     *                                      are left out of any date range)
+     * @param {string|Date} options.to - Only records up to this time; a date without a time includes the whole day
+     * @param {string|Array} options.language - Only records in these languages
+     * @param {string|Array} options.difficulty - Only records with these difficulties
+     * @param {string|Array} options.topic - Only records with these topics
+     * @param {string|Array} options.source - Only records with these sources: a text's or word's source
+     *                                        ('user', 'corpus', ...) or the part of the bot that gave a reply
+     *                                        ('model', 'retrieval', 'fallback')
+     * @param {string} options.search - Words that must all appear in the record's text (case-insensitive)
+     * @param {string} options.sort - Field to sort by (default 'timestamp')
+     * @param {string} options.order - 'desc' (default) or 'asc'
+     * @param {number} options.page - Page number, from 1
+     * @param {number} options.pageSize - Records per page (default 50)
+     * @returns {Object} - { records, total, page, pageSize, pages }; each record is a copy with its collection
      */
-    async saveTokenizerData(tokenizerData) {
+    queryRecords(options = {}) {
+        const pageSize = Math.max(1, options.pageSize || 50);
+        const empty = { records: [], total: 0, page: 1, pageSize, pages: 0 };
         if (!this.initialized) {
             console.error("Data manager not initialized. Call initialize() first.");
-            return false;
+            return empty;
         }
         
         try {
-            this.modelData.tokenizer = tokenizerData;
-            await this.saveToStorage(this.storageKeys.modelData, this.modelData);
-            return true;
+            const collections = options.feedbackOnly
+                ? ['feedback']
+                : options.collections || ['conversations', 'feedback', 'texts'];
+            const matches = (value, filter) => !filter || [].concat(filter).includes(value);
+            const normalize = (text) => String(text || '').normalize('NFC').toLowerCase();
+            const terms = normalize(options.search).split(/\s+/).filter(Boolean);
+            
+            const from = options.from ? new Date(options.from).getTime() : -Infinity;
+            let to = options.to ? new Date(options.to).getTime() : Infinity;
+            if (typeof options.to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(options.to)) {
+                to += 24 * 60 * 60 * 1000 - 1;
+            }
+            if (isNaN(from) || isNaN(to)) {
+                throw new Error(`Invalid date range: ${options.from} - ${options.to}`);
+            }
+            
+            const results = [];
+            for (const collection of collections) {
+                for (const record of this.getCollectionRecords(collection)) {
+                    // With a date range, records without a valid timestamp are left out
+                    const time = new Date(record.timestamp).getTime();
+                    if (time < from || time > to || (isNaN(time) && (isFinite(from) || isFinite(to))) ||
+                        !matches(record.language, options.language) ||
+                        !matches(record.difficulty, options.difficulty) ||
+                        !matches(record.topic, options.topic) ||
+                        !matches(record.source || record.responseSource, options.source)) {
+                        continue;
+                    }
+                    
+                    if (terms.length > 0) {
+                        const text = normalize(this.getSearchText(collection, record));
+                        if (!terms.every(term => text.includes(term))) continue;
+                    }
+                    
+                    results.push({ collection, ...record });
+                }
+            }
+            
+            const sort = options.sort || 'timestamp';
+            const direction = options.order === 'asc' ? 1 : -1;
+            results.sort((a, b) => {
+                const x = a[sort] === undefined || a[sort] === null ? '' : a[sort];
+                const y = b[sort] === undefined || b[sort] === null ? '' : b[sort];
+                const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+                return order * direction;
+            });
+            
+            const page = Math.max(1, options.page || 1);
+            return {
+                records: results.slice((page - 1) * pageSize, page * pageSize),
+                total: results.length,
+                page,
+                pageSize,
+                pages: Math.ceil(results.length / pageSize)
+            };
         } catch (error) {
-            console.error("Error saving tokenizer data:", error);
-            return false;
+            console.error("Error querying records:", error);
+            return empty;
         }
     }
 
     /**
-     * Get tokenizer data
-     * @returns {Object|null} - The tokenizer data or null if not found
+     * Get a stored record by id
+     * @param {string} id - The record id
+     * @returns {Object|null} - A copy of the record with its collection, or null if not found
      */
-    async getTokenizerData() {
-        if (!this.initialized) {
-            console.error("Data manager not initialized. Call initialize() first.");
-            return null;
-        }
-        
-        return this.modelData.tokenizer;
+    getRecord(id) {
+        const found = this.findRecord(id);
+        return found ? { collection: found.collection, ...found.record } : null;
     }
 
     /**
-     * Save model weights
-     * @param {Object} weights - The model weights to save
+     * Update a stored record, for example to fix a bad example
+     * Changing the text of a conversation or correction marks it as untrained, so it is trained again.
+     * @param {string} id - The record id
+     * @param {Object} changes - Fields to change; the id cannot be changed
+     * @returns {Object|null} - A copy of the updated record, or null if it was not found or the changes are invalid
      */
-    async saveModelWeights(weights) {
+    async updateRecord(id, changes = {}) {
         if (!this.initialized) {
             console.error("Data manager not initialized. Call initialize() first.");
-            return false;
+            return null;
         }
         
         try {
-            this.modelData.weights = weights;
-            await this.saveToStorage(this.storageKeys.modelData, this.modelData);
-            return true;
-        } catch (error) {
-            console.error("Error saving model weights:", error);
-            return false;
-        }
+            const found = this.findRecord(id);
+            if (!found) {
+                console.error(`Record not found: ${id}`);
+                return null;
+            }
+            
+            const { collection, record } = found;
+            const fields = { ...changes };
+            delete fields.id;
+            delete fields.collection;
+            const updated = { ...record, ...fields, updatedAt: new Date().toISOString() };
+            
+            // The fields a record of the collection cannot do without
+            const required = {
+                conversations: ['input', 'response'],
+                feedback: ['input', 'correctResponse'],
+                texts: ['content', 'language'],
+                vocabulary: ['word', 'translation']
+            }[collection];
+            const missing = required.find(field => typeof updated[field] !== 'string' || updated[field].trim().length === 0);
+            if (missing) {
+                console.error(`Invalid update of ${id}: ${missing} must not be empty`);
+                return null;
+            }
+            
+            const trainedFields = ['input', 'response', 'correctResponse'];
+            if (trainedFields.some(field => fields[field] !== undefined && fields[field] !== record[field])) {
+                delete updated.trainedAt;
+            }
+            
+            // Change the record in memory only once it is stored
+            if (!await this.saveRecord(collection, id, updated)) {
+                return null;
+            }
+            
+            if (collection === 'texts') {
+                // A text is kept in the list of its language
+                const list = this.trainingData.texts[record.language];
+                list.splice(list.indexOf(record), 1);
+                if (!this.trainingData.texts[updated.language]) {
+                    this.trainingData.texts[updated.language] = [];
+                }
+                this.trainingData.texts[updated.language].push(updated);
+            } else {
+                const list = this.trainingData[collection];
+                list[list.indexOf(record)] = updated;
+            }
+            
+            return { collection, ...updated };
+        } catch (error) {
+            console.error(`Error updating record ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a stored record by id
+     * @param {string} id - The record id
+     * @returns {boolean} - True if the record was deleted
+     */
+    async removeRecord(id) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        try {
+            const found = this.findRecord(id);
+            if (!found) {
+                console.error(`Record not found: ${id}`);
+                return false;
+            }
+            
+            const { collection, record } = found;
+            if (!await this.deleteRecord(collection, id)) {
+                return false;
+            }
+            
+            const list = collection === 'texts'
+                ? this.trainingData.texts[record.language]
+                : this.trainingData[collection];
+            list.splice(list.indexOf(record), 1);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting record ${id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Find a stored record by id
+     * @param {string} id - The record id
+     * @returns {Object|null} - { collection, record } with the stored record itself, or null if not found
+     */
+    findRecord(id) {
+        for (const collection of ['conversations', 'feedback', 'texts', 'vocabulary']) {
+            const record = this.getCollectionRecords(collection).find(item => item.id === id);
+            if (record) {
+                return { collection, record };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the records of a collection
+     * @param {string} collection - 'conversations', 'feedback', 'texts' or 'vocabulary'
+     * @returns {Array} - The stored records (texts of all languages)
+     */
+    getCollectionRecords(collection) {
+        if (collection === 'texts') {
+            return Object.values(this.trainingData.texts).flat();
+        }
+        if (!['conversations', 'feedback', 'vocabulary'].includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return this.trainingData[collection];
+    }
+
+    /**
+     * Get the text of a record that full-text search looks at
+     * @param {string} collection - The record's collection
+     * @param {Object} record - The record
+     * @returns {string} - The searchable text
+     */
+    getSearchText(collection, record) {
+        switch (collection) {
+            case 'conversations':
+                return `${record.input}\n${record.response}`;
+            case 'feedback':
+                return `${record.input}\n${record.botResponse}\n${record.correctResponse}`;
+            case 'vocabulary':
+                return [record.word, record.translation, ...(record.examples || [])].join('\n');
+            default:
+                return record.content;
+        }
+    }
+
+    /**
+     * Get training data for a specific language
+     * @param {string} language - The language code
+     * @returns {Array} - Array of text objects for the specified language
+     */
+    async getLanguageData(language) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return [];
+        }
+        
+        try {
+            if (!this.trainingData.texts[language]) {
+                return [];
+            }
+            
+            return this.trainingData.texts[language];
+        } catch (error) {
+            console.error(`Error getting data for language ${language}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Get all supported languages
+     * @returns {Array} - Array of language codes
+     */
+    getSupportedLanguages() {
+        return this.userProfile.supportedLanguages;
+    }
+
+    /**
+     * Add a new supported language
+     * @param {string} languageCode - The language code to add
+     * @returns {boolean} - Success status
+     */
+    async addSupportedLanguage(languageCode) {
+        if (!languageCode || typeof languageCode !== 'string' || languageCode.length < 2) {
+            console.error("Invalid language code");
+            return false;
+        }
+        
+        try {
+            // Check if language is already supported
+            if (!this.userProfile.supportedLanguages.includes(languageCode)) {
+                this.userProfile.supportedLanguages.push(languageCode);
+                
+                // Initialize empty array for the new language
+                if (!this.trainingData.texts[languageCode]) {
+                    this.trainingData.texts[languageCode] = [];
+                }
+                
+                // Save to storage
+                await this.saveToStorage(this.storageKeys.userProfile, this.userProfile);
+                
+                console.log(`Added support for language: ${languageCode}`);
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            console.error(`Error adding language ${languageCode}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Save tokenizer data
+     * @param {Object} tokenizerData - The tokenizer data to save
+     */
+    async saveTokenizerData(tokenizerData) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        try {
+            this.modelData.tokenizer = tokenizerData;
+            await this.saveRecord('modelData', 'tokenizer', tokenizerData);
+            return true;
+        } catch (error) {
+            console.error("Error saving tokenizer data:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get tokenizer data
+     * @returns {Object|null} - The tokenizer data or null if not found
+     */
+    async getTokenizerData() {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        return this.modelData.tokenizer;
+    }
+
+    /**
+     * Save model weights
+     * @param {Object} weights - The model weights to save
+     */
+    async saveModelWeights(weights) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        try {
+            this.modelData.weights = weights;
+            await this.saveRecord('modelData', 'weights', weights);
+            return true;
+        } catch (error) {
+            console.error("Error saving model weights:", error);
+            return false;
+        }
     }
 
     /**
@@ -530,7 +1173,7 @@ class NeuralDataManager {
         
         try {
             this.modelData.config = config;
-            await this.saveToStorage(this.storageKeys.modelData, this.modelData);
+            await this.saveRecord('modelData', 'config', config);
             return true;
         } catch (error) {
             console.error("Error saving model config:", error);
@@ -551,6 +1194,224 @@ class NeuralDataManager {
         return this.modelData.config;
     }
 
+    /**
+     * Add an evaluation result to the history
+     * @param {Object} result - Result from ModelEvaluator.evaluate()
+     * @param {number} limit - Results kept in total; the oldest are dropped
+     */
+    async addEvaluation(result, limit = 100) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        try {
+            const evaluations = [...(this.modelData.evaluations || []), result].slice(-limit);
+            this.modelData.evaluations = evaluations;
+            await this.saveRecord('modelData', 'evaluations', evaluations);
+            
+            // An evaluation of the newest snapshot's model state becomes part of its summary
+            const snapshots = this.modelData.snapshots || [];
+            const latest = snapshots[snapshots.length - 1];
+            if (latest && latest.modelId === result.modelId &&
+                latest.trainingMetrics.totalTrainingSessions === result.trainingSessions) {
+                latest.evaluation = { timestamp: result.timestamp, testPairs: result.testPairs, overall: result.overall };
+                await this.saveRecord('modelData', 'snapshots', snapshots);
+            }
+            return true;
+        } catch (error) {
+            console.error("Error saving evaluation:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the evaluation history
+     * @param {string} modelId - Only return results for this model (optional)
+     * @returns {Array} - Evaluation results, oldest first
+     */
+    async getEvaluationHistory(modelId = null) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return [];
+        }
+        
+        const evaluations = this.modelData.evaluations || [];
+        return modelId ? evaluations.filter(result => result.modelId === modelId) : evaluations;
+    }
+
+    /**
+     * Save the checkpoint of the current training run, replacing the previous one
+     * @param {Object} checkpoint - Run progress, training pairs and model state (see NeuralLanguageModel.saveCheckpoint)
+     */
+    async saveCheckpoint(checkpoint) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        try {
+            this.modelData.checkpoint = checkpoint;
+            await this.saveRecord('modelData', 'checkpoint', checkpoint);
+            return true;
+        } catch (error) {
+            console.error("Error saving training checkpoint:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the checkpoint of an unfinished training run
+     * @returns {Object|null} - The checkpoint or null if no run was interrupted
+     */
+    async getCheckpoint() {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        return this.modelData.checkpoint || null;
+    }
+
+    /**
+     * Remove the training checkpoint once its run has finished
+     */
+    async clearCheckpoint() {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return false;
+        }
+        
+        this.modelData.checkpoint = null;
+        return this.deleteRecord('modelData', 'checkpoint');
+    }
+
+    /**
+     * Keep a model snapshot for rollback
+     * Only the summary stays in memory; the model state is stored under its own key and the
+     * oldest snapshots are dropped beyond maxSnapshots. The newest snapshot not marked automatic
+     * is never dropped, so background training cannot evict every model the learner chose to keep.
+     * @param {Object} snapshot - Summary fields plus the model state to keep (see NeuralLanguageModel.createSnapshot)
+     * @returns {Object|null} - The stored summary with its id, or null on error
+     */
+    async addSnapshot(snapshot) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        try {
+            const { state, ...summary } = snapshot;
+            summary.id = summary.id || `snapshot-${this.generateRecordId()}`;
+            summary.createdAt = summary.createdAt || new Date().toISOString();
+            
+            await this.saveRecord('modelData', this.getSnapshotKey(summary.id), state);
+            
+            const all = [...(this.modelData.snapshots || []), summary];
+            const kept = all.filter(entry => !entry.automatic).pop();
+            const dropped = all
+                .filter(entry => entry !== kept)
+                .slice(0, Math.max(0, all.length - this.maxSnapshots));
+            const snapshots = all.filter(entry => !dropped.includes(entry));
+            this.modelData.snapshots = snapshots;
+            await this.saveRecord('modelData', 'snapshots', snapshots);
+            
+            for (const old of dropped) {
+                await this.deleteRecord('modelData', this.getSnapshotKey(old.id));
+            }
+            
+            return summary;
+        } catch (error) {
+            console.error("Error saving model snapshot:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the summaries of the kept model snapshots
+     * @returns {Array} - Snapshot summaries, oldest first
+     */
+    async getSnapshots() {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return [];
+        }
+        
+        return this.modelData.snapshots || [];
+    }
+
+    /**
+     * Get a model snapshot together with its model state
+     * @param {string} id - The snapshot id
+     * @returns {Object|null} - The summary with a state field, or null if it is not stored
+     */
+    async getSnapshot(id) {
+        const summary = (await this.getSnapshots()).find(snapshot => snapshot.id === id);
+        if (!summary || !this.storage) {
+            return null;
+        }
+        
+        try {
+            const state = await this.storage.get(this.storage.storeNames.modelData, this.getSnapshotKey(id));
+            return state ? { ...summary, state } : null;
+        } catch (error) {
+            console.error(`Error loading model snapshot ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a model snapshot
+     * @param {string} id - The snapshot id
+     * @returns {boolean} - True if the snapshot existed and was deleted
+     */
+    async deleteSnapshot(id) {
+        const snapshots = await this.getSnapshots();
+        if (!snapshots.some(snapshot => snapshot.id === id)) {
+            return false;
+        }
+        
+        this.modelData.snapshots = snapshots.filter(snapshot => snapshot.id !== id);
+        await this.saveRecord('modelData', 'snapshots', this.modelData.snapshots);
+        return this.deleteRecord('modelData', this.getSnapshotKey(id));
+    }
+
+    /**
+     * Get the storage key of a snapshot's model state
+     * @param {string} id - The snapshot id
+     * @returns {string} - The key in the model data store
+     */
+    getSnapshotKey(id) {
+        return `snapshot:${id}`;
+    }
+
+    /**
+     * Summarize the stored training data, so snapshots can tell which data a model had seen
+     * @returns {Object} - Record counts per collection and a hash of all record ids
+     */
+    getDataFingerprint() {
+        const texts = Object.values(this.trainingData.texts).flat();
+        const ids = [
+            ...this.trainingData.conversations,
+            ...this.trainingData.feedback,
+            ...texts
+        ].map(record => record.id).sort();
+        
+        // FNV-1a over the sorted ids
+        let hash = 0x811c9dc5;
+        for (const character of ids.join(',')) {
+            hash ^= character.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return {
+            conversations: this.trainingData.conversations.length,
+            feedback: this.trainingData.feedback.length,
+            texts: texts.length,
+            hash: (hash >>> 0).toString(16).padStart(8, '0')
+        };
+    }
+
     /**
      * Update user profile
      * @param {Object} profileData - The profile data to update
@@ -590,12 +1451,14 @@ class NeuralDataManager {
         }
         
         try {
+            const Migrations = resolveExport('DataMigrations', './neural-data-migrations.js');
             const exportData = {
                 trainingData: this.trainingData,
                 modelData: this.modelData,
                 userProfile: this.userProfile,
                 exportDate: new Date().toISOString(),
-                version: '2.0.0'  // Updated version
+                version: `${Migrations.CURRENT_VERSION}.0.0`,
+                schemaVersion: Migrations.CURRENT_VERSION
             };
             
             return exportData;
@@ -605,51 +1468,318 @@ class NeuralDataManager {
         }
     }
 
+    /**
+     * Plan an import without changing anything (a dry run)
+     * @param {Object} importData - The data to import
+     * @param {Object} options - Import options (see importAllData)
+     * @returns {Object|null} - What would be added, skipped, excluded, removed or conflicts (see DataMerge.plan),
+     *                          plus the records rejected by validation; null if the data cannot be imported
+     */
+    async previewImport(importData, options = {}) {
+        try {
+            return this.planImport(importData, options).summary;
+        } catch (error) {
+            console.error("Error planning import:", error);
+            return null;
+        }
+    }
+
     /**
      * Import data from a previous export
+     * Exports of any earlier schema version are upgraded first; invalid records are skipped
+     * and listed in migrationReport.rejected. Call previewImport() with the same options to
+     * see the outcome before committing it.
      * @param {Object} importData - The data to import
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'replace' (default) the stored sections, 'merge' the imported records
+     *                                into them, or 'selective' to merge only some sections and languages
+     * @param {Array} options.sections - Sections for selective mode: conversations, feedback, texts, vocabulary,
+     *                                  modelData, userProfile
+     * @param {Array} options.languages - Languages of the training records to bring in with selective mode
+     * @param {string} options.conflicts - 'keep' the stored version of conflicting data (default) or 'import' it
      */
-    async importAllData(importData) {
+    async importAllData(importData, options = {}) {
+        const previous = {
+            trainingData: this.trainingData,
+            modelData: this.modelData,
+            userProfile: this.userProfile
+        };
+        
         try {
-            if (!importData || !importData.version) {
-                throw new Error("Invalid import data");
+            const { summary, result, report } = this.planImport(importData, options);
+            this.reportMigration(report);
+            
+            this.trainingData = result.trainingData;
+            this.modelData = result.modelData;
+            this.userProfile = result.userProfile;
+            
+            // Ensure all supported languages have an array
+            this.userProfile.supportedLanguages.forEach(lang => {
+                if (!this.trainingData.texts[lang]) {
+                    this.trainingData.texts[lang] = [];
+                }
+            });
+            
+            // Save the sections the import touched
+            const sections = summary.sections;
+            const saves = [];
+            if (['conversations', 'feedback', 'texts', 'vocabulary'].some(section => sections.includes(section))) {
+                saves.push(['trainingData', this.storageKeys.trainingData]);
+            }
+            if (sections.includes('modelData')) {
+                saves.push(['modelData', this.storageKeys.modelData]);
+            }
+            if (sections.includes('userProfile')) {
+                saves.push(['userProfile', this.storageKeys.userProfile]);
             }
             
-            // Import training data
-            if (importData.trainingData) {
-                this.trainingData = importData.trainingData;
+            for (let i = 0; i < saves.length; i++) {
+                const [field, key] = saves[i];
+                if (!await this.saveToStorage(key, this[field])) {
+                    // Put back the sections saved so far, so memory and storage keep the data from before the import
+                    for (const [savedField, savedKey] of saves.slice(0, i)) {
+                        await this.saveToStorage(savedKey, previous[savedField]);
+                    }
+                    throw new Error(`Could not save the imported ${field}`);
+                }
+            }
+            
+            this.initialized = true;
+            const count = (counts) => counts.conversations + counts.feedback + counts.texts + counts.vocabulary;
+            console.log(`Data imported successfully (${summary.mode}): ${count(summary.added)} records added, ` +
+                `${count(summary.skipped)} duplicates skipped, ${summary.conflicts.length} conflicts`);
+            
+            return true;
+        } catch (error) {
+            console.error("Error importing data:", error);
+            this.trainingData = previous.trainingData;
+            this.modelData = previous.modelData;
+            this.userProfile = previous.userProfile;
+            return false;
+        }
+    }
+
+    /**
+     * Upgrade import data and plan how it combines with the stored data
+     * @param {Object} importData - The data to import
+     * @param {Object} options - Import options (see importAllData)
+     * @returns {Object} - { summary, result, report }
+     */
+    planImport(importData, options = {}) {
+        if (!importData || (importData.version === undefined && importData.schemaVersion === undefined)) {
+            throw new Error("Invalid import data: no schema version");
+        }
+        
+        const generateId = () => this.generateRecordId();
+        const Migrations = resolveExport('DataMigrations', './neural-data-migrations.js');
+        const { data, report } = Migrations.migrate(importData, { generateId });
+        
+        // Sections missing from the file are left alone, whatever the mode
+        const available = [
+            ...(importData.trainingData ? ['conversations', 'feedback', 'texts', 'vocabulary'] : []),
+            ...(importData.modelData ? ['modelData'] : []),
+            ...(importData.userProfile ? ['userProfile'] : [])
+        ];
+        
+        const { summary, result } = resolveExport('DataMerge', './neural-data-merge.js').plan(
+            { trainingData: this.trainingData, modelData: this.modelData, userProfile: this.userProfile },
+            data,
+            { ...options, available, generateId }
+        );
+        summary.rejected = report.rejected;
+        
+        return { summary, result, report };
+    }
+
+    /**
+     * Import a corpus file record by record
+     * Conversation pairs are added with addConversation() and texts with addTrainingText(),
+     * so the file is streamed and never loaded whole.
+     * @param {string|Blob|AsyncIterable} source - The corpus: a string, a File or Blob, or text or byte chunks
+     * @param {Object} options - Read options (see CorpusFormats.readRecords); format is detected from
+     *                           options.fileName when it is not given
+     * @param {Function} options.onProgress - Called with the running counts every 500 records
+     * @returns {Object|null} - { format, conversations, texts, rejected: [{ line, reason }] }, or null on error
+     */
+    async importCorpus(source, options = {}) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        const corpusFormats = resolveExport('CorpusFormats', './neural-corpus-formats.js');
+        const format = options.format || corpusFormats.detectFormat(options.fileName || (source && source.name));
+        const result = { format, conversations: 0, texts: 0, rejected: [] };
+        
+        try {
+            let count = 0;
+            for await (const record of corpusFormats.readRecords(source, { ...options, format })) {
+                const language = record.language || options.language || 'en';
+                // Corpus rows are not turns of the current chat, so they get no session
+                const metadata = { language, difficulty: record.difficulty, topic: record.topic, sessionId: null };
                 
-                // Ensure all supported languages have an array
-                this.userProfile.supportedLanguages.forEach(lang => {
-                    if (!this.trainingData.texts[lang]) {
-                        this.trainingData.texts[lang] = [];
+                if (record.type === 'conversation') {
+                    if (await this.addConversation(record.input, record.response, metadata)) {
+                        result.conversations++;
                     }
-                });
+                } else if (record.type === 'text') {
+                    if (await this.addTrainingText(record.text, language, { ...metadata, source: options.source || 'corpus' })) {
+                        result.texts++;
+                    }
+                } else {
+                    result.rejected.push({ line: record.line, reason: record.reason });
+                }
+                
+                if (record.type !== 'rejected' && !this.userProfile.supportedLanguages.includes(language)) {
+                    await this.addSupportedLanguage(language);
+                }
+                
+                count++;
+                if (options.onProgress && count % 500 === 0) {
+                    options.onProgress({ ...result, rejected: result.rejected.length });
+                }
             }
             
-            // Import model data
-            if (importData.modelData) {
-                this.modelData = importData.modelData;
+            console.log(`Corpus imported (${format}): ${result.conversations} conversations, ${result.texts} texts, ` +
+                `${result.rejected.length} rejected`);
+            result.rejected.slice(0, 10).forEach(rejection => {
+                console.log(`Rejected line ${rejection.line}: ${rejection.reason}`);
+            });
+            
+            return result;
+        } catch (error) {
+            console.error("Error importing corpus:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Export the training data as a corpus file
+     * Conversations and corrections (input with the corrected response) are exported as pairs,
+     * texts as texts; TMX keeps only the pairs.
+     * @param {string} format - 'jsonl', 'csv', 'tsv' or 'tmx'
+     * @param {Object} options - Export options
+     * @param {Array} options.collections - Any of 'conversations', 'feedback' and 'texts' (default all)
+     * @param {Array} options.languages - Only export records in these languages
+     * @param {string} options.sourceLanguage - TMX language of the inputs (default 'en')
+     * @returns {Generator<string>|null} - The file as string chunks, written as they are read
+     *                                     (for a Blob or a stream), or null on error
+     */
+    exportCorpus(format, options = {}) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        try {
+            const corpusFormats = resolveExport('CorpusFormats', './neural-corpus-formats.js');
+            if (!corpusFormats.FORMATS.includes(format)) {
+                throw new Error(`Unknown corpus format: ${format}`);
             }
             
-            // Import user profile
-            if (importData.userProfile) {
-                // Merge with default profile to ensure all fields exist
-                this.userProfile = {...this.userProfile, ...importData.userProfile};
+            const collections = options.collections || ['conversations', 'feedback', 'texts'];
+            const included = (record) => !options.languages || options.languages.includes(record.language);
+            const metadata = (record) => ({ language: record.language, difficulty: record.difficulty, topic: record.topic });
+            
+            const records = [];
+            if (collections.includes('conversations')) {
+                this.trainingData.conversations.filter(included).forEach(conv => {
+                    records.push({ type: 'conversation', input: conv.input, response: conv.response, ...metadata(conv) });
+                });
+            }
+            if (collections.includes('feedback')) {
+                this.trainingData.feedback.filter(included).forEach(feedback => {
+                    records.push({ type: 'conversation', input: feedback.input, response: feedback.correctResponse, ...metadata(feedback) });
+                });
+            }
+            if (collections.includes('texts')) {
+                Object.values(this.trainingData.texts).flat().filter(included).forEach(textObj => {
+                    records.push({ type: 'text', text: textObj.content, ...metadata(textObj) });
+                });
             }
             
-            // Save all to storage
-            await this.saveToStorage(this.storageKeys.trainingData, this.trainingData);
-            await this.saveToStorage(this.storageKeys.modelData, this.modelData);
-            await this.saveToStorage(this.storageKeys.userProfile, this.userProfile);
+            return corpusFormats.writeRecords(records, { ...options, format });
+        } catch (error) {
+            console.error("Error exporting corpus:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Import a flashcard deck into the vocabulary store
+     * Cards already stored (same language, word and translation) are skipped.
+     * @param {string|Blob|AsyncIterable} source - The deck: a string, a File or Blob, or text or byte chunks
+     * @param {Object} options - Read options (see VocabularyDecks.readEntries); format is detected from
+     *                           options.fileName when it is not given
+     * @returns {Object|null} - { format, added, skipped, rejected: [{ line, reason }] }, or null on error
+     */
+    async importVocabulary(source, options = {}) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        const vocabularyDecks = resolveExport('VocabularyDecks', './neural-vocabulary-decks.js');
+        const format = options.format || vocabularyDecks.detectFormat(options.fileName || (source && source.name));
+        const result = { format, added: 0, skipped: 0, rejected: [] };
+        
+        const getKey = (entry) => [entry.language, entry.word, entry.translation]
+            .map(value => String(value).normalize('NFC').toLowerCase())
+            .join('|');
+        const known = new Set(this.trainingData.vocabulary.map(getKey));
+        
+        try {
+            for await (const entry of vocabularyDecks.readEntries(source, { ...options, format })) {
+                if (entry.rejected) {
+                    result.rejected.push({ line: entry.line, reason: entry.reason });
+                    continue;
+                }
+                
+                const language = entry.language || this.userProfile.targetLanguage;
+                const key = getKey({ ...entry, language });
+                if (known.has(key)) {
+                    result.skipped++;
+                    continue;
+                }
+                
+                if (await this.addVocabulary(entry.word, entry.translation, { ...entry, language, source: format })) {
+                    known.add(key);
+                    result.added++;
+                }
+            }
             
-            this.initialized = true;
-            console.log("Data imported successfully");
+            console.log(`Vocabulary imported (${format}): ${result.added} added, ${result.skipped} already stored, ` +
+                `${result.rejected.length} rejected`);
             
-            return true;
+            return result;
         } catch (error) {
-            console.error("Error importing data:", error);
-            return false;
+            console.error("Error importing vocabulary:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Export the vocabulary store as a flashcard deck
+     * @param {string} format - 'anki' (Anki's plain text notes) or 'csv'
+     * @param {Object} options - Filters (see getVocabulary)
+     * @returns {Generator<string>|null} - The file as string chunks, written as they are read, or null on error
+     */
+    exportVocabulary(format, options = {}) {
+        if (!this.initialized) {
+            console.error("Data manager not initialized. Call initialize() first.");
+            return null;
+        }
+        
+        try {
+            const vocabularyDecks = resolveExport('VocabularyDecks', './neural-vocabulary-decks.js');
+            if (!vocabularyDecks.FORMATS.includes(format)) {
+                throw new Error(`Unknown deck format: ${format}`);
+            }
+            
+            return vocabularyDecks.writeEntries(this.getVocabulary(options), { format });
+        } catch (error) {
+            console.error("Error exporting vocabulary:", error);
+            return null;
         }
     }
 
@@ -662,7 +1792,8 @@ class NeuralDataManager {
             this.trainingData = {
                 conversations: [],
                 texts: {},
-                feedback: []
+                feedback: [],
+                vocabulary: []
             };
             
             // Initialize empty arrays for all supported languages
@@ -674,7 +1805,10 @@ class NeuralDataManager {
             this.modelData = {
                 tokenizer: null,
                 weights: null,
-                config: null
+                config: null,
+                evaluations: [],
+                checkpoint: null,
+                snapshots: []
             };
             
             // Reset user profile but keep supported languages
@@ -689,11 +1823,15 @@ class NeuralDataManager {
             };
             
             // Clear storage
-            // In a real implementation, this would be:
-            // localStorage.removeItem(this.storageKeys.trainingData);
-            // localStorage.removeItem(this.storageKeys.modelData);
-            // localStorage.removeItem(this.storageKeys.userProfile);
-            // localStorage.removeItem(this.storageKeys.conversationHistory);
+            if (this.storage) {
+                const Migrations = resolveExport('DataMigrations', './neural-data-migrations.js');
+                await this.storage.transaction(tx => {
+                    for (const storeName of Object.values(this.storage.storeNames)) {
+                        tx.clear(storeName);
+                    }
+                    tx.put(this.storage.storeNames.profile, this.storageKeys.schemaVersion, Migrations.CURRENT_VERSION);
+                });
+            }
             
             console.log("All data cleared");
             return true;
@@ -0,0 +1,360 @@
+/**
+ * MR Bot Neural Language Teacher - Data Merge
+ *
+ * This module plans how imported data is combined with the data already stored:
+ * - replace: imported sections replace the stored ones, as imports always did
+ * - merge: imported records are appended; duplicates (same content hash and timestamp) are skipped
+ * - selective: a merge limited to chosen sections and languages
+ *
+ * Planning does not change anything. The plan's summary lists what would be added, skipped
+ * or conflicts, so it can be shown as a dry run before the data manager commits the result.
+ */
+
+class DataMerge {
+    /**
+     * Import modes
+     */
+    static get MODES() {
+        return ['replace', 'merge', 'selective'];
+    }
+
+    /**
+     * Sections that can be chosen in selective mode
+     */
+    static get SECTIONS() {
+        return ['conversations', 'feedback', 'texts', 'vocabulary', 'modelData', 'userProfile'];
+    }
+
+    /**
+     * Plan an import
+     * @param {Object} local - Stored data { trainingData, modelData, userProfile }
+     * @param {Object} incoming - Imported data in the current schema
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'replace' (default), 'merge' or 'selective'
+     * @param {Array} options.sections - Sections to import in selective mode (see SECTIONS)
+     * @param {Array} options.languages - Languages of training records to import in selective mode
+     * @param {Array} options.available - Sections the imported file contains (defaults to all)
+     * @param {string} options.conflicts - 'keep' the stored version (default) or 'import' the incoming one
+     * @param {Function} options.generateId - Creates ids for imported records whose id is taken
+     * @returns {Object} - { summary, result }; result is the data to store
+     */
+    static plan(local, incoming, options = {}) {
+        const mode = options.mode || 'replace';
+        if (!DataMerge.MODES.includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        const chosen = mode === 'selective' && options.sections ? options.sections : DataMerge.SECTIONS;
+        const unknown = chosen.filter(section => !DataMerge.SECTIONS.includes(section));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown import sections: ${unknown.join(', ')}`);
+        }
+        const sections = chosen.filter(section => !options.available || options.available.includes(section));
+
+        const context = {
+            mode: mode,
+            sections: sections,
+            languages: mode === 'selective' && options.languages ? options.languages : null,
+            importConflicts: options.conflicts === 'import',
+            generateId: options.generateId || (() => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`)
+        };
+
+        const summary = {
+            mode: mode,
+            sections: sections,
+            languages: context.languages,
+            added: { conversations: 0, feedback: 0, texts: 0, vocabulary: 0 },
+            skipped: { conversations: 0, feedback: 0, texts: 0, vocabulary: 0 },
+            excluded: { conversations: 0, feedback: 0, texts: 0, vocabulary: 0 },
+            removed: { conversations: 0, feedback: 0, texts: 0, vocabulary: 0 },
+            conflicts: [],
+            modelData: 'keep',
+            userProfile: 'keep'
+        };
+
+        // Records keep their trained marks only if the model they were trained into comes with them
+        const modelData = DataMerge.planModelData(local.modelData, incoming.modelData, context, summary);
+        context.keepTrainedAt = summary.modelData !== 'keep';
+
+        const result = {
+            trainingData: DataMerge.planTrainingData(local.trainingData, incoming.trainingData, context, summary),
+            modelData: modelData,
+            userProfile: DataMerge.planUserProfile(local.userProfile, incoming.userProfile, context, summary)
+        };
+
+        return { summary, result };
+    }
+
+    /**
+     * Combine the training records
+     * @param {Object} local - Stored training data
+     * @param {Object} incoming - Imported training data
+     * @param {Object} context - Import context from plan()
+     * @param {Object} summary - Summary to update
+     * @returns {Object} - The training data to store
+     */
+    static planTrainingData(local, incoming, context, summary) {
+        const localTexts = Object.values(local.texts).flat();
+        const collections = {
+            conversations: [local.conversations, incoming.conversations],
+            feedback: [local.feedback, incoming.feedback],
+            texts: [localTexts, Object.values(incoming.texts).flat()],
+            vocabulary: [local.vocabulary || [], incoming.vocabulary || []]
+        };
+
+        const merged = {};
+        for (const [collection, [stored, imported]] of Object.entries(collections)) {
+            if (!context.sections.includes(collection)) {
+                merged[collection] = stored;
+                continue;
+            }
+
+            const chosen = imported
+                .filter(record => !context.languages || context.languages.includes(record.language))
+                .map(record => context.keepTrainedAt ? record : DataMerge.untrained(record));
+            summary.excluded[collection] = imported.length - chosen.length;
+
+            if (context.mode === 'replace') {
+                summary.removed[collection] = stored.length;
+                summary.added[collection] = chosen.length;
+                merged[collection] = chosen;
+            } else {
+                merged[collection] = DataMerge.mergeRecords(collection, stored, chosen, context, summary);
+            }
+        }
+
+        const texts = {};
+        for (const textObj of merged.texts) {
+            const language = textObj.language || 'en';
+            texts[language] = texts[language] || [];
+            texts[language].push(textObj);
+        }
+
+        return {
+            ...local,
+            conversations: merged.conversations,
+            feedback: merged.feedback,
+            texts: texts,
+            vocabulary: merged.vocabulary
+        };
+    }
+
+    /**
+     * Get a record without its trained mark, so the local model is trained on it
+     * @param {Object} record - An imported record
+     * @returns {Object} - The record, or a copy without trainedAt
+     */
+    static untrained(record) {
+        if (!record || record.trainedAt === undefined) {
+            return record;
+        }
+        const { trainedAt, ...rest } = record;
+        return rest;
+    }
+
+    /**
+     * Append imported records that are not already stored
+     * @param {string} collection - 'conversations', 'feedback', 'texts' or 'vocabulary'
+     * @param {Array} stored - Stored records
+     * @param {Array} imported - Imported records
+     * @param {Object} context - Import context from plan()
+     * @param {Object} summary - Summary to update
+     * @returns {Array} - Stored records followed by the added ones
+     */
+    static mergeRecords(collection, stored, imported, context, summary) {
+        const records = [...stored];
+        const byId = new Map(stored.map(record => [record.id, record]));
+        const seen = new Set(stored.map(record => DataMerge.getRecordKey(collection, record)));
+
+        // Two different corrections of the same reply conflict
+        const corrections = new Map();
+        if (collection === 'feedback') {
+            for (const feedback of stored) {
+                corrections.set(DataMerge.hash([feedback.input, feedback.botResponse]), feedback);
+            }
+        }
+
+        for (const record of imported) {
+            const key = DataMerge.getRecordKey(collection, record);
+            if (seen.has(key)) {
+                summary.skipped[collection]++;
+                continue;
+            }
+
+            let conflict = null;
+            const sameId = byId.get(record.id);
+            if (sameId && DataMerge.getContentHash(collection, sameId) !== DataMerge.getContentHash(collection, record)) {
+                conflict = 'a stored record has the same id and different content';
+            }
+            const corrected = collection === 'feedback' && corrections.get(DataMerge.hash([record.input, record.botResponse]));
+            if (!conflict && corrected && corrected.correctResponse !== record.correctResponse) {
+                conflict = `the stored correction is "${corrected.correctResponse}"`;
+            }
+
+            if (conflict) {
+                summary.conflicts.push({
+                    collection: collection,
+                    id: record.id,
+                    text: record.input || record.content || record.word,
+                    reason: conflict,
+                    resolution: context.importConflicts ? 'import' : 'keep'
+                });
+                if (!context.importConflicts) {
+                    continue;
+                }
+            }
+
+            const added = sameId ? { ...record, id: context.generateId() } : record;
+            records.push(added);
+            byId.set(added.id, added);
+            seen.add(key);
+            if (collection === 'feedback') {
+                corrections.set(DataMerge.hash([added.input, added.botResponse]), added);
+            }
+            summary.added[collection]++;
+        }
+
+        return records;
+    }
+
+    /**
+     * Combine the model data
+     * A trained model cannot be merged with another, so the stored model is kept unless
+     * there is none or conflicts are resolved in favor of the import.
+     * @param {Object} local - Stored model data
+     * @param {Object} incoming - Imported model data
+     * @param {Object} context - Import context from plan()
+     * @param {Object} summary - Summary to update
+     * @returns {Object} - The model data to store
+     */
+    static planModelData(local, incoming, context, summary) {
+        const hasModel = (modelData) => Boolean(modelData && (modelData.weights || modelData.tokenizer));
+        if (!context.sections.includes('modelData') || !hasModel(incoming)) {
+            return local;
+        }
+
+        // Snapshot states and checkpoints live in the local storage only
+        const model = { ...incoming, snapshots: local.snapshots || [], checkpoint: local.checkpoint || null };
+
+        if (context.mode === 'replace' || !hasModel(local)) {
+            summary.modelData = context.mode === 'replace' ? 'replace' : 'add';
+            return model;
+        }
+
+        summary.conflicts.push({
+            collection: 'modelData',
+            reason: 'both the stored and the imported data contain a trained model',
+            resolution: context.importConflicts ? 'import' : 'keep'
+        });
+
+        if (context.importConflicts) {
+            summary.modelData = 'replace';
+            return model;
+        }
+
+        // Keep the stored model but bring in evaluations of other models
+        const evaluations = [...(local.evaluations || [])];
+        const known = new Set(evaluations.map(result => `${result.modelId}|${result.timestamp}`));
+        for (const result of incoming.evaluations || []) {
+            if (!known.has(`${result.modelId}|${result.timestamp}`)) {
+                evaluations.push(result);
+            }
+        }
+        return { ...local, evaluations };
+    }
+
+    /**
+     * Combine the user profiles
+     * Lists are joined; settings that differ are conflicts.
+     * @param {Object} local - Stored profile
+     * @param {Object} incoming - Imported profile
+     * @param {Object} context - Import context from plan()
+     * @param {Object} summary - Summary to update
+     * @returns {Object} - The profile to store
+     */
+    static planUserProfile(local, incoming, context, summary) {
+        if (!context.sections.includes('userProfile') || !incoming || Object.keys(incoming).length === 0) {
+            return local;
+        }
+
+        if (context.mode === 'replace') {
+            summary.userProfile = 'replace';
+            return { ...local, ...incoming };
+        }
+
+        summary.userProfile = 'merge';
+        const profile = { ...local };
+        for (const [field, value] of Object.entries(incoming)) {
+            if (Array.isArray(value)) {
+                const items = new Map((local[field] || []).map(item => [JSON.stringify(item), item]));
+                value.forEach(item => items.set(JSON.stringify(item), item));
+                profile[field] = [...items.values()];
+            } else if (local[field] === undefined) {
+                profile[field] = value;
+            } else if (JSON.stringify(local[field]) !== JSON.stringify(value)) {
+                summary.conflicts.push({
+                    collection: 'userProfile',
+                    id: field,
+                    reason: `stored ${JSON.stringify(local[field])}, imported ${JSON.stringify(value)}`,
+                    resolution: context.importConflicts ? 'import' : 'keep'
+                });
+                if (context.importConflicts) {
+                    profile[field] = value;
+                }
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * Get the key that identifies a duplicate: content hash and timestamp
+     * @param {string} collection - The collection
+     * @param {Object} record - The record
+     * @returns {string} - The key
+     */
+    static getRecordKey(collection, record) {
+        return `${DataMerge.getContentHash(collection, record)}|${record.timestamp || ''}`;
+    }
+
+    /**
+     * Hash the fields that make up a record's content
+     * @param {string} collection - The collection
+     * @param {Object} record - The record
+     * @returns {string} - The content hash
+     */
+    static getContentHash(collection, record) {
+        switch (collection) {
+            case 'conversations':
+                return DataMerge.hash([record.input, record.response]);
+            case 'feedback':
+                return DataMerge.hash([record.input, record.botResponse, record.correctResponse]);
+            case 'vocabulary':
+                return DataMerge.hash([record.language, record.word, record.translation]);
+            default:
+                return DataMerge.hash([record.language, record.content]);
+        }
+    }
+
+    /**
+     * Hash a list of strings (FNV-1a over their NFC forms)
+     * @param {Array} values - The strings
+     * @returns {string} - Hex encoded hash
+     */
+    static hash(values) {
+        const text = values.map(value => String(value || '').normalize('NFC').trim()).join('\u0001');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataMerge };
+} else {
+    // For browser use
+    window.DataMerge = DataMerge;
+}
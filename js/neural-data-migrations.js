@@ -0,0 +1,284 @@
+/**
+ * MR Bot Neural Language Teacher - Data Migrations
+ *
+ * This module upgrades stored and imported data to the current schema:
+ * - Every data set carries an explicit schema version (schemaVersion)
+ * - An ordered chain of migrations upgrades one version at a time, so data from any
+ *   earlier version reaches the current one
+ * - Records no version can use are rejected with their position in the input and the reason
+ *
+ * Schema versions:
+ * 1 - neural-data-manager.js exports ('1.0.0'): texts as { en: [], bn: [] } with flat records
+ * 2 - neural-data-manager-enhanced.js exports ('2.0.0'): any language, difficulty and topic metadata
+ * 3 - Every record has an id and its language, as stored record by record since IndexedDB
+ * 4 - A vocabulary collection of flashcard entries in trainingData.vocabulary
+ */
+
+class DataMigrations {
+    /**
+     * Schema version written by this build
+     */
+    static get CURRENT_VERSION() {
+        return 4;
+    }
+
+    /**
+     * Migrations in order; each upgrades data from one version to the next
+     */
+    static get MIGRATIONS() {
+        return [
+            {
+                from: 1,
+                to: 2,
+                description: 'Add language, difficulty and topic metadata and the supported language list',
+                migrate: (data) => {
+                    const profile = data.userProfile || {};
+                    const { trainingData } = data;
+
+                    for (const conv of DataMigrations.objects(trainingData.conversations)) {
+                        conv.language = conv.language || 'en';
+                        conv.difficulty = conv.difficulty || 'beginner';
+                        conv.topic = conv.topic || 'general';
+                    }
+                    for (const feedback of DataMigrations.objects(trainingData.feedback)) {
+                        feedback.language = feedback.language || profile.targetLanguage || 'bn';
+                        feedback.difficulty = feedback.difficulty || profile.proficiencyLevel || 'beginner';
+                        feedback.topic = feedback.topic || 'general';
+                    }
+                    for (const language in trainingData.texts) {
+                        for (const textObj of DataMigrations.objects(trainingData.texts[language])) {
+                            textObj.difficulty = textObj.difficulty || 'beginner';
+                            textObj.topic = textObj.topic || 'general';
+                            textObj.source = textObj.source || 'user';
+                        }
+                    }
+
+                    // Legacy profiles only knew English and Bengali
+                    data.userProfile = {
+                        ...profile,
+                        supportedLanguages: [...new Set([
+                            ...(profile.supportedLanguages || DataMigrations.DEFAULT_LANGUAGES),
+                            ...Object.keys(trainingData.texts)
+                        ])]
+                    };
+                }
+            },
+            {
+                from: 2,
+                to: 3,
+                description: 'Give every record an id and every text its language',
+                migrate: (data, options) => {
+                    const { trainingData } = data;
+                    const records = DataMigrations.objects([
+                        ...trainingData.conversations,
+                        ...trainingData.feedback,
+                        ...Object.values(trainingData.texts).flat()
+                    ]);
+                    for (const record of records) {
+                        record.id = record.id || options.generateId();
+                    }
+
+                    for (const language in trainingData.texts) {
+                        for (const textObj of DataMigrations.objects(trainingData.texts[language])) {
+                            textObj.language = textObj.language || language;
+                        }
+                    }
+
+                    data.modelData = { evaluations: [], ...data.modelData };
+                }
+            },
+            {
+                from: 3,
+                to: 4,
+                description: 'Add the vocabulary collection',
+                migrate: (data) => {
+                    data.trainingData.vocabulary = data.trainingData.vocabulary || [];
+                }
+            }
+        ];
+    }
+
+    /**
+     * Languages of a profile that predates the supported language list
+     */
+    static get DEFAULT_LANGUAGES() {
+        return ['en', 'bn', 'hi', 'es', 'fr', 'de', 'ja', 'zh', 'ru', 'ar'];
+    }
+
+    /**
+     * Get the schema version of a data set
+     * Exports before schemaVersion carry a semver string whose major version is the schema version.
+     * @param {Object} data - Exported or stored data
+     * @returns {number} - The schema version
+     */
+    static getVersion(data) {
+        if (Number.isInteger(data.schemaVersion)) {
+            return data.schemaVersion;
+        }
+
+        const major = parseInt(String(data.version || '').split('.')[0], 10);
+        if (isNaN(major)) {
+            throw new Error("Data has no schema version");
+        }
+        return major;
+    }
+
+    /**
+     * Upgrade a data set to the current schema and reject invalid records
+     * The input is not modified.
+     * @param {Object} data - { trainingData, modelData, userProfile } plus schemaVersion or version
+     * @param {Object} options - Migration options
+     * @param {Function} options.generateId - Creates ids for records that have none
+     * @returns {Object} - { data, report: { fromVersion, toVersion, applied, rejected } }
+     */
+    static migrate(data, options = {}) {
+        if (!data || typeof data !== 'object') {
+            throw new Error("Data must be an object");
+        }
+
+        const fromVersion = DataMigrations.getVersion(data);
+        if (fromVersion > DataMigrations.CURRENT_VERSION) {
+            throw new Error(`Data schema version ${fromVersion} is newer than this app supports (${DataMigrations.CURRENT_VERSION})`);
+        }
+        if (fromVersion < 1) {
+            throw new Error(`Unknown data schema version: ${fromVersion}`);
+        }
+
+        // The checked fields are the same in every version, so positions refer to the input
+        const migrated = DataMigrations.normalize(JSON.parse(JSON.stringify(data)));
+        const rejected = DataMigrations.validate(migrated);
+        const migrationOptions = {
+            generateId: () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            ...options
+        };
+
+        const applied = [];
+        let version = fromVersion;
+        for (const migration of DataMigrations.MIGRATIONS) {
+            if (migration.from !== version) continue;
+
+            migration.migrate(migrated, migrationOptions);
+            applied.push(`${migration.from} -> ${migration.to}: ${migration.description}`);
+            version = migration.to;
+        }
+
+        if (version !== DataMigrations.CURRENT_VERSION) {
+            throw new Error(`No migration path from schema version ${fromVersion} to ${DataMigrations.CURRENT_VERSION}`);
+        }
+
+        migrated.schemaVersion = version;
+
+        return {
+            data: migrated,
+            report: { fromVersion, toVersion: version, applied, rejected }
+        };
+    }
+
+    /**
+     * Check the structure of a data set and fill in missing sections
+     * @param {Object} data - The data, modified in place
+     * @returns {Object} - The same data
+     */
+    static normalize(data) {
+        const trainingData = data.trainingData || {};
+        if (trainingData.texts !== undefined &&
+            (typeof trainingData.texts !== 'object' || Array.isArray(trainingData.texts))) {
+            throw new Error("trainingData.texts must be an object keyed by language");
+        }
+        for (const collection of ['conversations', 'feedback', 'vocabulary']) {
+            if (trainingData[collection] !== undefined && !Array.isArray(trainingData[collection])) {
+                throw new Error(`trainingData.${collection} must be an array`);
+            }
+        }
+
+        const texts = {};
+        for (const language in trainingData.texts || {}) {
+            if (!Array.isArray(trainingData.texts[language])) {
+                throw new Error(`trainingData.texts.${language} must be an array`);
+            }
+            texts[language] = trainingData.texts[language];
+        }
+
+        data.trainingData = {
+            ...trainingData,
+            conversations: trainingData.conversations || [],
+            feedback: trainingData.feedback || [],
+            texts: texts
+        };
+        data.modelData = data.modelData || {};
+        data.userProfile = data.userProfile || {};
+        return data;
+    }
+
+    /**
+     * Remove the records a data manager could not use
+     * @param {Object} data - Migrated data, modified in place
+     * @returns {Array} - Rejected records: [{ collection, index, id, reason }]
+     */
+    static validate(data) {
+        const rejected = [];
+        const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+        const check = (collection, records, getReason) => records.filter((record, index) => {
+            const reason = record && typeof record === 'object' ? getReason(record) : 'not an object';
+            if (reason) {
+                rejected.push({ collection, index, id: record && record.id, reason });
+            }
+            return !reason;
+        });
+
+        const { trainingData } = data;
+        trainingData.conversations = check('conversations', trainingData.conversations, (conv) => {
+            if (!isText(conv.input)) return 'missing input';
+            if (typeof conv.response !== 'string') return 'missing response';
+            return null;
+        });
+        trainingData.feedback = check('feedback', trainingData.feedback, (feedback) => {
+            if (!isText(feedback.input)) return 'missing input';
+            if (!isText(feedback.correctResponse)) return 'missing correctResponse';
+            return null;
+        });
+        if (trainingData.vocabulary) {
+            trainingData.vocabulary = check('vocabulary', trainingData.vocabulary, (entry) => {
+                if (!isText(entry.word)) return 'missing word';
+                if (!isText(entry.translation)) return 'missing translation';
+                return null;
+            });
+        }
+        for (const language in trainingData.texts) {
+            trainingData.texts[language] = check(`texts.${language}`, trainingData.texts[language], (textObj) => {
+                if (!isText(textObj.content)) return 'missing content';
+                return null;
+            });
+        }
+
+        return rejected;
+    }
+
+    /**
+     * Get the records that are objects; the others are rejected by validate()
+     * @param {Array} records - Records of a collection
+     * @returns {Array} - The object records
+     */
+    static objects(records) {
+        return records.filter(record => record && typeof record === 'object');
+    }
+
+    /**
+     * Describe a rejected record for logs and error messages
+     * @param {Object} rejection - Entry from validate()
+     * @returns {string} - For example "conversations[3] (id abc): missing input"
+     */
+    static describe(rejection) {
+        const id = rejection.id ? ` (id ${rejection.id})` : '';
+        return `${rejection.collection}[${rejection.index}]${id}: ${rejection.reason}`;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataMigrations };
+} else {
+    // For browser use
+    window.DataMigrations = DataMigrations;
+}
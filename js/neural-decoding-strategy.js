@@ -0,0 +1,341 @@
+/**
+ * MR Bot Neural Language Teacher - Decoding Strategy
+ *
+ * This module turns next-token probabilities into a response, with configurable decoding:
+ * - greedy: always the most likely token
+ * - beam: beam search, finished hypotheses ranked by length-normalized log probability
+ * - sample: top-k and nucleus (top-p) sampling with temperature, reproducible with a seed
+ *
+ * All strategies support a repetition penalty, no-repeat n-gram blocking and min/max length.
+ * Decoding runs on an IncrementalDecoder, so every step only feeds the newest tokens.
+ */
+
+class DecodingStrategy {
+    /**
+     * @param {Object} options - Decoding options (see DecodingStrategy.DEFAULTS)
+     * @param {string} options.strategy - 'greedy', 'beam' or 'sample'
+     * @param {number} options.beamWidth - Hypotheses kept by beam search
+     * @param {number} options.lengthPenalty - Beam scores are divided by length^lengthPenalty (0 disables)
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.topK - Sample from the k most likely tokens only (0 disables)
+     * @param {number} options.topP - Sample from the smallest set of tokens with this probability mass (1 disables)
+     * @param {number} options.repetitionPenalty - Divide the probability of already generated tokens by this (1 disables)
+     * @param {number} options.noRepeatNgramSize - Never repeat an n-gram of this size (0 disables)
+     * @param {number} options.minLength - Tokens generated before <END> is allowed
+     * @param {number} options.maxLength - Maximum tokens generated
+     * @param {number} options.seed - Seed for sampling; the same seed gives the same response (null for random)
+     */
+    constructor(options = {}) {
+        this.options = { ...DecodingStrategy.DEFAULTS, ...options };
+
+        if (!DecodingStrategy.STRATEGIES.includes(this.options.strategy)) {
+            console.error(`Unknown decoding strategy: ${this.options.strategy}, using beam search`);
+            this.options.strategy = 'beam';
+        }
+
+        this.random = DecodingStrategy.createRandom(this.options.seed);
+    }
+
+    static get STRATEGIES() {
+        return ['greedy', 'beam', 'sample'];
+    }
+
+    static get DEFAULTS() {
+        return {
+            strategy: 'beam',
+            beamWidth: 3,
+            lengthPenalty: 1.0,
+            temperature: 1.0,
+            topK: 0,
+            topP: 1.0,
+            repetitionPenalty: 1.0,
+            noRepeatNgramSize: 0,
+            minLength: 1,
+            maxLength: 64,
+            seed: null
+        };
+    }
+
+    /**
+     * Create a random number generator
+     * @param {number} seed - Seed (null to use Math.random)
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        if (seed === null || seed === undefined) {
+            return Math.random;
+        }
+
+        // mulberry32
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Decode a response for an encoded input
+     * @param {IncrementalDecoder} decoder - Decoder for the current model
+     * @param {Array} encoderInput - Encoded input sequence
+     * @param {Object} tokens - Special token ids { start, end, pad }
+     * @returns {Array} - Generated token ids, starting with <START>
+     */
+    async decode(decoder, encoderInput, tokens) {
+        const state = decoder.start(encoderInput);
+
+        try {
+            if (this.options.strategy === 'sample') {
+                return await this.sample(decoder, state, tokens);
+            }
+
+            const beamWidth = this.options.strategy === 'greedy' ? 1 : Math.max(1, this.options.beamWidth);
+            return await this.beamSearch(decoder, state, tokens, beamWidth);
+        } finally {
+            decoder.dispose(state);
+        }
+    }
+
+    /**
+     * Beam search; greedy decoding is beam search with a single beam
+     * @param {IncrementalDecoder} decoder - The decoder
+     * @param {Object} state - Decoding state from decoder.start()
+     * @param {Object} tokens - Special token ids
+     * @param {number} beamWidth - Hypotheses to keep
+     * @returns {Array} - Token ids of the best hypothesis
+     */
+    async beamSearch(decoder, state, tokens, beamWidth) {
+        let beams = [{ sequence: [tokens.start], score: 0 }];
+        const finished = [];
+
+        for (let step = 0; step < this.options.maxLength && beams.length > 0; step++) {
+            const logProbs = await this.step(decoder, state, beams.map(beam => beam.sequence));
+
+            const candidates = [];
+            beams.forEach((beam, b) => {
+                const scores = this.adjustScores(logProbs[b], beam.sequence, tokens);
+                for (const token of DecodingStrategy.topIndices(scores, beamWidth)) {
+                    if (scores[token] === -Infinity) continue;
+                    candidates.push({
+                        sequence: [...beam.sequence, token],
+                        score: beam.score + scores[token],
+                        parent: b
+                    });
+                }
+            });
+            candidates.sort((a, b) => b.score - a.score);
+
+            // Ended hypotheses are set aside; the best open ones continue
+            const next = [];
+            for (const candidate of candidates) {
+                if (candidate.sequence[candidate.sequence.length - 1] === tokens.end) {
+                    finished.push(candidate);
+                } else {
+                    next.push(candidate);
+                }
+                if (next.length === beamWidth) break;
+            }
+
+            beams = next;
+            if (finished.length >= beamWidth) break;
+            if (beams.length > 0) {
+                decoder.reorder(state, beams.map(beam => beam.parent));
+            }
+        }
+
+        const hypotheses = finished.length > 0 ? finished : beams;
+        if (hypotheses.length === 0) {
+            return [tokens.start];
+        }
+
+        let best = hypotheses[0];
+        for (const hypothesis of hypotheses) {
+            if (this.normalizedScore(hypothesis) > this.normalizedScore(best)) {
+                best = hypothesis;
+            }
+        }
+        return best.sequence;
+    }
+
+    /**
+     * Sample one token at a time with temperature, top-k and top-p
+     * @param {IncrementalDecoder} decoder - The decoder
+     * @param {Object} state - Decoding state from decoder.start()
+     * @param {Object} tokens - Special token ids
+     * @returns {Array} - Sampled token ids
+     */
+    async sample(decoder, state, tokens) {
+        const sequence = [tokens.start];
+
+        for (let step = 0; step < this.options.maxLength; step++) {
+            const [logProbs] = await this.step(decoder, state, [sequence]);
+            const scores = this.adjustScores(logProbs, sequence, tokens);
+            const token = this.sampleToken(scores);
+            if (token === null) break;
+
+            sequence.push(token);
+            if (token === tokens.end) break;
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Run one decoder step for a batch of sequences
+     * @param {IncrementalDecoder} decoder - The decoder
+     * @param {Object} state - Decoding state
+     * @param {Array} sequences - Token ids of every beam
+     * @returns {Array} - Log probabilities (Float32Array) per beam
+     */
+    async step(decoder, state, sequences) {
+        const probabilities = decoder.step(state, sequences.map(sequence => sequence[sequence.length - 1]));
+        const [beams, vocabularySize] = probabilities.shape;
+        const data = await probabilities.data();
+        probabilities.dispose();
+
+        const logProbs = [];
+        for (let b = 0; b < beams; b++) {
+            const row = new Float32Array(vocabularySize);
+            for (let i = 0; i < vocabularySize; i++) {
+                row[i] = Math.log(data[b * vocabularySize + i]);
+            }
+            logProbs.push(row);
+        }
+        return logProbs;
+    }
+
+    /**
+     * Apply the repetition penalty, n-gram blocking and length limits to a step's log probabilities
+     * @param {Float32Array} logProbs - Log probabilities; adjusted in place
+     * @param {Array} sequence - Tokens so far, starting with <START>
+     * @param {Object} tokens - Special token ids
+     * @returns {Float32Array} - The adjusted scores (-Infinity for blocked tokens)
+     */
+    adjustScores(logProbs, sequence, tokens) {
+        const { repetitionPenalty, noRepeatNgramSize, minLength } = this.options;
+        const generated = sequence.slice(1);
+
+        if (repetitionPenalty !== 1) {
+            const penalty = Math.log(repetitionPenalty);
+            for (const token of new Set(generated)) {
+                logProbs[token] -= penalty;
+            }
+        }
+
+        if (noRepeatNgramSize > 0) {
+            for (const token of DecodingStrategy.blockedNgramTokens(sequence, noRepeatNgramSize)) {
+                logProbs[token] = -Infinity;
+            }
+        }
+
+        if (generated.length < minLength) {
+            logProbs[tokens.end] = -Infinity;
+        }
+
+        logProbs[tokens.start] = -Infinity;
+        logProbs[tokens.pad] = -Infinity;
+        return logProbs;
+    }
+
+    /**
+     * Find the tokens that would repeat an n-gram already in the sequence
+     * @param {Array} sequence - Tokens so far
+     * @param {number} n - N-gram size
+     * @returns {Set} - Blocked token ids
+     */
+    static blockedNgramTokens(sequence, n) {
+        const blocked = new Set();
+        if (sequence.length < n) return blocked;
+
+        const prefix = sequence.slice(sequence.length - n + 1).join(',');
+        for (let i = 0; i + n <= sequence.length; i++) {
+            if (sequence.slice(i, i + n - 1).join(',') === prefix) {
+                blocked.add(sequence[i + n - 1]);
+            }
+        }
+        return blocked;
+    }
+
+    /**
+     * Sample a token from adjusted scores
+     * @param {Float32Array} scores - Adjusted log probabilities
+     * @returns {number|null} - The token id, or null if every token is blocked
+     */
+    sampleToken(scores) {
+        const { temperature, topK, topP } = this.options;
+
+        // Candidates in descending order, limited to the top k
+        let candidates = topK > 0
+            ? DecodingStrategy.topIndices(scores, topK)
+            : Array.from(scores.keys()).sort((a, b) => scores[b] - scores[a]);
+        candidates = candidates.filter(token => scores[token] !== -Infinity);
+        if (candidates.length === 0) return null;
+
+        // Softmax with temperature
+        const scale = 1 / Math.max(temperature, 1e-6);
+        const max = scores[candidates[0]] * scale;
+        let weights = candidates.map(token => Math.exp(scores[token] * scale - max));
+        let total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // Keep the smallest prefix whose probability reaches topP
+        if (topP < 1) {
+            let mass = 0;
+            let cutoff = 0;
+            while (cutoff < candidates.length && mass < topP * total) {
+                mass += weights[cutoff++];
+            }
+            candidates = candidates.slice(0, cutoff);
+            weights = weights.slice(0, cutoff);
+            total = mass;
+        }
+
+        let threshold = this.random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Score a hypothesis for ranking, normalized by its length
+     * @param {Object} hypothesis - { sequence, score }
+     * @returns {number} - The normalized score
+     */
+    normalizedScore(hypothesis) {
+        const length = Math.max(1, hypothesis.sequence.length - 1);
+        return hypothesis.score / Math.pow(length, this.options.lengthPenalty);
+    }
+
+    /**
+     * Get the indices of the k largest values, in descending order
+     * @param {Float32Array} values - The values
+     * @param {number} k - Number of indices
+     * @returns {Array} - The indices
+     */
+    static topIndices(values, k) {
+        const top = [];
+        for (let i = 0; i < values.length; i++) {
+            if (top.length === k && values[i] <= values[top[k - 1]]) continue;
+
+            let position = top.length;
+            while (position > 0 && values[top[position - 1]] < values[i]) {
+                position--;
+            }
+            top.splice(position, 0, i);
+            if (top.length > k) top.pop();
+        }
+        return top;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DecodingStrategy };
+} else {
+    // For browser use
+    window.DecodingStrategy = DecodingStrategy;
+}
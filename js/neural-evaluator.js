@@ -0,0 +1,389 @@
+/**
+ * MR Bot Neural Language Teacher - Model Evaluator
+ *
+ * This module measures how well the model answers examples it was never trained on:
+ * - Holds out a fixed test split of the conversation pairs; a pair's text decides whether
+ *   it is held out, so the split stays the same as data is added
+ * - Reports BLEU, chrF, perplexity and exact match overall, per language and per difficulty
+ * - Keeps an evaluation history per model, so runs can be compared after each training session
+ *
+ * chrF compares character n-grams, which credits partially correct Bengali word forms
+ * that word-level BLEU counts as plain misses.
+ */
+
+class ModelEvaluator {
+    /**
+     * @param {Object} languageModel - The NeuralLanguageModel to evaluate
+     * @param {Object} dataManager - The data manager holding the conversation pairs
+     * @param {Object} options - Evaluation options
+     * @param {number} options.testFraction - Share of pairs held out for testing
+     * @param {number} options.maxTestPairs - Upper bound on pairs evaluated per run
+     * @param {number} options.bleuOrder - Longest word n-gram for BLEU
+     * @param {number} options.chrfOrder - Longest character n-gram for chrF
+     * @param {number} options.chrfBeta - Weight of recall relative to precision in chrF
+     */
+    constructor(languageModel, dataManager, options = {}) {
+        this.languageModel = languageModel;
+        this.dataManager = dataManager;
+
+        this.options = {
+            testFraction: 0.1,
+            maxTestPairs: 200,
+            bleuOrder: 4,
+            chrfOrder: 6,
+            chrfBeta: 2,
+            ...options
+        };
+    }
+
+    /**
+     * Check whether a pair belongs to the test split
+     * Corrections are always trained on, so they are never held out.
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {boolean} - True if the pair is held out
+     */
+    isTestPair(pair) {
+        const metadata = pair[2] || {};
+        if (metadata.isFeedback || metadata.source === 'feedback') {
+            return false;
+        }
+        return ModelEvaluator.hash(`${pair[0]}\u0000${pair[1]}`) < this.options.testFraction;
+    }
+
+    /**
+     * Remove held-out pairs from training data
+     * @param {Array} pairs - Conversation pairs
+     * @returns {Array} - The pairs that may be trained on
+     */
+    filterTrainingPairs(pairs) {
+        return pairs.filter(pair => !this.isTestPair(pair));
+    }
+
+    /**
+     * Get the test split
+     * @returns {Array} - Held-out conversation pairs, at most maxTestPairs
+     */
+    async getTestPairs() {
+        const pairs = await this.dataManager.getConversationPairs();
+        const seen = new Set();
+
+        // Sorting by hash keeps the same subset when the split is larger than maxTestPairs
+        return pairs
+            .filter(pair => this.isTestPair(pair))
+            .filter(pair => {
+                const key = `${pair[0]}\u0000${pair[1]}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => ModelEvaluator.hash(`${a[0]}\u0001${a[1]}`) - ModelEvaluator.hash(`${b[0]}\u0001${b[1]}`))
+            .slice(0, this.options.maxTestPairs);
+    }
+
+    /**
+     * Evaluate the model on the test split and store the result in the evaluation history
+     * @param {Object} options - Evaluation options
+     * @param {Object} options.decoding - Decoding options for the generated answers (greedy by default)
+     * @param {boolean} options.save - Set to false to skip saving the result
+     * @returns {Object|null} - The evaluation result, or null if there is nothing to evaluate
+     */
+    async evaluate(options = {}) {
+        const testPairs = await this.getTestPairs();
+        if (testPairs.length === 0) {
+            console.log("No held-out pairs to evaluate on");
+            return null;
+        }
+
+        console.log(`Evaluating model on ${testPairs.length} held-out pairs...`);
+        const startTime = Date.now();
+
+        const decoding = this.languageModel.getDecodingOptions(null, { strategy: 'greedy', ...options.decoding });
+        const scores = await this.languageModel.scorePairs(testPairs);
+
+        const groups = { overall: this.createGroup(), byLanguage: {}, byDifficulty: {} };
+        for (let i = 0; i < testPairs.length; i++) {
+            const [input, reference, metadata = {}] = testPairs[i];
+            const hypothesis = await this.languageModel.generate(input, decoding, metadata);
+
+            const language = metadata.language || 'en';
+            const difficulty = metadata.difficulty || 'beginner';
+            groups.byLanguage[language] = groups.byLanguage[language] || this.createGroup();
+            groups.byDifficulty[difficulty] = groups.byDifficulty[difficulty] || this.createGroup();
+
+            for (const group of [groups.overall, groups.byLanguage[language], groups.byDifficulty[difficulty]]) {
+                this.addSample(group, hypothesis, reference, scores[i]);
+            }
+        }
+
+        const finalize = (byKey) => Object.fromEntries(
+            Object.entries(byKey).map(([key, group]) => [key, this.getScores(group)])
+        );
+
+        const metrics = this.languageModel.trainingMetrics;
+        const result = {
+            modelId: this.languageModel.getModelId(),
+            timestamp: new Date().toISOString(),
+            trainingSessions: metrics.totalTrainingSessions,
+            trainingExamples: metrics.totalExamples,
+            testPairs: testPairs.length,
+            overall: this.getScores(groups.overall),
+            byLanguage: finalize(groups.byLanguage),
+            byDifficulty: finalize(groups.byDifficulty)
+        };
+
+        const previous = (await this.getHistory()).slice(-1)[0];
+        if (previous) {
+            result.change = ModelEvaluator.compare(result.overall, previous.overall);
+        }
+
+        if (options.save !== false) {
+            await this.dataManager.addEvaluation(result);
+        }
+
+        console.log(`Evaluation completed in ${(Date.now() - startTime) / 1000} seconds`, result.overall);
+        return result;
+    }
+
+    /**
+     * Get the evaluation history of the current model
+     * @returns {Array} - Evaluation results, oldest first
+     */
+    async getHistory() {
+        return this.dataManager.getEvaluationHistory(this.languageModel.getModelId());
+    }
+
+    /**
+     * Create empty statistics for a group of samples
+     * @returns {Object} - Group statistics
+     */
+    createGroup() {
+        return {
+            count: 0,
+            exactMatches: 0,
+            logLikelihood: 0,
+            tokens: 0,
+            bleu: {
+                matches: new Array(this.options.bleuOrder).fill(0),
+                totals: new Array(this.options.bleuOrder).fill(0),
+                hypothesisLength: 0,
+                referenceLength: 0
+            },
+            chrf: {
+                matches: new Array(this.options.chrfOrder).fill(0),
+                hypothesisTotals: new Array(this.options.chrfOrder).fill(0),
+                referenceTotals: new Array(this.options.chrfOrder).fill(0)
+            }
+        };
+    }
+
+    /**
+     * Add one sample to a group's statistics
+     * @param {Object} group - Group statistics
+     * @param {string} hypothesis - Generated answer
+     * @param {string} reference - Expected answer
+     * @param {Object} score - { logLikelihood, tokens } of the reference under the model
+     */
+    addSample(group, hypothesis, reference, score) {
+        group.count++;
+        if (ModelEvaluator.normalize(hypothesis) === ModelEvaluator.normalize(reference)) {
+            group.exactMatches++;
+        }
+
+        group.logLikelihood += score.logLikelihood;
+        group.tokens += score.tokens;
+
+        // Word n-grams for BLEU
+        const hypothesisWords = ModelEvaluator.tokenize(hypothesis);
+        const referenceWords = ModelEvaluator.tokenize(reference);
+        group.bleu.hypothesisLength += hypothesisWords.length;
+        group.bleu.referenceLength += referenceWords.length;
+        ModelEvaluator.countNgramMatches(hypothesisWords, referenceWords, this.options.bleuOrder)
+            .forEach(({ matches, hypothesisTotal }, n) => {
+                group.bleu.matches[n] += matches;
+                group.bleu.totals[n] += hypothesisTotal;
+            });
+
+        // Character n-grams for chrF, whitespace ignored
+        const hypothesisChars = Array.from(ModelEvaluator.normalize(hypothesis).replace(/\s+/g, ''));
+        const referenceChars = Array.from(ModelEvaluator.normalize(reference).replace(/\s+/g, ''));
+        ModelEvaluator.countNgramMatches(hypothesisChars, referenceChars, this.options.chrfOrder)
+            .forEach(({ matches, hypothesisTotal, referenceTotal }, n) => {
+                group.chrf.matches[n] += matches;
+                group.chrf.hypothesisTotals[n] += hypothesisTotal;
+                group.chrf.referenceTotals[n] += referenceTotal;
+            });
+    }
+
+    /**
+     * Turn group statistics into scores
+     * @param {Object} group - Group statistics
+     * @returns {Object} - { count, bleu, chrf, perplexity, exactMatch }
+     */
+    getScores(group) {
+        return {
+            count: group.count,
+            bleu: ModelEvaluator.bleu(group.bleu),
+            chrf: ModelEvaluator.chrf(group.chrf, this.options.chrfBeta),
+            perplexity: group.tokens > 0 ? Math.exp(-group.logLikelihood / group.tokens) : null,
+            exactMatch: group.count > 0 ? group.exactMatches / group.count : 0
+        };
+    }
+
+    /**
+     * Corpus BLEU with brevity penalty
+     * Orders without matches use exponential smoothing, and orders longer than every
+     * hypothesis are skipped, so short answers do not all score zero.
+     * @param {Object} stats - { matches, totals, hypothesisLength, referenceLength }
+     * @returns {number} - BLEU between 0 and 1
+     */
+    static bleu(stats) {
+        if (stats.hypothesisLength === 0 || stats.matches[0] === 0) {
+            return 0;
+        }
+
+        let logPrecision = 0;
+        let orders = 0;
+        let smoothing = 1;
+        stats.matches.forEach((matches, n) => {
+            if (stats.totals[n] === 0) return;
+            if (matches === 0) {
+                smoothing *= 2;
+                logPrecision += Math.log(1 / (smoothing * stats.totals[n]));
+            } else {
+                logPrecision += Math.log(matches / stats.totals[n]);
+            }
+            orders++;
+        });
+
+        const brevityPenalty = stats.hypothesisLength < stats.referenceLength
+            ? Math.exp(1 - stats.referenceLength / stats.hypothesisLength)
+            : 1;
+
+        return brevityPenalty * Math.exp(logPrecision / orders);
+    }
+
+    /**
+     * Corpus chrF: character n-gram F-score averaged over orders
+     * @param {Object} stats - { matches, hypothesisTotals, referenceTotals }
+     * @param {number} beta - Recall weight
+     * @returns {number} - chrF between 0 and 1
+     */
+    static chrf(stats, beta) {
+        let precision = 0;
+        let recall = 0;
+        let orders = 0;
+
+        stats.matches.forEach((matches, n) => {
+            if (stats.hypothesisTotals[n] === 0 && stats.referenceTotals[n] === 0) return;
+            precision += stats.hypothesisTotals[n] > 0 ? matches / stats.hypothesisTotals[n] : 0;
+            recall += stats.referenceTotals[n] > 0 ? matches / stats.referenceTotals[n] : 0;
+            orders++;
+        });
+
+        if (orders === 0) return 0;
+        precision /= orders;
+        recall /= orders;
+        if (precision + recall === 0) return 0;
+
+        const beta2 = beta * beta;
+        return (1 + beta2) * precision * recall / (beta2 * precision + recall);
+    }
+
+    /**
+     * Count clipped n-gram matches between a hypothesis and a reference
+     * @param {Array} hypothesis - Hypothesis units (words or characters)
+     * @param {Array} reference - Reference units
+     * @param {number} maxOrder - Longest n-gram
+     * @returns {Array} - Per order (index n-1): { matches, hypothesisTotal, referenceTotal }
+     */
+    static countNgramMatches(hypothesis, reference, maxOrder) {
+        const counts = [];
+        for (let n = 1; n <= maxOrder; n++) {
+            const hypothesisNgrams = ModelEvaluator.ngrams(hypothesis, n);
+            const referenceNgrams = ModelEvaluator.ngrams(reference, n);
+
+            let matches = 0;
+            for (const [ngram, count] of hypothesisNgrams) {
+                matches += Math.min(count, referenceNgrams.get(ngram) || 0);
+            }
+
+            counts.push({
+                matches: matches,
+                hypothesisTotal: Math.max(0, hypothesis.length - n + 1),
+                referenceTotal: Math.max(0, reference.length - n + 1)
+            });
+        }
+        return counts;
+    }
+
+    /**
+     * Count the n-grams of a sequence
+     * @param {Array} units - Words or characters
+     * @param {number} n - N-gram size
+     * @returns {Map} - N-gram to count
+     */
+    static ngrams(units, n) {
+        const counts = new Map();
+        for (let i = 0; i + n <= units.length; i++) {
+            const ngram = units.slice(i, i + n).join('\u0000');
+            counts.set(ngram, (counts.get(ngram) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Split text into words and punctuation marks
+     * @param {string} text - The text
+     * @returns {Array} - Tokens
+     */
+    static tokenize(text) {
+        return ModelEvaluator.normalize(text).match(/[\p{L}\p{M}\p{N}]+|[^\s\p{L}\p{M}\p{N}]/gu) || [];
+    }
+
+    /**
+     * Normalize text for comparison
+     * @param {string} text - The text
+     * @returns {string} - Lowercased, Unicode-normalized text with single spaces
+     */
+    static normalize(text) {
+        return (text || '').normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Compare two sets of scores
+     * @param {Object} current - Scores from getScores()
+     * @param {Object} previous - Earlier scores
+     * @returns {Object} - Difference per metric (positive means better, except for perplexity)
+     */
+    static compare(current, previous) {
+        const change = {};
+        for (const metric of ['bleu', 'chrf', 'perplexity', 'exactMatch']) {
+            if (typeof current[metric] === 'number' && typeof previous[metric] === 'number') {
+                change[metric] = current[metric] - previous[metric];
+            }
+        }
+        return change;
+    }
+
+    /**
+     * Map text to a stable number in [0, 1) (FNV-1a)
+     * @param {string} text - The text
+     * @returns {number} - The hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelEvaluator };
+} else {
+    // For browser use
+    window.ModelEvaluator = ModelEvaluator;
+}
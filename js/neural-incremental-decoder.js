@@ -0,0 +1,296 @@
+/**
+ * MR Bot Neural Language Teacher - Incremental Decoder
+ *
+ * This module runs a trained transformer one token at a time for fast generation:
+ * - The encoder runs once per request as a sub-model of the trained model
+ * - Cross-attention keys and values are projected once from the encoder output
+ * - Self-attention keys and values of earlier steps are cached, so each step only
+ *   processes the newest token of every beam
+ * - All beams are decoded together as one batch; caches follow beams when they are reordered
+ *
+ * The decoder step reuses the trained layers by name, so it needs no weights of its own.
+ * LstmIncrementalDecoder offers the same interface for LSTM models, whose state is
+ * carried from step to step anyway.
+ */
+
+class IncrementalDecoder {
+    /**
+     * @param {tf.LayersModel} model - The trained transformer
+     * @param {Object} parameters - Model parameters (numLayers)
+     */
+    constructor(model, parameters) {
+        this.model = model;
+        this.numLayers = parameters.numLayers;
+
+        this.encoderModel = tf.model({
+            inputs: model.inputs[0],
+            outputs: model.getLayer(`encoder_${this.numLayers - 1}_ffn_norm`).output,
+            name: 'transformer_encoder'
+        });
+
+        this.embedding = model.getLayer('decoder_embedding');
+        this.positionalEncoding = model.getLayer('decoder_positional_encoding');
+        this.outputLayer = model.getLayer('decoder_dense');
+
+        this.layers = [];
+        for (let i = 0; i < this.numLayers; i++) {
+            const self = `decoder_self_${i}`;
+            const cross = `decoder_cross_${i}`;
+            this.layers.push({
+                selfAttention: model.getLayer(`${self}_attention`),
+                selfAttentionNorm: model.getLayer(`${self}_attention_norm`),
+                selfFfn1: model.getLayer(`${self}_ffn1`),
+                selfFfn2: model.getLayer(`${self}_ffn2`),
+                selfFfnNorm: model.getLayer(`${self}_ffn_norm`),
+                crossAttention: model.getLayer(`${cross}_cross_attention`),
+                crossAttentionNorm: model.getLayer(`${cross}_cross_attention_norm`),
+                crossFfn1: model.getLayer(`${cross}_ffn1`),
+                crossFfn2: model.getLayer(`${cross}_ffn2`),
+                crossFfnNorm: model.getLayer(`${cross}_ffn_norm`)
+            });
+        }
+    }
+
+    /**
+     * Run the encoder once and prepare the caches for decoding
+     * @param {Array} encoderIds - Encoded input sequence
+     * @returns {Object} - Decoding state, to pass to step() and release with dispose()
+     */
+    start(encoderIds) {
+        return tf.tidy(() => {
+            const encoderTokens = tf.tensor2d([encoderIds]);
+            const encoderOutput = this.encoderModel.predict(encoderTokens);
+
+            // Cross-attention keys and values depend only on the encoder output
+            const cross = this.layers.map(({ crossAttention }) => ({
+                key: this.projectHeads(crossAttention, encoderOutput, crossAttention.wk),
+                value: this.projectHeads(crossAttention, encoderOutput, crossAttention.wv)
+            }));
+
+            return {
+                encoderTokens: encoderTokens,
+                cross: cross,
+                self: this.layers.map(() => null),
+                position: 0
+            };
+        });
+    }
+
+    /**
+     * Feed the newest token of every beam and get the next-token probabilities
+     * @param {Object} state - Decoding state from start(); its caches are updated
+     * @param {Array} tokens - Newest token id of each beam
+     * @returns {tf.Tensor} - Probabilities [beams, vocabularySize]
+     */
+    step(state, tokens) {
+        const result = tf.tidy(() => {
+            const beams = tokens.length;
+            const position = state.position;
+
+            let x = this.embedding.apply(tf.tensor2d(tokens, [beams, 1]));
+            const encoding = this.positionalEncoding.encoding.slice([position, 0], [1, x.shape[2]]);
+            x = tf.add(x, encoding);
+
+            const selfCache = [];
+            this.layers.forEach((layer, i) => {
+                // Masked self-attention over all tokens so far; earlier keys come from the cache
+                const attention = layer.selfAttention;
+                const query = this.projectHeads(attention, x, attention.wq);
+                let key = this.projectHeads(attention, x, attention.wk);
+                let value = this.projectHeads(attention, x, attention.wv);
+                const cached = state.self[i];
+                if (cached) {
+                    key = tf.concat([cached.key, key], 2);
+                    value = tf.concat([cached.value, value], 2);
+                }
+                selfCache.push({ key, value });
+
+                let attended = this.attend(attention, query, key, value, null);
+                x = layer.selfAttentionNorm.apply(tf.add(x, attended));
+                x = layer.selfFfnNorm.apply(tf.add(x, layer.selfFfn2.apply(layer.selfFfn1.apply(x))));
+
+                // Cross-attention to the cached encoder keys and values
+                const crossAttention = layer.crossAttention;
+                const crossQuery = this.projectHeads(crossAttention, x, crossAttention.wq);
+                const cross = state.cross[i];
+                const crossKey = tf.tile(cross.key, [beams, 1, 1, 1]);
+                const crossValue = tf.tile(cross.value, [beams, 1, 1, 1]);
+                const encoderTokens = crossAttention.maskPadding ? state.encoderTokens : null;
+                attended = this.attend(crossAttention, crossQuery, crossKey, crossValue, encoderTokens);
+                x = layer.crossAttentionNorm.apply(tf.add(x, attended));
+                x = layer.crossFfnNorm.apply(tf.add(x, layer.crossFfn2.apply(layer.crossFfn1.apply(x))));
+            });
+
+            const probabilities = this.outputLayer.apply(x);
+            return {
+                probabilities: tf.reshape(probabilities, [beams, probabilities.shape[2]]),
+                selfCache: selfCache
+            };
+        });
+
+        this.disposeCache(state.self);
+        state.self = result.selfCache;
+        state.position++;
+        return result.probabilities;
+    }
+
+    /**
+     * Reorder the self-attention caches after beams were selected
+     * @param {Object} state - Decoding state
+     * @param {Array} parents - For each new beam, the index of the beam it extends
+     */
+    reorder(state, parents) {
+        const previous = state.self;
+        state.self = tf.tidy(() => {
+            const indices = tf.tensor1d(parents, 'int32');
+            return previous.map(cache => cache && {
+                key: tf.gather(cache.key, indices),
+                value: tf.gather(cache.value, indices)
+            });
+        });
+        this.disposeCache(previous);
+    }
+
+    /**
+     * Release the tensors held by a decoding state
+     * @param {Object} state - Decoding state
+     */
+    dispose(state) {
+        state.encoderTokens.dispose();
+        this.disposeCache(state.cross);
+        this.disposeCache(state.self);
+    }
+
+    /**
+     * Dispose a list of cached keys and values
+     * @param {Array} cache - [{ key, value }] per layer
+     */
+    disposeCache(cache) {
+        for (const entry of cache) {
+            if (entry) {
+                entry.key.dispose();
+                entry.value.dispose();
+            }
+        }
+    }
+
+    /**
+     * Project a sequence with one of an attention layer's kernels and split it into heads
+     * @param {CustomMultiHeadAttention} attention - The attention layer
+     * @param {tf.Tensor} x - Input [batch, length, dim]
+     * @param {LayerVariable} kernel - The layer's wq, wk or wv weight
+     * @returns {tf.Tensor} - Projected heads [batch, heads, length, keyDim]
+     */
+    projectHeads(attention, x, kernel) {
+        return attention.splitHeads(attention.project(x, kernel.read()), x.shape[0]);
+    }
+
+    /**
+     * Attend and apply the attention layer's output projection
+     * @param {CustomMultiHeadAttention} attention - The attention layer
+     * @param {tf.Tensor} query - Query heads
+     * @param {tf.Tensor} key - Key heads
+     * @param {tf.Tensor} value - Value heads
+     * @param {tf.Tensor} keyTokens - Key token ids for padding masks (optional)
+     * @returns {tf.Tensor} - Attention output [batch, length, dim]
+     */
+    attend(attention, query, key, value, keyTokens) {
+        const heads = attention.scaledDotProductAttention(query, key, value, false, keyTokens);
+        const combined = attention.combineHeads(heads);
+        return tf.add(attention.project(combined, attention.wo.read()), attention.woBias.read());
+    }
+}
+
+class LstmIncrementalDecoder {
+    /**
+     * @param {tf.LayersModel} model - The trained LSTM encoder-decoder
+     */
+    constructor(model) {
+        this.model = model;
+
+        // The encoder's final hidden and cell states initialize the decoder
+        const [, stateH, stateC] = model.getLayer('encoder_lstm').output;
+        this.encoderModel = tf.model({
+            inputs: model.inputs[0],
+            outputs: [stateH, stateC],
+            name: 'lstm_encoder'
+        });
+
+        this.embedding = model.getLayer('decoder_embedding');
+        this.lstm = model.getLayer('decoder_lstm');
+        this.outputLayer = model.getLayer('decoder_dense');
+    }
+
+    /**
+     * Run the encoder once
+     * @param {Array} encoderIds - Encoded input sequence
+     * @returns {Object} - Decoding state, to pass to step() and release with dispose()
+     */
+    start(encoderIds) {
+        const [stateH, stateC] = tf.tidy(() => this.encoderModel.predict(tf.tensor2d([encoderIds])));
+        return { stateH, stateC, position: 0 };
+    }
+
+    /**
+     * Feed the newest token of every beam and get the next-token probabilities
+     * @param {Object} state - Decoding state from start(); its LSTM states are updated
+     * @param {Array} tokens - Newest token id of each beam
+     * @returns {tf.Tensor} - Probabilities [beams, vocabularySize]
+     */
+    step(state, tokens) {
+        const beams = tokens.length;
+        const [probabilities, stateH, stateC] = tf.tidy(() => {
+            const x = this.embedding.apply(tf.tensor2d(tokens, [beams, 1]));
+
+            // Beams share the encoder state until the first reorder
+            const initialState = [state.stateH, state.stateC].map(s => (
+                s.shape[0] === beams ? s : tf.tile(s, [beams, 1])
+            ));
+            const [output, h, c] = this.lstm.apply(x, { initialState });
+
+            const next = this.outputLayer.apply(output);
+            return [tf.reshape(next, [beams, next.shape[2]]), h, c];
+        });
+
+        state.stateH.dispose();
+        state.stateC.dispose();
+        state.stateH = stateH;
+        state.stateC = stateC;
+        state.position++;
+        return probabilities;
+    }
+
+    /**
+     * Reorder the LSTM states after beams were selected
+     * @param {Object} state - Decoding state
+     * @param {Array} parents - For each new beam, the index of the beam it extends
+     */
+    reorder(state, parents) {
+        const [stateH, stateC] = tf.tidy(() => {
+            const indices = tf.tensor1d(parents, 'int32');
+            return [tf.gather(state.stateH, indices), tf.gather(state.stateC, indices)];
+        });
+        state.stateH.dispose();
+        state.stateC.dispose();
+        state.stateH = stateH;
+        state.stateC = stateC;
+    }
+
+    /**
+     * Release the tensors held by a decoding state
+     * @param {Object} state - Decoding state
+     */
+    dispose(state) {
+        state.stateH.dispose();
+        state.stateC.dispose();
+    }
+}
+
+// Export the classes for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IncrementalDecoder, LstmIncrementalDecoder };
+} else {
+    // For browser use
+    window.IncrementalDecoder = IncrementalDecoder;
+    window.LstmIncrementalDecoder = LstmIncrementalDecoder;
+}
@@ -1,82 +1,124 @@
+// Loaded as a script before this one in the browser (see neural-modules.js)
+if (typeof module !== 'undefined' && module.exports) {
+    var { resolveExport } = require('./neural-modules.js');
+}
 
 class CustomMultiHeadAttention extends tf.layers.Layer {
     constructor(config) {
         super(config);
         this.numHeads = config.numHeads;
-        this.keyDim = config.key_dim; // embeddingDim / numHeads
+        // embeddingDim / numHeads; restored configs arrive camelCased as keyDim
+        this.keyDim = config.key_dim !== undefined ? config.key_dim : config.keyDim;
+        this.useCausalMask = config.useCausalMask || false;
+        // When set, the last input holds the key-side token ids and padding keys are masked out
+        this.maskPadding = config.maskPadding || false;
+        this.padTokenId = config.padTokenId || 0;
         
-        // Layer গুলোকে constructor-এর ভেতরেই ইনিশিয়ালাইজ করুন
-        this.wqDense = tf.layers.dense({ units: this.numHeads * this.keyDim, useBias: false, name: 'wq' });
-        this.wkDense = tf.layers.dense({ units: this.numHeads * this.keyDim, useBias: false, name: 'wk' });
-        this.wvDense = tf.layers.dense({ units: this.numHeads * this.keyDim, useBias: false, name: 'wv' });
-        // woDense লেয়ারের units পরে build() ফাংশনে সেট হবে
-        this.woDense = null;
+        // Projection weights are created in build() once the input size is known
+        this.wq = null;
+        this.wk = null;
+        this.wv = null;
+        this.wo = null;
+        this.woBias = null;
     }
 
     build(inputShape) {
-        const lastDim = Array.isArray(inputShape[0]) ? inputShape[0][inputShape[0].length - 1] : inputShape[inputShape.length - 1];
-
-        // এখন woDense লেয়ারটি build() ফাংশনের ভেতরে তৈরি করুন, কারণ এখন lastDim জানা আছে।
-        if (this.woDense == null) {
-            this.woDense = tf.layers.dense({ units: lastDim, name: 'wo' });
+        // Cross-attention receives [query, key, value], self-attention a single input;
+        // with padding masks the key token ids are appended
+        const shapes = Array.isArray(inputShape[0]) ? [...inputShape] : [inputShape];
+        if (this.maskPadding) {
+            shapes.pop();
         }
+        const queryShape = shapes[0];
+        const keyShape = shapes.length > 1 ? shapes[1] : queryShape;
+        const queryDim = queryShape[queryShape.length - 1];
+        const keyDim = keyShape[keyShape.length - 1];
+        const projectionDim = this.numHeads * this.keyDim;
+        
+        // Weights are owned by this layer so the model trains, saves and restores them
+        this.wq = this.addWeight('wq', [queryDim, projectionDim], 'float32', tf.initializers.glorotUniform({}));
+        this.wk = this.addWeight('wk', [keyDim, projectionDim], 'float32', tf.initializers.glorotUniform({}));
+        this.wv = this.addWeight('wv', [keyDim, projectionDim], 'float32', tf.initializers.glorotUniform({}));
+        this.wo = this.addWeight('wo', [projectionDim, queryDim], 'float32', tf.initializers.glorotUniform({}));
+        this.woBias = this.addWeight('wo_bias', [queryDim], 'float32', tf.initializers.zeros());
         
-        super.build(inputShape);
         this.built = true;
     }
 
     call(inputs, kwargs) {
         return tf.tidy(() => {
-            let query, value, key;
-            if (Array.isArray(inputs)) {
-                query = inputs[0]; value = inputs[1]; key = inputs[0]; // Self-attention e query, key, value eki hoy
-                if (inputs.length > 2) { // Cross-attention-এর জন্য
-                  key = inputs[1];
-                  value = inputs[1];
-                }
-            } else {
-                query = inputs; value = inputs; key = inputs;
-            }
-            const useCausalMask = kwargs ? kwargs.useCausalMask || false : false;
+            // Self-attention e query, key, value eki hoy; cross-attention-এর জন্য [query, key, value]
+            const tensors = Array.isArray(inputs) ? [...inputs] : [inputs];
+            const keyTokens = this.maskPadding ? tensors.pop() : null;
+            const query = tensors[0];
+            const key = tensors.length > 1 ? tensors[1] : tensors[0];
+            const value = tensors.length > 2 ? tensors[2] : key;
+            const useCausalMask = kwargs && kwargs.useCausalMask !== undefined
+                ? kwargs.useCausalMask
+                : this.useCausalMask;
 
-            const q = this.wqDense.apply(query);
-            const k = this.wkDense.apply(key);
-            const v = this.wvDense.apply(value);
+            const q = this.project(query, this.wq.read());
+            const k = this.project(key, this.wk.read());
+            const v = this.project(value, this.wv.read());
             
             const splitQuery = this.splitHeads(q, query.shape[0]);
             const splitKey = this.splitHeads(k, key.shape[0]);
             const splitValue = this.splitHeads(v, value.shape[0]);
 
             const scaledAttention = this.scaledDotProductAttention(
-                splitQuery, splitKey, splitValue, useCausalMask);
+                splitQuery, splitKey, splitValue, useCausalMask, keyTokens);
 
             const combinedAttention = this.combineHeads(scaledAttention);
             
-            const output = this.woDense.apply(combinedAttention);
+            const output = tf.add(this.project(combinedAttention, this.wo.read()), this.woBias.read());
             
             return output;
         });
     }
 
-    // scaledDotProductAttention, splitHeads, combineHeads, computeOutputShape আগের মতোই থাকবে
+    /**
+     * Multiply the last axis of a [batch, length, dim] tensor by a kernel
+     * @param {tf.Tensor} x - Input tensor
+     * @param {tf.Tensor} kernel - Kernel of shape [dim, units]
+     * @returns {tf.Tensor} - Tensor of shape [batch, length, units]
+     */
+    project(x, kernel) {
+        const [batchSize, length, dim] = x.shape;
+        const flat = tf.reshape(x, [batchSize * length, dim]);
+        return tf.reshape(tf.matMul(flat, kernel), [batchSize, length, kernel.shape[1]]);
+    }
 
-    scaledDotProductAttention(q, k, v, useCausalMask) {
+    /**
+     * Attend from queries to keys, optionally hiding future and padding positions
+     * @param {tf.Tensor} q - Queries [batch, heads, queryLength, keyDim]
+     * @param {tf.Tensor} k - Keys [batch, heads, keyLength, keyDim]
+     * @param {tf.Tensor} v - Values [batch, heads, keyLength, keyDim]
+     * @param {boolean} useCausalMask - Hide keys after each query position
+     * @param {tf.Tensor} keyTokens - Key token ids [batch, keyLength]; padding keys are hidden (optional)
+     * @returns {tf.Tensor} - Attention output [batch, heads, queryLength, keyDim]
+     */
+    scaledDotProductAttention(q, k, v, useCausalMask, keyTokens = null) {
         return tf.tidy(() => {
             const matmulQk = tf.matMul(q, k, false, true);
             const dk = tf.scalar(this.keyDim, 'float32');
-            const scaledAttentionLogits = tf.div(matmulQk, tf.sqrt(dk));
+            let scaledAttentionLogits = tf.div(matmulQk, tf.sqrt(dk));
             
-            let attentionWeights;
             if (useCausalMask) {
                 const mask = tf.linalg.bandPart(tf.ones(scaledAttentionLogits.shape), -1, 0);
-                const maskedLogits = tf.add(
+                scaledAttentionLogits = tf.add(
                     scaledAttentionLogits,
                     tf.mul(tf.sub(tf.scalar(1), mask), tf.scalar(-1e9))
                 );
-                attentionWeights = tf.softmax(maskedLogits, -1);
-            } else {
-                attentionWeights = tf.softmax(scaledAttentionLogits, -1);
             }
+            
+            if (keyTokens) {
+                // [batch, keyLength] -> [batch, 1, 1, keyLength], broadcast over heads and queries
+                const padding = tf.cast(tf.equal(keyTokens, this.padTokenId), 'float32');
+                const paddingMask = tf.reshape(padding, [padding.shape[0], 1, 1, padding.shape[1]]);
+                scaledAttentionLogits = tf.add(scaledAttentionLogits, tf.mul(paddingMask, tf.scalar(-1e9)));
+            }
+            
+            const attentionWeights = tf.softmax(scaledAttentionLogits, -1);
             return tf.matMul(attentionWeights, v);
         });
     }
@@ -95,6 +137,16 @@ class CustomMultiHeadAttention extends tf.layers.Layer {
        return Array.isArray(inputShape[0]) ? inputShape[0] : inputShape;
     }
 
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            numHeads: this.numHeads,
+            key_dim: this.keyDim,
+            useCausalMask: this.useCausalMask,
+            maskPadding: this.maskPadding,
+            padTokenId: this.padTokenId
+        };
+    }
 
     static get className() {
         return 'CustomMultiHeadAttention';
@@ -102,21 +154,67 @@ class CustomMultiHeadAttention extends tf.layers.Layer {
 }
 tf.serialization.registerClass(CustomMultiHeadAttention);
 
-class LambdaLayer extends tf.layers.Layer {
+class PositionalEncodingLayer extends tf.layers.Layer {
     constructor(config) {
         super(config);
-        this.fn = config.function;
+        this.maxLength = config.maxLength;
+        this.embeddingDim = config.embeddingDim;
+        this.encoding = null;
+    }
+
+    build(inputShape) {
+        // The encoding table is derived from the config, so it never needs to be saved
+        this.encoding = tf.keep(tf.tensor2d(PositionalEncodingLayer.table(this.maxLength, this.embeddingDim)));
+        this.built = true;
     }
 
     call(inputs, kwargs) {
-        return this.fn(inputs[0]); 
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const length = x.shape[1];
+            return tf.add(x, this.encoding.slice([0, 0], [length, this.embeddingDim]));
+        });
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            maxLength: this.maxLength,
+            embeddingDim: this.embeddingDim
+        };
+    }
+
+    /**
+     * Generate the sinusoidal positional encoding table
+     * @param {number} maxLength - Maximum sequence length
+     * @param {number} embeddingDim - Embedding dimension
+     * @returns {Array} - Positional encoding matrix
+     */
+    static table(maxLength, embeddingDim) {
+        const positionalEncoding = new Array(maxLength).fill(0).map(() => new Array(embeddingDim).fill(0));
+        
+        for (let pos = 0; pos < maxLength; pos++) {
+            for (let i = 0; i < embeddingDim; i++) {
+                if (i % 2 === 0) {
+                    positionalEncoding[pos][i] = Math.sin(pos / Math.pow(10000, i / embeddingDim));
+                } else {
+                    positionalEncoding[pos][i] = Math.cos(pos / Math.pow(10000, (i - 1) / embeddingDim));
+                }
+            }
+        }
+        
+        return positionalEncoding;
     }
 
     static get className() {
-        return 'LambdaLayer';
+        return 'PositionalEncodingLayer';
     }
 }
-tf.serialization.registerClass(LambdaLayer);
+tf.serialization.registerClass(PositionalEncodingLayer);
 
 class NeuralLanguageModel {
     constructor() {
@@ -125,20 +223,69 @@ class NeuralLanguageModel {
         this.tokenizer = null;
         this.dataManager = null;
         
-        // Model parameters
+        // Runs training off the main thread when set (see TrainingManager)
+        this.trainingManager = null;
+        
+        // Trains on collected data in the background when set (see TrainingScheduler)
+        this.trainingScheduler = null;
+        
+        // Samples past examples to train on alongside new ones (see ReplayBuffer)
+        this.replayBuffer = null;
+        
+        // Holds out a test split and scores the model on it (see ModelEvaluator)
+        this.evaluator = null;
+        
+        // Answers from stored corrections and conversations by similarity (see ResponseMemory)
+        this.responseMemory = null;
+        
+        // Set by stopTraining() to end the current training run after the next batch
+        this.stopRequested = false;
+        
+        // Decodes with cached encoder output and keys/values; rebuilt when the model changes
+        this.incrementalDecoder = null;
+        
+        // Decoding options (see DecodingStrategy); options for a learning mode override the defaults
+        this.decoding = {
+            defaults: {
+                strategy: 'beam',
+                beamWidth: 3,
+                lengthPenalty: 1.0,
+                noRepeatNgramSize: 3
+            },
+            modes: {
+                conversation: { strategy: 'sample', topK: 40, topP: 0.9, repetitionPenalty: 1.2 },
+                vocabulary: { strategy: 'greedy', maxLength: 16 },
+                grammar: { strategy: 'beam', beamWidth: 4 },
+                writing: { strategy: 'beam', beamWidth: 4, lengthPenalty: 1.2 }
+            }
+        };
+        
+        // Training run options (see neural-training-callbacks.js); trainModel() options override them
+        this.training = {
+            schedule: { type: 'cosine', warmupRatio: 0.1, minLearningRate: 0 },
+            clipNorm: 1.0,
+            earlyStopping: { patience: 2, minDelta: 0.001, restoreBestWeights: true },
+            checkpointEvery: 1,     // Epochs between checkpoints (0 disables them)
+            checkpointMinEpochs: 3  // Shorter runs are cheaper to repeat than to checkpoint
+        };
+        
+        // Model parameters; the size parameters are set by the architecture (see ModelArchitectures)
         this.parameters = {
+            architecture: 'transformer-small',
             learningRate: 0.001,
             batchSize: 32,
             epochs: 5,
-            embeddingDim: 512,       // Increased from 256
-            hiddenUnits: 512,        // Increased from 256
-            maxSequenceLength: 128,   // Increased from 64
+            embeddingDim: 128,
+            hiddenUnits: 256,        // LSTM architectures
+            maxSequenceLength: 128,
             vocabularySize: 10000,
+            maxVocabularySize: 20000, // Upper bound when the vocabulary grows
             temperature: 0.7,
-            numHeads: 8,             // Increased from 8
-            numLayers: 8,            // Increased from 4
-            ffDim: 2048,             // Increased from 1024
-            dropoutRate: 0.1         // New: dropout rate
+            numHeads: 4,             // Transformer architectures
+            numLayers: 4,            // Transformer architectures
+            ffDim: 512,              // Transformer architectures
+            dropoutRate: 0.1,        // New: dropout rate
+            contextTurns: 2          // Earlier turns encoded before the input (0 for the input only)
         };
         
         // Conversation context
@@ -166,24 +313,54 @@ class NeuralLanguageModel {
      * Initialize the neural language model
      * @param {Object} dataManager - The data manager instance
      * @param {Object} options - Initialization options
+     * @param {string} options.architecture - Architecture name (see ModelArchitectures); a saved model
+     *                                        of another architecture is replaced by a new one
+     * @param {Object} options.parameters - Parameters that override the architecture's presets
+     * @param {Object} options.retrieval - Response memory options (see ResponseMemory)
+     * @param {Object} options.training - Learning rate schedule, clipping, early stopping and checkpoint options
      */
     async initialize(dataManager, options = {}) {
-        console.log("Initializing Neural Language Model (Transformer)...");
+        console.log("Initializing Neural Language Model...");
         this.dataManager = dataManager;
+        this.training = { ...this.training, ...options.training };
         
-        // Override default parameters with provided options
-        if (options.parameters) {
-            this.parameters = { ...this.parameters, ...options.parameters };
+        // The architecture's presets set the model size
+        const Architectures = resolveExport('ModelArchitectures', './neural-architectures.js');
+        const architecture = Architectures.get(options.architecture || this.parameters.architecture);
+        if (!architecture) {
+            console.error(`Unknown model architecture: ${options.architecture}`);
+            return false;
         }
         
+        // Override default parameters with provided options
+        this.parameters = {
+            ...this.parameters,
+            ...architecture.parameters,
+            architecture: architecture.name,
+            ...options.parameters
+        };
+        
+        // Mix corrections with past examples so one correction does not erase the rest
+        const ReplayBuffer = resolveExport('ReplayBuffer', './neural-replay-buffer.js');
+        this.replayBuffer = new ReplayBuffer(dataManager, options.replay);
+        
+        // Held-out pairs are never trained on, so evaluation scores are honest
+        const ModelEvaluator = resolveExport('ModelEvaluator', './neural-evaluator.js');
+        this.evaluator = new ModelEvaluator(this, dataManager, options.evaluation);
+        
+        // Stored corrections answer inputs the model cannot handle yet
+        const ResponseMemory = resolveExport('ResponseMemory', './neural-response-memory.js');
+        this.responseMemory = new ResponseMemory(dataManager, options.retrieval);
+        
         // Initialize tokenizer
         await this.initializeTokenizer();
         
         // Create or load model
-        await this.initializeModel();
+        await this.initializeModel(options.architecture);
+        await this.addControlTokens(this.getControlTokens());
         
         this.initialized = true;
-        console.log("Neural Language Model (Transformer) initialized successfully");
+        console.log(`Neural Language Model (${this.parameters.architecture}) initialized successfully`);
         return true;
     }
 
@@ -191,184 +368,13 @@ class NeuralLanguageModel {
      * Initialize the tokenizer for text processing
      */
     async initializeTokenizer() {
-        console.log("Initializing subword tokenizer...");
-        
-        // In a real implementation, we would use a proper subword tokenizer like WordPiece or SentencePiece
-        // For this implementation, we'll extend our basic tokenizer with subword capabilities
-        this.tokenizer = {
-            word2idx: new Map(),
-            idx2word: new Map(),
-            subwords: new Map(),  // Map to store subword units
-            vocabSize: 0,
-            
-            fit: async function(texts) {
-                // Reset vocabulary
-                this.word2idx.clear();
-                this.idx2word.clear();
-                this.subwords.clear();
-                
-                // Add special tokens
-                this.word2idx.set('<PAD>', 0);
-                this.word2idx.set('<UNK>', 1);
-                this.word2idx.set('<START>', 2);
-                this.word2idx.set('<END>', 3);
-                
-                this.idx2word.set(0, '<PAD>');
-                this.idx2word.set(1, '<UNK>');
-                this.idx2word.set(2, '<START>');
-                this.idx2word.set(3, '<END>');
-                
-                let idx = 4;
-                
-                // First pass: collect word frequencies
-                const wordFreq = new Map();
-                for (const text of texts) {
-                    const words = text.toLowerCase().split(/\s+/);
-                    for (const word of words) {
-                        const count = wordFreq.get(word) || 0;
-                        wordFreq.set(word, count + 1);
-                    }
-                }
-                
-                // Second pass: extract common subwords (simplified approach)
-                // In a real implementation, this would use byte-pair encoding or WordPiece algorithm
-                const subwordCandidates = new Map();
-                
-                // Extract character n-grams (2-4 chars) from words
-                for (const [word, freq] of wordFreq.entries()) {
-                    if (word.length <= 1) continue;
-                    
-                    // Extract subwords of length 2-4
-                    for (let n = 2; n <= 4; n++) {
-                        if (word.length < n) continue;
-                        
-                        for (let i = 0; i <= word.length - n; i++) {
-                            const subword = word.substring(i, i + n);
-                            const subwordCount = subwordCandidates.get(subword) || 0;
-                            subwordCandidates.set(subword, subwordCount + freq);
-                        }
-                    }
-                }
-                
-                // Filter subwords by frequency (keep top 5000)
-                const sortedSubwords = [...subwordCandidates.entries()]
-                    .sort((a, b) => b[1] - a[1])
-                    .slice(0, 5000);
-                
-                // Add subwords to vocabulary
-                for (const [subword, _] of sortedSubwords) {
-                    this.word2idx.set(subword, idx);
-                    this.idx2word.set(idx, subword);
-                    this.subwords.set(subword, idx);
-                    idx++;
-                }
-                
-                // Add whole words that weren't broken into subwords
-                for (const [word, _] of wordFreq.entries()) {
-                    if (!this.word2idx.has(word)) {
-                        this.word2idx.set(word, idx);
-                        this.idx2word.set(idx, word);
-                        idx++;
-                    }
-                }
-                
-                this.vocabSize = this.word2idx.size;
-                console.log(`Subword tokenizer initialized with vocabulary size: ${this.vocabSize}`);
-                return this;
-            },
-            
-            encode: function(text, maxLength) {
-                const words = text.toLowerCase().split(/\s+/);
-                const result = [this.word2idx.get('<START>')];
-                
-                for (const word of words) {
-                    // Try to find the word in vocabulary
-                    if (this.word2idx.has(word)) {
-                        result.push(this.word2idx.get(word));
-                    } else {
-                        // If word not found, break it into subwords
-                        let wordEncoded = false;
-                        
-                        // Try to match subwords
-                        for (let i = 0; i < word.length;) {
-                            let matched = false;
-                            
-                            // Try to match longest subword first
-                            for (let len = Math.min(4, word.length - i); len >= 2; len--) {
-                                const subword = word.substring(i, i + len);
-                                if (this.subwords.has(subword)) {
-                                    result.push(this.subwords.get(subword));
-                                    i += len;
-                                    matched = true;
-                                    wordEncoded = true;
-                                    break;
-                                }
-                            }
-                            
-                            // If no subword matched, add character as UNK
-                            if (!matched) {
-                                result.push(this.word2idx.get('<UNK>'));
-                                i++;
-                            }
-                        }
-                        
-                        // If no subwords matched at all, use UNK for the whole word
-                        if (!wordEncoded) {
-                            result.push(this.word2idx.get('<UNK>'));
-                        }
-                    }
-                    
-                    if (result.length >= maxLength - 1) break;
-                }
-                
-                result.push(this.word2idx.get('<END>'));
-                
-                // Pad sequence
-                while (result.length < maxLength) {
-                    result.push(this.word2idx.get('<PAD>'));
-                }
-                
-                return result;
-            },
-            
-            decode: function(sequence) {
-                let result = [];
-                let currentWord = '';
-                
-                for (const idx of sequence) {
-                    if (idx === this.word2idx.get('<PAD>') || 
-                        idx === this.word2idx.get('<START>')) continue;
-                    if (idx === this.word2idx.get('<END>')) break;
-                    
-                    const token = this.idx2word.get(idx);
-                    
-                    // Check if it's a subword
-                    if (this.subwords.has(token)) {
-                        currentWord += token;
-                    } else {
-                        // If we have accumulated subwords, add the current word
-                        if (currentWord.length > 0) {
-                            result.push(currentWord);
-                            currentWord = '';
-                        }
-                        
-                        // Add the full word
-                        if (token !== '<UNK>') {
-                            result.push(token);
-                        } else {
-                            result.push('?');  // Replace UNK with a question mark
-                        }
-                    }
-                }
-                
-                // Add any remaining subwords
-                if (currentWord.length > 0) {
-                    result.push(currentWord);
-                }
-                
-                return result.join(' ');
-            }
-        };
+        console.log("Initializing BPE tokenizer...");
+        
+        // Byte-pair encoding keeps ids within the model's vocabulary size
+        const BPETokenizer = resolveExport('BPETokenizer', './neural-tokenizer.js');
+        this.tokenizer = new BPETokenizer({
+            maxVocabSize: this.parameters.vocabularySize
+        });
         
         // If we have existing data, fit the tokenizer
         const trainingData = await this.dataManager.getTrainingData();
@@ -377,20 +383,201 @@ class NeuralLanguageModel {
         }
     }
 
+    /**
+     * Add tokens for new texts to the end of the vocabulary
+     * Existing token ids are kept; if the vocabulary outgrows the model, the
+     * embedding and output layers are resized.
+     * @param {Array} texts - New texts
+     */
+    async updateVocabulary(texts) {
+        this.tokenizer.maxVocabSize = Math.max(this.tokenizer.maxVocabSize, this.parameters.maxVocabularySize);
+        await this.tokenizer.update(texts);
+        await this.fitVocabulary();
+    }
+
+    /**
+     * Register control tokens with the tokenizer, growing the model if they do not fit
+     * @param {Array} tokens - Control tokens
+     */
+    async addControlTokens(tokens) {
+        for (const token of tokens) {
+            this.tokenizer.addControlToken(token);
+        }
+        await this.fitVocabulary();
+    }
+
+    /**
+     * Get every control token the model uses: speaker separators and the
+     * target language, learner level and learning mode conditions
+     * @returns {Array} - Control tokens
+     */
+    getControlTokens() {
+        const languages = (this.dataManager && this.dataManager.userProfile &&
+            this.dataManager.userProfile.supportedLanguages) || ['en', 'bn'];
+        const { level, mode } = NeuralLanguageModel.CONTROL_VALUES;
+        
+        return [
+            ...Object.values(NeuralLanguageModel.SPEAKER_TOKENS),
+            ...languages.map(value => NeuralLanguageModel.controlToken('lang', value)),
+            ...level.map(value => NeuralLanguageModel.controlToken('level', value)),
+            ...mode.map(value => NeuralLanguageModel.controlToken('mode', value))
+        ];
+    }
+
+    /**
+     * Resize the embedding and output layers if the vocabulary outgrew them
+     */
+    async fitVocabulary() {
+        if (this.tokenizer.vocabSize > this.parameters.vocabularySize) {
+            // Grow in steps of 1000 so the layers are not rebuilt for every new token
+            const vocabularySize = Math.min(
+                Math.ceil(this.tokenizer.vocabSize / 1000) * 1000,
+                this.parameters.maxVocabularySize
+            );
+            await this.resizeVocabulary(vocabularySize);
+        }
+    }
+
+    /**
+     * Rebuild the model with a larger vocabulary, keeping all learned weights
+     * The embedding rows and output units of existing tokens are copied; rows for
+     * new tokens start from the new layers' initial values.
+     * @param {number} vocabularySize - New vocabulary size
+     */
+    async resizeVocabulary(vocabularySize) {
+        console.log(`Resizing vocabulary from ${this.parameters.vocabularySize} to ${vocabularySize}...`);
+
+        const oldModel = this.model;
+        this.parameters.vocabularySize = vocabularySize;
+        await this.createModel();
+
+        // Both models are built by createModel(), so their layers line up by index
+        oldModel.layers.forEach((oldLayer, i) => {
+            const oldWeights = oldLayer.getWeights();
+            if (oldWeights.length === 0) return;
+
+            const newWeights = this.model.layers[i].getWeights();
+            const grown = oldWeights.map((weight, j) => this.growWeight(weight, newWeights[j]));
+            this.model.layers[i].setWeights(grown);
+            grown.forEach((weight, j) => {
+                if (weight !== oldWeights[j]) weight.dispose();
+            });
+        });
+
+        this.disposeModel(oldModel);
+    }
+
+    /**
+     * Extend a weight tensor to a larger shape along the one axis that differs
+     * @param {tf.Tensor} oldWeight - Learned weight
+     * @param {tf.Tensor} newWeight - Freshly initialized weight of the target shape
+     * @returns {tf.Tensor} - Old values followed by the new initial values
+     */
+    growWeight(oldWeight, newWeight) {
+        const axis = oldWeight.shape.findIndex((size, k) => size !== newWeight.shape[k]);
+        if (axis === -1) {
+            return oldWeight;
+        }
+
+        return tf.tidy(() => {
+            const begin = oldWeight.shape.map((size, k) => (k === axis ? size : 0));
+            return tf.concat([oldWeight, newWeight.slice(begin)], axis);
+        });
+    }
+
+    /**
+     * Get the id that identifies this model in the evaluation history
+     * The id is kept with the training metrics, so it survives saving, loading and export.
+     * @returns {string} - The model id
+     */
+    getModelId() {
+        if (!this.trainingMetrics.modelId) {
+            this.trainingMetrics.modelId = `model-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        return this.trainingMetrics.modelId;
+    }
+
+    /**
+     * Get the definition of the current model's architecture
+     * @returns {Object} - { name, family, description, parameters }
+     */
+    getArchitecture() {
+        const Architectures = resolveExport('ModelArchitectures', './neural-architectures.js');
+        return Architectures.get(this.parameters.architecture) || Architectures.get('transformer');
+    }
+
+    /**
+     * Get the incremental decoder for the current model
+     * @returns {Object} - An IncrementalDecoder or LstmIncrementalDecoder
+     */
+    getIncrementalDecoder() {
+        if (!this.incrementalDecoder || this.incrementalDecoder.model !== this.model) {
+            const name = this.getArchitecture().family === 'lstm' ? 'LstmIncrementalDecoder' : 'IncrementalDecoder';
+            const Decoder = resolveExport(name, './neural-incremental-decoder.js');
+            this.incrementalDecoder = new Decoder(this.model, this.parameters);
+        }
+        return this.incrementalDecoder;
+    }
+
+    /**
+     * Change the decoding options
+     * @param {Object} options - Decoding options (see DecodingStrategy)
+     * @param {string} mode - Learning mode the options apply to (null for the defaults)
+     */
+    setDecodingOptions(options, mode = null) {
+        if (mode) {
+            this.decoding.modes[mode] = { ...this.decoding.modes[mode], ...options };
+        } else {
+            this.decoding.defaults = { ...this.decoding.defaults, ...options };
+        }
+    }
+
+    /**
+     * Resolve the decoding options for a response
+     * @param {string} mode - Learning mode (optional)
+     * @param {Object} overrides - Options for this response only (optional)
+     * @returns {Object} - The decoding options
+     */
+    getDecodingOptions(mode = null, overrides = {}) {
+        const options = {
+            temperature: this.parameters.temperature,
+            ...this.decoding.defaults,
+            ...(mode && this.decoding.modes[mode]),
+            ...overrides
+        };
+        
+        // Positional encodings only cover maxSequenceLength positions
+        const limit = this.parameters.maxSequenceLength - 1;
+        options.maxLength = Math.min(options.maxLength || limit, limit);
+        return options;
+    }
+
     /**
      * Initialize the neural network model
+     * @param {string} requestedArchitecture - Architecture selected at init, if any
      */
-    async initializeModel() {
-        console.log("Initializing transformer model...");
+    async initializeModel(requestedArchitecture = null) {
+        console.log("Initializing neural network model...");
+        
+        const requestedParameters = { ...this.parameters };
+        const initialMetrics = { ...this.trainingMetrics };
         
         try {
             // Try to load an existing model
             const savedModel = await this.loadModel();
-            if (savedModel) {
+            if (savedModel && (!requestedArchitecture || this.parameters.architecture === requestedArchitecture)) {
                 console.log("Loaded existing model");
                 this.model = savedModel;
                 return;
             }
+            
+            if (savedModel) {
+                // Start a new model of the selected architecture on the saved vocabulary
+                console.log(`Saved model is ${this.parameters.architecture}, creating a new ${requestedArchitecture} model`);
+                this.disposeModel(savedModel);
+                this.parameters = { ...requestedParameters, vocabularySize: this.parameters.vocabularySize };
+                this.trainingMetrics = initialMetrics;
+            }
         } catch (error) {
             console.log("No existing model found, creating a new one");
         }
@@ -400,15 +587,32 @@ class NeuralLanguageModel {
     }
 
     /**
-     * Create a new transformer-based model using TensorFlow.js
+     * Create a new model of the selected architecture using TensorFlow.js
      */
     async createModel() {
-    console.log("Creating new transformer model...");
+    const architecture = this.getArchitecture();
+    console.log(`Creating new ${architecture.name} model...`);
     if (typeof tf === 'undefined') {
         console.error("TensorFlow.js is not loaded.");
         return false;
     }
 
+    this.model = architecture.family === 'lstm'
+        ? this.buildLstmModel()
+        : this.buildTransformerModel();
+
+    this.compileModel();
+
+    console.log(`${architecture.name} model created successfully`);
+    this.model.summary();
+    return true;
+}
+
+    /**
+     * Build the transformer encoder-decoder graph
+     * @returns {tf.LayersModel} - The uncompiled model
+     */
+    buildTransformerModel() {
     const {
         vocabularySize,
         embeddingDim,
@@ -419,8 +623,6 @@ class NeuralLanguageModel {
         maxSequenceLength
     } = this.parameters;
 
-    const posEncodingTensor = tf.tensor(this.positionalEncoding(maxSequenceLength, embeddingDim));
-
     // Encoder
     const encoderInputs = tf.layers.input({ shape: [null], name: 'encoder_inputs' });
     const encoderEmbedding = tf.layers.embedding({
@@ -429,15 +631,17 @@ class NeuralLanguageModel {
         name: 'encoder_embedding'
     }).apply(encoderInputs);
 
-    // LambdaLayer ব্যবহার করে পজিশনাল এনকোডিং যোগ করা
-    let encoderOutputs = new LambdaLayer({
-        function: (x) => tf.add(x, posEncodingTensor)
+    // Add positional encoding with a serializable layer
+    let encoderOutputs = new PositionalEncodingLayer({
+        maxLength: maxSequenceLength,
+        embeddingDim: embeddingDim,
+        name: 'encoder_positional_encoding'
     }).apply(encoderEmbedding);
     
     // Encoder transformer blocks
     for (let i = 0; i < numLayers; i++) {
         encoderOutputs = this.transformerBlock(
-            encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `encoder_${i}`
+            encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `encoder_${i}`, false, encoderInputs
         );
     }
     
@@ -449,18 +653,20 @@ class NeuralLanguageModel {
         name: 'decoder_embedding'
     }).apply(decoderInputs);
     
-    // LambdaLayer ব্যবহার করে পজিশনাল এনকোডিং যোগ করা
-    let decoderOutputs = new LambdaLayer({
-        function: (x) => tf.add(x, posEncodingTensor)
+    // Add positional encoding with a serializable layer
+    let decoderOutputs = new PositionalEncodingLayer({
+        maxLength: maxSequenceLength,
+        embeddingDim: embeddingDim,
+        name: 'decoder_positional_encoding'
     }).apply(decoderEmbedding);
 
     // Decoder transformer blocks
     for (let i = 0; i < numLayers; i++) {
         decoderOutputs = this.transformerBlock(
-            decoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `decoder_self_${i}`, true
+            decoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `decoder_self_${i}`, true, decoderInputs
         );
         decoderOutputs = this.crossAttentionBlock(
-            decoderOutputs, encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `decoder_cross_${i}`
+            decoderOutputs, encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, `decoder_cross_${i}`, encoderInputs
         );
     }
     
@@ -470,22 +676,161 @@ class NeuralLanguageModel {
         name: 'decoder_dense'
     }).apply(decoderOutputs);
     
-    this.model = tf.model({
+    return tf.model({
         inputs: [encoderInputs, decoderInputs],
         outputs: decoderOutputsFinal,
         name: 'transformer_model'
     });
+}
 
-    this.model.compile({
-        optimizer: tf.train.adam(this.parameters.learningRate),
-        loss: 'categoricalCrossentropy',
-        metrics: ['accuracy']
-    });
+    /**
+     * Build the LSTM encoder-decoder graph
+     * The encoder's final state initializes the decoder; padding is masked in the encoder.
+     * @returns {tf.LayersModel} - The uncompiled model
+     */
+    buildLstmModel() {
+        const { vocabularySize, embeddingDim, hiddenUnits } = this.parameters;
+        
+        // Encoder
+        const encoderInputs = tf.layers.input({ shape: [null], name: 'encoder_inputs' });
+        const encoderEmbedding = tf.layers.embedding({
+            inputDim: vocabularySize,
+            outputDim: embeddingDim,
+            maskZero: true,
+            name: 'encoder_embedding'
+        }).apply(encoderInputs);
+        
+        const [, encoderStateH, encoderStateC] = tf.layers.lstm({
+            units: hiddenUnits,
+            returnState: true,
+            name: 'encoder_lstm'
+        }).apply(encoderEmbedding);
+        
+        // Decoder
+        const decoderInputs = tf.layers.input({ shape: [null], name: 'decoder_inputs' });
+        const decoderEmbedding = tf.layers.embedding({
+            inputDim: vocabularySize,
+            outputDim: embeddingDim,
+            name: 'decoder_embedding'
+        }).apply(decoderInputs);
+        
+        const [decoderOutputs] = tf.layers.lstm({
+            units: hiddenUnits,
+            returnSequences: true,
+            returnState: true,
+            name: 'decoder_lstm'
+        }).apply(decoderEmbedding, { initialState: [encoderStateH, encoderStateC] });
+        
+        const decoderOutputsFinal = tf.layers.dense({
+            units: vocabularySize,
+            activation: 'softmax',
+            name: 'decoder_dense'
+        }).apply(decoderOutputs);
+        
+        return tf.model({
+            inputs: [encoderInputs, decoderInputs],
+            outputs: decoderOutputsFinal,
+            name: 'seq2seq_model'
+        });
+    }
 
-    console.log("Transformer model created successfully");
-    this.model.summary();
-    return true;
-}
+    /**
+     * Free a model and its optimizer state
+     * @param {tf.LayersModel} model - The model to dispose
+     */
+    disposeModel(model) {
+        // compile() does not take ownership of optimizer instances
+        if (model.optimizer) {
+            model.optimizer.dispose();
+        }
+        model.dispose();
+    }
+
+    /**
+     * Compile the current model with the configured optimizer and loss
+     */
+    compileModel() {
+        const GradientClipping = resolveExport('GradientClipping', './neural-training-callbacks.js');
+        this.model.compile({
+            optimizer: GradientClipping.wrap(tf.train.adam(this.parameters.learningRate), this.training.clipNorm),
+            loss: NeuralLanguageModel.maskedLoss,
+            metrics: [NeuralLanguageModel.maskedAccuracy]
+        });
+    }
+
+    /**
+     * Control tokens that separate the speakers of earlier turns in the encoder input
+     */
+    static get SPEAKER_TOKENS() {
+        return { user: '<USER>', bot: '<BOT>' };
+    }
+
+    /**
+     * Learner levels and learning modes that have a control token
+     */
+    static get CONTROL_VALUES() {
+        return {
+            level: ['beginner', 'elementary', 'intermediate', 'advanced', 'expert'],
+            mode: ['conversation', 'vocabulary', 'grammar', 'reading', 'writing', 'pronunciation']
+        };
+    }
+
+    /**
+     * Name of the control token for a condition
+     * @param {string} name - 'lang', 'level' or 'mode'
+     * @param {string} value - Condition value, such as 'bn'
+     * @returns {string} - The token, such as <lang=bn>
+     */
+    static controlToken(name, value) {
+        return `<${name}=${value}>`;
+    }
+
+    /**
+     * Token id used for padding (reserved by BPETokenizer)
+     */
+    static get PAD_ID() {
+        return 0;
+    }
+
+    /**
+     * Weight of every target position: 0 where the target is padding, 1 elsewhere
+     * @param {tf.Tensor} yTrue - One-hot targets [batch, length, vocabularySize]
+     * @returns {tf.Tensor} - Mask [batch, length]
+     */
+    static targetMask(yTrue) {
+        const [batchSize, length] = yTrue.shape;
+        const padding = tf.slice(yTrue, [0, 0, NeuralLanguageModel.PAD_ID], [batchSize, length, 1]);
+        return tf.sub(1, tf.reshape(padding, [batchSize, length]));
+    }
+
+    /**
+     * Categorical cross-entropy averaged over non-padding target positions
+     * @param {tf.Tensor} yTrue - One-hot targets
+     * @param {tf.Tensor} yPred - Predicted probabilities
+     * @returns {tf.Tensor} - Scalar loss
+     */
+    static maskedLoss(yTrue, yPred) {
+        return tf.tidy(() => {
+            const mask = NeuralLanguageModel.targetMask(yTrue);
+            const crossEntropy = tf.metrics.categoricalCrossentropy(yTrue, yPred);
+            return tf.div(tf.sum(tf.mul(crossEntropy, mask)), tf.maximum(tf.sum(mask), 1));
+        });
+    }
+
+    /**
+     * Token accuracy over non-padding target positions
+     * Reported by TensorFlow.js under the name 'maskedAccuracy'.
+     * @param {tf.Tensor} yTrue - One-hot targets
+     * @param {tf.Tensor} yPred - Predicted probabilities
+     * @returns {tf.Tensor} - Scalar accuracy
+     */
+    static maskedAccuracy(yTrue, yPred) {
+        return tf.tidy(() => {
+            const mask = NeuralLanguageModel.targetMask(yTrue);
+            const correct = tf.cast(tf.equal(tf.argMax(yTrue, -1), tf.argMax(yPred, -1)), 'float32');
+            return tf.div(tf.sum(tf.mul(correct, mask)), tf.maximum(tf.sum(mask), 1));
+        });
+    }
     /**
      * Create a transformer block
      * @param {tf.Tensor} inputs - Input tensor
@@ -495,21 +840,20 @@ class NeuralLanguageModel {
      * @param {number} dropoutRate - Dropout rate
      * @param {string} name - Block name
      * @param {boolean} useMasking - Whether to use masking (for decoder self-attention)
+     * @param {tf.SymbolicTensor} tokenIds - Token ids of the sequence; padding positions are masked (optional)
      * @returns {tf.Tensor} - Output tensor
      */
-    transformerBlock(inputs, embeddingDim, numHeads, ffDim, dropoutRate, name, useMasking = false) {
+    transformerBlock(inputs, embeddingDim, numHeads, ffDim, dropoutRate, name, useMasking = false, tokenIds = null) {
     const attention = new CustomMultiHeadAttention({
         numHeads: numHeads,
         key_dim: embeddingDim / numHeads,
+        useCausalMask: useMasking,
+        maskPadding: tokenIds !== null,
+        padTokenId: NeuralLanguageModel.PAD_ID,
         name: `${name}_attention`
     });
     
-    let attentionOutput;
-    if (useMasking) {
-        attentionOutput = attention.apply(inputs, { useCausalMask: true });
-    } else {
-        attentionOutput = attention.apply(inputs);
-    }
+    const attentionOutput = attention.apply(tokenIds ? [inputs, tokenIds] : inputs);
     
     const addLayer1 = tf.layers.add();
     let attentionNormalized = tf.layers.layerNormalization({
@@ -549,16 +893,21 @@ class NeuralLanguageModel {
      * @param {number} ffDim - Feed-forward dimension
      * @param {number} dropoutRate - Dropout rate
      * @param {string} name - Block name
+     * @param {tf.SymbolicTensor} encoderTokenIds - Encoder token ids; padding positions are masked (optional)
      * @returns {tf.Tensor} - Output tensor
      */
-    crossAttentionBlock(decoderInputs, encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, name) {
+    crossAttentionBlock(decoderInputs, encoderOutputs, embeddingDim, numHeads, ffDim, dropoutRate, name, encoderTokenIds = null) {
     const crossAttention = new CustomMultiHeadAttention({
         numHeads: numHeads,
         key_dim: embeddingDim / numHeads,
+        maskPadding: encoderTokenIds !== null,
+        padTokenId: NeuralLanguageModel.PAD_ID,
         name: `${name}_cross_attention`
     });
     
-    const crossAttentionOutput = crossAttention.apply([decoderInputs, encoderOutputs, encoderOutputs]);
+    const crossAttentionOutput = crossAttention.apply(encoderTokenIds
+        ? [decoderInputs, encoderOutputs, encoderTokenIds]
+        : [decoderInputs, encoderOutputs, encoderOutputs]);
 
     const addLayer1 = tf.layers.add();
     const crossAttentionNormalized = tf.layers.layerNormalization({
@@ -596,25 +945,50 @@ class NeuralLanguageModel {
      * @returns {Array} - Positional encoding matrix
      */
     positionalEncoding(maxLength, embeddingDim) {
-        const positionalEncoding = new Array(maxLength).fill(0).map(() => new Array(embeddingDim).fill(0));
-        
-        for (let pos = 0; pos < maxLength; pos++) {
-            for (let i = 0; i < embeddingDim; i++) {
-                if (i % 2 === 0) {
-                    positionalEncoding[pos][i] = Math.sin(pos / Math.pow(10000, i / embeddingDim));
-                } else {
-                    positionalEncoding[pos][i] = Math.cos(pos / Math.pow(10000, (i - 1) / embeddingDim));
-                }
-            }
-        }
-        
-        return positionalEncoding;
+        return PositionalEncodingLayer.table(maxLength, embeddingDim);
+    }
+
+    /**
+     * Train the model, off the main thread if a training manager is attached
+     * @param {Array} conversationData - Array of conversation pairs [input, output]
+     * @param {Object} options - Training options (see trainModel)
+     * @returns {boolean} - True if training completed
+     */
+    async train(conversationData, options = {}) {
+        if (this.evaluator) {
+            conversationData = this.evaluator.filterTrainingPairs(conversationData);
+        }
+        
+        if (this.trainingManager) {
+            return this.trainingManager.train(conversationData, options);
+        }
+        return this.trainModel(conversationData, options);
+    }
+
+    /**
+     * Ask the current training run to stop after the next batch
+     * The run returns false and neither the metrics nor the saved model are updated.
+     */
+    stopTraining() {
+        this.stopRequested = true;
     }
 
     /**
      * Train the model on conversation data with curriculum learning
      * @param {Array} conversationData - Array of conversation pairs [input, output]
      * @param {Object} options - Training options
+     * @param {Function} options.onProgress - Called after every batch and epoch; training waits
+     *                                        for a returned promise, which lets callers pause it
+     * @param {Object} options.schedule - Learning rate schedule { type, warmupSteps, warmupRatio, minLearningRate }
+     * @param {number} options.clipNorm - Maximum global gradient norm (0 disables clipping)
+     * @param {Object|boolean} options.earlyStopping - { patience, minDelta, restoreBestWeights }, or false
+     * @param {number} options.checkpointEvery - Epochs between checkpoints (0 disables them)
+     * @param {number} options.checkpointMinEpochs - Runs with fewer epochs are not checkpointed
+     * @param {Function} options.onCheckpoint - Receives each checkpoint; saves through the data manager by default
+     * @param {Object} options.resumeFrom - Progress of an interrupted run (see resumeTraining())
+     * @param {boolean} options.snapshot - Set to false to skip the model snapshot taken after the run
+     * @param {boolean} options.automatic - Set for background runs (see TrainingScheduler); their snapshots
+     *                                      are skipped when the data is unchanged and never evict manual ones
      */
     async trainModel(conversationData, options = {}) {
         if (!this.initialized || !this.model) {
@@ -629,13 +1003,25 @@ class NeuralLanguageModel {
             batchSize: options.batchSize || this.parameters.batchSize,
             validationSplit: options.validationSplit || 0.1
         };
+        const runOptions = {
+            schedule: { ...this.training.schedule, ...options.schedule },
+            clipNorm: options.clipNorm !== undefined ? options.clipNorm : this.training.clipNorm,
+            earlyStopping: options.earlyStopping === false
+                ? false
+                : { ...this.training.earlyStopping, ...options.earlyStopping },
+            checkpointEvery: options.checkpointEvery !== undefined ? options.checkpointEvery : this.training.checkpointEvery,
+            checkpointMinEpochs: options.checkpointMinEpochs !== undefined
+                ? options.checkpointMinEpochs
+                : this.training.checkpointMinEpochs
+        };
+        const resumeFrom = options.resumeFrom || null;
         
         // Implement curriculum learning
         // Sort data by difficulty if available
         let curriculumData = [...conversationData];
         
-        // Check if we have difficulty metadata
-        const hasDifficultyMetadata = conversationData.some(pair => 
+        // Check if we have difficulty metadata; a resumed run keeps the pairs it started with
+        const hasDifficultyMetadata = !resumeFrom && conversationData.some(pair => 
             pair.length > 2 && pair[2] && typeof pair[2].difficulty === 'string'
         );
         
@@ -678,39 +1064,108 @@ class NeuralLanguageModel {
             }
         }
         
+        // Add tokens for new words without changing the ids the model was trained on
+        await this.updateVocabulary(curriculumData.flatMap(pair => [pair[0], pair[1]]));
+
         // Prepare training data
-        const encoderInputData = [];
-        const decoderInputData = [];
-        const decoderTargetData = [];
-        
-        const maxLength = this.parameters.maxSequenceLength;
-        
-        for (const pair of curriculumData) {
-            const input = pair[0];
-            const output = pair[1];
-            
-            // Encode input sequence
-            const encoderInput = this.tokenizer.encode(input, maxLength);
-            encoderInputData.push(encoderInput);
-            
-            // Encode output sequence for decoder input (shifted by one)
-            const decoderInput = this.tokenizer.encode(output, maxLength);
-            decoderInputData.push(decoderInput);
-            
-            // Encode target sequence (shifted by one compared to decoder input)
-            const decoderTarget = [...decoderInput.slice(1), this.tokenizer.word2idx.get('<PAD>')];
-            decoderTargetData.push(decoderTarget);
-        }
+        const { encoderInputData, decoderInputData, decoderTargetData } = this.encodePairs(curriculumData);
         
         // Convert to tensors
         const encoderInputTensor = tf.tensor2d(encoderInputData);
         const decoderInputTensor = tf.tensor2d(decoderInputData);
         
-        // One-hot encode the decoder target data
-        const decoderTargetTensor = tf.oneHot(
-            tf.tensor2d(decoderTargetData), 
-            this.tokenizer.vocabSize
-        );
+        // One-hot encode the decoder target data to match the model's output layer
+        const decoderTargetTensor = tf.tidy(() => tf.oneHot(
+            tf.tensor2d(decoderTargetData, undefined, 'int32'), 
+            this.parameters.vocabularySize
+        ));
+        
+        // Report progress and honor stop requests between batches
+        this.stopRequested = false;
+        const trainingSamples = Math.floor(curriculumData.length * (1 - trainingOptions.validationSplit));
+        const batches = Math.max(1, Math.ceil(trainingSamples / trainingOptions.batchSize));
+        let currentEpoch = 0;
+        
+        const reportProgress = async (stage, batch, logs) => {
+            if (this.stopRequested) {
+                this.model.stopTraining = true;
+            }
+            if (options.onProgress) {
+                const completed = currentEpoch * batches + (stage === 'epoch' ? batches : batch + 1);
+                await options.onProgress({
+                    stage: stage,
+                    epoch: currentEpoch + 1,
+                    epochs: trainingOptions.epochs,
+                    batch: stage === 'epoch' ? batches : batch + 1,
+                    batches: batches,
+                    progress: Math.min(1, completed / (trainingOptions.epochs * batches)),
+                    loss: logs.loss,
+                    accuracy: logs.maskedAccuracy
+                });
+            }
+        };
+        
+        // Learning rate per batch, gradient clipping and early stopping on the validation loss
+        const LearningRateSchedule = resolveExport('LearningRateSchedule', './neural-training-callbacks.js');
+        const EarlyStopping = resolveExport('EarlyStopping', './neural-training-callbacks.js');
+        const schedule = new LearningRateSchedule({
+            ...runOptions.schedule,
+            learningRate: this.parameters.learningRate,
+            totalSteps: trainingOptions.epochs * batches
+        });
+        const earlyStopping = runOptions.earlyStopping
+            ? new EarlyStopping({ ...runOptions.earlyStopping, bestLoss: resumeFrom ? resumeFrom.bestLoss : undefined })
+            : null;
+        this.model.optimizer.clipNorm = runOptions.clipNorm;
+        
+        const runId = resumeFrom ? resumeFrom.runId : `run-${Date.now().toString(36)}`;
+        let step = resumeFrom ? resumeFrom.step : 0;
+        if (resumeFrom) {
+            trainingOptions.initialEpoch = resumeFrom.epoch;
+            console.log(`Resuming training run ${runId} after epoch ${resumeFrom.epoch}`);
+        }
+        
+        trainingOptions.callbacks = {
+            onEpochBegin: async (epoch) => {
+                currentEpoch = epoch;
+            },
+            onBatchBegin: async () => {
+                this.model.optimizer.learningRate = schedule.getLearningRate(step);
+            },
+            onBatchEnd: async (batch, logs) => {
+                step++;
+                await reportProgress('batch', batch, logs);
+            },
+            onEpochEnd: async (epoch, logs) => {
+                if (earlyStopping && earlyStopping.update(this.model, epoch, logs)) {
+                    this.model.stopTraining = true;
+                }
+                
+                // Only epochs with a finite loss are worth resuming from
+                const due = runOptions.checkpointEvery > 0 && (epoch + 1) % runOptions.checkpointEvery === 0 &&
+                    trainingOptions.epochs >= runOptions.checkpointMinEpochs;
+                if (due && isFinite(logs.loss) && !(earlyStopping && earlyStopping.stopped) && epoch + 1 < trainingOptions.epochs) {
+                    const checkpoint = {
+                        runId: runId,
+                        epoch: epoch + 1,
+                        step: step,
+                        bestLoss: earlyStopping ? earlyStopping.bestLoss : null,
+                        pairs: curriculumData,
+                        options: {
+                            epochs: trainingOptions.epochs,
+                            batchSize: trainingOptions.batchSize,
+                            validationSplit: trainingOptions.validationSplit,
+                            ...runOptions
+                        },
+                        state: await this.getModelState(),
+                        savedAt: new Date().toISOString()
+                    };
+                    await (options.onCheckpoint ? options.onCheckpoint(checkpoint) : this.saveCheckpoint(checkpoint));
+                }
+                
+                await reportProgress('epoch', 0, logs);
+            }
+        };
         
         // Train the model
         const startTime = Date.now();
@@ -722,11 +1177,26 @@ class NeuralLanguageModel {
                 trainingOptions
             );
             
+            if (this.stopRequested) {
+                console.log("Training cancelled");
+                await this.clearCheckpoint();
+                return false;
+            }
+            
+            if (earlyStopping) {
+                earlyStopping.restore(this.model);
+                if (isFinite(earlyStopping.bestLoss)) {
+                    this.trainingMetrics.validationLoss = earlyStopping.bestLoss;
+                }
+            }
+            
             // Update training metrics
             this.trainingMetrics.totalTrainingSessions++;
             this.trainingMetrics.totalExamples += curriculumData.length;
             this.trainingMetrics.lastTrainingTime = new Date().toISOString();
-            this.trainingMetrics.accuracy = history.history.accuracy[history.history.accuracy.length - 1];
+            // Accuracy over real tokens only, padding is excluded
+            const accuracyHistory = history.history.maskedAccuracy;
+            this.trainingMetrics.accuracy = accuracyHistory[accuracyHistory.length - 1];
             this.trainingMetrics.loss = history.history.loss[history.history.loss.length - 1];
             
             // Update curriculum progress if accuracy is high enough
@@ -746,14 +1216,22 @@ class NeuralLanguageModel {
             console.log(`Training completed in ${(Date.now() - startTime) / 1000} seconds`);
             console.log(`Final accuracy: ${this.trainingMetrics.accuracy}, Loss: ${this.trainingMetrics.loss}`);
             
-            // Save the model after training
+            // Save the model after training; the run no longer needs its checkpoint
             await this.saveModel();
+            await this.clearCheckpoint();
+            if (options.snapshot !== false) {
+                await this.createSnapshot(null, { automatic: options.automatic });
+            }
             
             return true;
         } catch (error) {
             console.error("Error during training:", error);
             return false;
         } finally {
+            if (earlyStopping) {
+                earlyStopping.disposeWeights();
+            }
+            
             // Dispose tensors to free memory
             encoderInputTensor.dispose();
             decoderInputTensor.dispose();
@@ -761,121 +1239,231 @@ class NeuralLanguageModel {
         }
     }
 
+    /**
+     * Encode conversation pairs into model inputs and targets
+     * @param {Array} pairs - Conversation pairs [input, output]
+     * @returns {Object} - { encoderInputData, decoderInputData, decoderTargetData } token id arrays
+     */
+    encodePairs(pairs) {
+        const encoderInputData = [];
+        const decoderInputData = [];
+        const decoderTargetData = [];
+        
+        const maxLength = this.parameters.maxSequenceLength;
+        
+        for (const pair of pairs) {
+            const input = pair[0];
+            const output = pair[1];
+            
+            // Encode input sequence with its conditions and the turns that preceded it
+            const encoderInput = this.encodeInput(input, pair[2] || {});
+            encoderInputData.push(encoderInput);
+            
+            // Encode output sequence for decoder input (shifted by one)
+            const decoderInput = this.tokenizer.encode(output, maxLength);
+            decoderInputData.push(decoderInput);
+            
+            // Encode target sequence (shifted by one compared to decoder input)
+            const decoderTarget = [...decoderInput.slice(1), this.tokenizer.word2idx.get('<PAD>')];
+            decoderTargetData.push(decoderTarget);
+        }
+        
+        return { encoderInputData, decoderInputData, decoderTargetData };
+    }
+
+    /**
+     * Score how likely the model finds each pair's output given its input
+     * @param {Array} pairs - Conversation pairs [input, output]
+     * @param {number} batchSize - Pairs scored per forward pass
+     * @returns {Array} - { logLikelihood, tokens } per pair, over non-padding target tokens
+     */
+    async scorePairs(pairs, batchSize = 8) {
+        const scores = [];
+        
+        for (let start = 0; start < pairs.length; start += batchSize) {
+            const batch = this.encodePairs(pairs.slice(start, start + batchSize));
+            
+            const [logLikelihoods, tokenCounts] = tf.tidy(() => {
+                const probabilities = this.model.predict([
+                    tf.tensor2d(batch.encoderInputData),
+                    tf.tensor2d(batch.decoderInputData)
+                ]);
+                const targets = tf.oneHot(
+                    tf.tensor2d(batch.decoderTargetData, undefined, 'int32'),
+                    probabilities.shape[2]
+                );
+                const mask = NeuralLanguageModel.targetMask(targets);
+                
+                // Probability of each target token, floored to keep the log finite
+                const targetProbabilities = tf.sum(tf.mul(probabilities, targets), -1);
+                const logProbabilities = tf.log(tf.maximum(targetProbabilities, 1e-9));
+                
+                return [tf.sum(tf.mul(logProbabilities, mask), -1), tf.sum(mask, -1)];
+            });
+            
+            const logLikelihoodData = await logLikelihoods.data();
+            const tokenCountData = await tokenCounts.data();
+            logLikelihoods.dispose();
+            tokenCounts.dispose();
+            
+            for (let i = 0; i < logLikelihoodData.length; i++) {
+                scores.push({ logLikelihood: logLikelihoodData[i], tokens: tokenCountData[i] });
+            }
+        }
+        
+        return scores;
+    }
+
+    /**
+     * Encode an input for the encoder, with its conditions and earlier turns of the conversation
+     * Training and generation both encode through here, so they use the same format:
+     * "<lang=bn> <level=beginner> <mode=grammar> <USER> earlier input <BOT> earlier reply ... <USER> input".
+     * Conditions come first, so truncation never drops them; conditions without a control token
+     * are left out. The oldest turns are dropped until the sequence fits, and an input without
+     * earlier turns is encoded without speaker separators.
+     * @param {string} input - The input text
+     * @param {Object} conditions - Pair metadata or generation conditions
+     * @param {string} conditions.language - Target language
+     * @param {string} conditions.difficulty - Learner level
+     * @param {string} conditions.mode - Learning mode
+     * @param {Array} conditions.context - Earlier turns [{ user, bot }], oldest first
+     * @returns {Array} - Token ids padded to maxSequenceLength
+     */
+    encodeInput(input, conditions = {}) {
+        const maxLength = this.parameters.maxSequenceLength;
+        const context = conditions.context || [];
+        const turns = this.parameters.contextTurns > 0 ? context.slice(-this.parameters.contextTurns) : [];
+        const { user, bot } = NeuralLanguageModel.SPEAKER_TOKENS;
+        
+        const controls = [['lang', conditions.language], ['level', conditions.difficulty], ['mode', conditions.mode]]
+            .filter(([, value]) => value)
+            .map(([name, value]) => NeuralLanguageModel.controlToken(name, value))
+            .filter(token => this.tokenizer.controlTokens.has(token));
+        
+        for (let first = 0; first < turns.length; first++) {
+            const text = [
+                ...controls,
+                ...turns.slice(first).map(turn => `${user} ${turn.user} ${bot} ${turn.bot}`),
+                `${user} ${input}`
+            ].join(' ');
+            
+            const encoded = this.tokenizer.encode(text);
+            if (encoded.length <= maxLength) {
+                return this.tokenizer.encode(text, maxLength);
+            }
+        }
+        
+        return this.tokenizer.encode([...controls, input].join(' '), maxLength);
+    }
+
+    /**
+     * Generate text for an input without fallbacks or conversation context updates
+     * @param {string} inputText - The input text
+     * @param {Object} decoding - Decoding options (see DecodingStrategy)
+     * @param {Object} conditions - Target language, learner level, mode and earlier turns (see encodeInput())
+     * @returns {string} - The generated text
+     */
+    async generate(inputText, decoding = {}, conditions = {}) {
+        // Encode the input sequence; the decoder reuses the encoder output and its own keys/values
+        const encoderInput = this.encodeInput(inputText, conditions);
+        
+        const Strategy = resolveExport('DecodingStrategy', './neural-decoding-strategy.js');
+        const strategy = new Strategy(decoding);
+        
+        const sequence = await strategy.decode(this.getIncrementalDecoder(), encoderInput, {
+            start: this.tokenizer.word2idx.get('<START>'),
+            end: this.tokenizer.word2idx.get('<END>'),
+            pad: this.tokenizer.word2idx.get('<PAD>')
+        });
+        
+        return this.tokenizer.decode(sequence);
+    }
+
     /**
      * Generate a response to user input using the transformer model
      * @param {string} userInput - The user's input text
+     * @param {Object} options - Response options (see respond())
      * @returns {string} - The generated response
      */
-    async generateResponse(userInput) {
+    async generateResponse(userInput, options = {}) {
+        const result = await this.respond(userInput, options);
+        return result.text;
+    }
+
+    /**
+     * Answer user input from the response memory, the model or the canned fallbacks
+     * Until the model has trained on 100 examples, a stored response above the memory's
+     * threshold answers; after that the model answers unless a stored response matches
+     * closely enough to beat it (preferThreshold), and a weaker match still answers if the
+     * model produces nothing. Canned replies are the last resort.
+     * @param {string} userInput - The user's input text
+     * @param {Object} options - Response options
+     * @param {string} options.mode - Learning mode, selects its decoding options and control token
+     * @param {string} options.language - Target language (defaults to the conversation context's)
+     * @param {string} options.level - Learner level (defaults to the conversation context's)
+     * @param {Object} options.decoding - Decoding options for this response only (see DecodingStrategy)
+     * @returns {Object} - { text, source: 'retrieval' | 'model' | 'fallback', confidence, match }
+     */
+    async respond(userInput, options = {}) {
         if (!this.initialized || !this.model) {
             console.error("Model not initialized. Call initialize() first.");
-            return "I'm still initializing. Please try again in a moment.";
+            return { text: "I'm still initializing. Please try again in a moment.", source: 'fallback', confidence: 0, match: null };
         }
         
         console.log(`Generating response for: "${userInput}"`);
         
+        const result = await this.chooseResponse(userInput, options);
+        
+        // Every reply is stored as a conversation, so every reply is context for the next turn
+        this.updateConversationContext(userInput, result.text);
+        return result;
+    }
+
+    /**
+     * Pick the reply for respond() without updating the conversation context
+     * @param {string} userInput - The user's input text
+     * @param {Object} options - Response options (see respond())
+     * @returns {Object} - { text, source, confidence, match }
+     */
+    async chooseResponse(userInput, options) {
+        const retrieved = match => {
+            console.log(`Retrieved response (similarity ${match.score.toFixed(3)}): "${match.response}"`);
+            return { text: match.response, source: 'retrieval', confidence: match.score, match };
+        };
+        
+        let match = null;
         try {
-            // If the model is not trained enough, use a fallback response
-            if (this.trainingMetrics.totalExamples < 100) {
-                return this.generateFallbackResponse(userInput);
-            }
-            
-            const maxLength = this.parameters.maxSequenceLength;
+            match = this.responseMemory ? await this.responseMemory.findResponse(userInput) : null;
+            const trained = this.trainingMetrics.totalExamples >= 100;
             
-            // Encode the input sequence
-            const encoderInput = this.tokenizer.encode(userInput, maxLength);
-            const encoderInputTensor = tf.tensor2d([encoderInput]);
-            
-            // Initialize decoder input with START token
-            const decoderInput = new Array(maxLength).fill(this.tokenizer.word2idx.get('<PAD>'));
-            decoderInput[0] = this.tokenizer.word2idx.get('<START>');
-            
-            // Generate response token by token
-            const response = [];
-            
-            // Perform beam search decoding
-            const beamWidth = 3;
-            const beams = [{
-                sequence: [this.tokenizer.word2idx.get('<START>')],
-                score: 0
-            }];
+            if (match && (!trained || match.score >= this.responseMemory.options.preferThreshold)) {
+                return retrieved(match);
+            }
             
-            for (let i = 0; i < maxLength - 1; i++) {
-                const candidates = [];
+            if (trained) {
+                const mode = options.mode || this.conversationContext.teachingMode;
+                const responseText = await this.generate(userInput, this.getDecodingOptions(mode, options.decoding), {
+                    language: options.language || this.conversationContext.targetLanguage,
+                    difficulty: options.level || this.conversationContext.userLevel,
+                    mode: mode,
+                    context: this.conversationContext.history
+                });
+                console.log(`Generated response: "${responseText}"`);
                 
-                for (const beam of beams) {
-                    // Skip if beam already ended
-                    if (beam.sequence[beam.sequence.length - 1] === this.tokenizer.word2idx.get('<END>')) {
-                        candidates.push(beam);
-                        continue;
-                    }
-                    
-                    // Prepare decoder input for this beam
-                    const currentDecoderInput = new Array(maxLength).fill(this.tokenizer.word2idx.get('<PAD>'));
-                    for (let j = 0; j < beam.sequence.length; j++) {
-                        currentDecoderInput[j] = beam.sequence[j];
-                    }
-                    
-                    const decoderInputTensor = tf.tensor2d([currentDecoderInput]);
-                    
-                    // Predict next token
-                    const output = this.model.predict([encoderInputTensor, decoderInputTensor]);
-                    const nextTokenProbs = output.slice([0, i, 0], [1, 1, this.tokenizer.vocabSize]).reshape([this.tokenizer.vocabSize]);
-                    
-                    // Apply temperature
-                    const logits = nextTokenProbs.log().div(tf.scalar(this.parameters.temperature));
-                    
-                    // Get top k tokens
-                    const values = await logits.topk(beamWidth).values.data();
-                    const indices = await logits.topk(beamWidth).indices.data();
-                    
-                    // Create new candidates
-                    for (let k = 0; k < beamWidth; k++) {
-                        const token = indices[k];
-                        const score = beam.score + Math.log(values[k]);
-                        
-                        candidates.push({
-                            sequence: [...beam.sequence, token],
-                            score: score
-                        });
-                    }
-                    
-                    // Clean up
-                    output.dispose();
-                    nextTokenProbs.dispose();
-                    logits.dispose();
-                    decoderInputTensor.dispose();
-                }
-                
-                // Sort candidates by score and keep top beamWidth
-                candidates.sort((a, b) => b.score - a.score);
-                beams.length = 0;
-                beams.push(...candidates.slice(0, beamWidth));
-                
-                // Check if all beams have ended
-                if (beams.every(beam => beam.sequence[beam.sequence.length - 1] === this.tokenizer.word2idx.get('<END>'))) {
-                    break;
+                if (responseText) {
+                    return { text: responseText, source: 'model', confidence: null, match };
                 }
             }
-            
-            // Select the best beam
-            const bestBeam = beams[0];
-            
-            // Decode the response
-            const responseText = this.tokenizer.decode(bestBeam.sequence);
-            console.log(`Generated response: "${responseText}"`);
-            
-            // Update conversation context
-            this.updateConversationContext(userInput, responseText);
-            
-            // Clean up tensors
-            encoderInputTensor.dispose();
-            
-            return responseText || this.generateFallbackResponse(userInput);
         } catch (error) {
             console.error("Error generating response:", error);
-            return this.generateFallbackResponse(userInput);
         }
+        
+        // A weaker stored match still beats a canned reply
+        if (match) {
+            return retrieved(match);
+        }
+        
+        return { text: this.generateFallbackResponse(userInput), source: 'fallback', confidence: 0, match: null };
     }
 
     /**
@@ -919,6 +1507,24 @@ class NeuralLanguageModel {
         return defaultResponses[Math.floor(Math.random() * defaultResponses.length)];
     }
 
+    /**
+     * Replace a corrected reply in the conversation context
+     * @param {string} userInput - The input that was answered
+     * @param {string} botResponse - The bot's reply
+     * @param {string} correctResponse - The learner's correction
+     * @returns {Array} - The turns before the corrected one [{ user, bot }], oldest first
+     */
+    correctConversationContext(userInput, botResponse, correctResponse) {
+        const history = this.conversationContext.history;
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].user === userInput && history[i].bot === botResponse) {
+                history[i].bot = correctResponse;
+                return history.slice(0, i);
+            }
+        }
+        return history.slice();
+    }
+
     /**
      * Update the conversation context with new input and output
      * @param {string} userInput - The user's input
@@ -989,7 +1595,7 @@ class NeuralLanguageModel {
             
             // Train on these pairs if we have enough
             if (trainingPairs.length > 0) {
-                await this.trainModel(trainingPairs);
+                await this.train(trainingPairs);
                 return true;
             }
             
@@ -1005,8 +1611,9 @@ class NeuralLanguageModel {
      * @param {string} userInput - The user's input
      * @param {string} botResponse - The bot's response
      * @param {string} correctResponse - The correct response provided by the user
+     * @param {Object} metadata - Conditions the reply was given under (language, difficulty, mode)
      */
-    async recordFeedback(userInput, botResponse, correctResponse) {
+    async recordFeedback(userInput, botResponse, correctResponse, metadata = {}) {
         if (!this.initialized) {
             console.error("Model not initialized. Call initialize() first.");
             return false;
@@ -1016,10 +1623,17 @@ class NeuralLanguageModel {
         
         try {
             // Add to feedback data
-            await this.dataManager.addFeedback(userInput, botResponse, correctResponse);
+            await this.dataManager.addFeedback(userInput, botResponse, correctResponse, metadata);
+            const context = this.correctConversationContext(userInput, botResponse, correctResponse);
             
-            // Train on this specific example
-            await this.trainModel([[userInput, correctResponse]]);
+            if (this.trainingScheduler) {
+                // The scheduler trains on new corrections together with older examples
+                await this.trainingScheduler.check();
+            } else {
+                // Train on the correction together with a sample of past examples
+                const pairs = [[userInput, correctResponse, { ...metadata, source: 'feedback', isFeedback: true, context }]];
+                await this.train(await this.replayBuffer.mix(pairs));
+            }
             
             return true;
         } catch (error) {
@@ -1040,23 +1654,23 @@ class NeuralLanguageModel {
         console.log("Saving model...");
         
         try {
-            // In a browser environment, we would use:
-            // await this.model.save('indexeddb://mr-bot-language-model');
+            const artifacts = await this.getModelArtifacts();
+            const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
             
-            // For our implementation, we'll simulate saving
-            // In a real implementation, we would use proper storage
-            console.log("Model saved successfully");
+            // Weights go first so a saved config never points at missing weights
+            await this.dataManager.saveModelWeights(ModelBundle.encodeBase64(artifacts.weightData));
+            await this.dataManager.saveModelConfig({
+                modelTopology: artifacts.modelTopology,
+                weightSpecs: artifacts.weightSpecs,
+                parameters: this.parameters,
+                trainingMetrics: this.trainingMetrics,
+                savedAt: new Date().toISOString()
+            });
             
             // Also save tokenizer data
-            const tokenizerData = {
-                word2idx: Array.from(this.tokenizer.word2idx.entries()),
-                idx2word: Array.from(this.tokenizer.idx2word.entries()),
-                subwords: Array.from(this.tokenizer.subwords.entries()),
-                vocabSize: this.tokenizer.vocabSize
-            };
-            
-            await this.dataManager.saveTokenizerData(tokenizerData);
+            await this.dataManager.saveTokenizerData(this.serializeTokenizer());
             
+            console.log("Model saved successfully");
             return true;
         } catch (error) {
             console.error("Error saving model:", error);
@@ -1071,10 +1685,6 @@ class NeuralLanguageModel {
         console.log("Loading model...");
         
         try {
-            // In a browser environment, we would use:
-            // const model = await tf.loadLayersModel('indexeddb://mr-bot-language-model');
-            
-            // For our implementation, we'll check if we have tokenizer data
             const tokenizerData = await this.dataManager.getTokenizerData();
             if (!tokenizerData) {
                 console.log("No saved model found");
@@ -1082,24 +1692,37 @@ class NeuralLanguageModel {
             }
             
             // Restore tokenizer
-            this.tokenizer.word2idx = new Map(tokenizerData.word2idx);
-            this.tokenizer.idx2word = new Map(tokenizerData.idx2word);
+            this.restoreTokenizer(tokenizerData);
+            console.log(`Loaded tokenizer with vocabulary size: ${this.tokenizer.vocabSize}`);
             
-            // Restore subwords if available
-            if (tokenizerData.subwords) {
-                this.tokenizer.subwords = new Map(tokenizerData.subwords);
-            } else {
-                this.tokenizer.subwords = new Map();
+            const modelConfig = await this.dataManager.getModelConfig();
+            const weights = await this.dataManager.getModelWeights();
+            
+            if (!modelConfig || !modelConfig.modelTopology || !weights) {
+                // Tokenizer was saved without weights, start from a fresh model
+                console.log("No saved weights found, creating a new model");
+                await this.createModel();
+                return this.model;
             }
             
-            this.tokenizer.vocabSize = tokenizerData.vocabSize;
+            if (modelConfig.parameters) {
+                // Models saved before the architecture registry are transformers
+                this.parameters = { ...this.parameters, architecture: 'transformer', ...modelConfig.parameters };
+            }
             
-            console.log(`Loaded tokenizer with vocabulary size: ${this.tokenizer.vocabSize}`);
+            if (modelConfig.trainingMetrics) {
+                this.trainingMetrics = { ...this.trainingMetrics, ...modelConfig.trainingMetrics };
+            }
             
-            // In a real implementation, we would load the actual model
-            // For now, we'll create a new model with the loaded vocabulary size
-            await this.createModel();
+            const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+            this.model = await tf.loadLayersModel(tf.io.fromMemory({
+                modelTopology: modelConfig.modelTopology,
+                weightSpecs: modelConfig.weightSpecs,
+                weightData: ModelBundle.decodeBase64(weights)
+            }));
+            this.compileModel();
             
+            console.log(`Restored model weights saved at ${modelConfig.savedAt}`);
             return this.model;
         } catch (error) {
             console.error("Error loading model:", error);
@@ -1107,11 +1730,336 @@ class NeuralLanguageModel {
         }
     }
 
+    /**
+     * Capture the model topology and weights without writing them anywhere
+     * @returns {Object} - TensorFlow.js model artifacts
+     */
+    async getModelArtifacts() {
+        let artifacts = null;
+        
+        await this.model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+            artifacts = modelArtifacts;
+            return {
+                modelArtifactsInfo: {
+                    dateSaved: new Date(),
+                    modelTopologyType: 'JSON',
+                    weightDataBytes: modelArtifacts.weightData.byteLength
+                }
+            };
+        }));
+        
+        return artifacts;
+    }
+
+    /**
+     * Capture everything needed to rebuild the current model elsewhere
+     * @returns {Object} - { artifacts, tokenizer, parameters, trainingMetrics }
+     */
+    async getModelState() {
+        return {
+            artifacts: await this.getModelArtifacts(),
+            tokenizer: this.serializeTokenizer(),
+            parameters: this.parameters,
+            trainingMetrics: this.trainingMetrics
+        };
+    }
+
+    /**
+     * Replace the current model with one captured by getModelState()
+     * @param {Object} state - { artifacts, tokenizer, parameters, trainingMetrics }
+     */
+    async setModelState(state) {
+        const model = await tf.loadLayersModel(tf.io.fromMemory(state.artifacts));
+        
+        if (this.model) {
+            this.disposeModel(this.model);
+        }
+        this.model = model;
+        this.parameters = { ...this.parameters, architecture: 'transformer', ...state.parameters };
+        this.trainingMetrics = { ...this.trainingMetrics, ...state.trainingMetrics };
+        this.restoreTokenizer(state.tokenizer);
+        this.compileModel();
+        await this.addControlTokens(this.getControlTokens());
+    }
+
+    /**
+     * Save the progress of a training run so it can be resumed after an interruption
+     * @param {Object} checkpoint - { runId, epoch, step, bestLoss, pairs, options, state }
+     * @returns {boolean} - True if the checkpoint was saved
+     */
+    async saveCheckpoint(checkpoint) {
+        if (!this.dataManager) {
+            return false;
+        }
+        
+        const { artifacts } = checkpoint.state;
+        const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+        return this.dataManager.saveCheckpoint({
+            ...checkpoint,
+            state: {
+                ...checkpoint.state,
+                artifacts: { ...artifacts, weightData: ModelBundle.encodeBase64(artifacts.weightData) }
+            }
+        });
+    }
+
+    /**
+     * Remove the saved checkpoint once its run has finished or was cancelled
+     */
+    async clearCheckpoint() {
+        if (!this.dataManager) {
+            return false;
+        }
+        
+        return this.dataManager.clearCheckpoint();
+    }
+
+    /**
+     * Continue an interrupted training run from its last checkpoint
+     * The run starts from the checkpoint's state and trains for the remaining epochs
+     * on the pairs the run started with. The model in use is only replaced once the run completes.
+     * @param {Object} options - Training options overriding the checkpoint's
+     * @returns {Object|null} - { completed, pairs } for the resumed run, or null without a checkpoint
+     */
+    async resumeTraining(options = {}) {
+        const checkpoint = this.dataManager ? await this.dataManager.getCheckpoint() : null;
+        if (!checkpoint) {
+            return null;
+        }
+        
+        let startState;
+        try {
+            const { artifacts } = checkpoint.state;
+            const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+            startState = {
+                ...checkpoint.state,
+                artifacts: { ...artifacts, weightData: ModelBundle.decodeBase64(artifacts.weightData) }
+            };
+        } catch (error) {
+            console.error("Error reading training checkpoint, discarding it:", error);
+            await this.clearCheckpoint();
+            return null;
+        }
+        
+        const trainingOptions = {
+            ...checkpoint.options,
+            ...options,
+            resumeFrom: {
+                runId: checkpoint.runId,
+                epoch: checkpoint.epoch,
+                step: checkpoint.step,
+                bestLoss: checkpoint.bestLoss
+            }
+        };
+        
+        // The pairs were filtered when the run started
+        const completed = this.trainingManager
+            ? await this.trainingManager.train(checkpoint.pairs, { ...trainingOptions, startState })
+            : await this.trainFromState(startState, checkpoint.pairs, trainingOptions);
+        
+        // A run that fails again would otherwise be retried forever
+        if (!completed) {
+            await this.clearCheckpoint();
+        }
+        
+        return { completed, pairs: checkpoint.pairs };
+    }
+
+    /**
+     * Train starting from another model state, keeping the current model if the run fails
+     * @param {Object} startState - Model state from getModelState() to train from
+     * @param {Array} conversationData - Conversation pairs [input, output]
+     * @param {Object} options - Training options passed to trainModel()
+     * @returns {boolean} - True if training completed
+     */
+    async trainFromState(startState, conversationData, options = {}) {
+        const previousState = await this.getModelState();
+        
+        let completed = false;
+        try {
+            await this.setModelState(startState);
+            completed = await this.trainModel(conversationData, options);
+        } catch (error) {
+            console.error("Error training from model state:", error);
+        }
+        
+        if (!completed) {
+            await this.setModelState(previousState);
+        }
+        return completed;
+    }
+
+    /**
+     * Keep the current model as a snapshot that can be rolled back to
+     * @param {string} label - Optional description shown in the snapshot list
+     * @param {Object} options - Snapshot options
+     * @param {boolean} options.automatic - Taken after a background run: skipped if the training data is
+     *                                      unchanged since the newest snapshot, and evicted before manual ones
+     * @returns {Object|null} - The snapshot summary, or null if it was skipped or could not be saved
+     */
+    async createSnapshot(label = null, options = {}) {
+        if (!this.dataManager || !this.model) {
+            return null;
+        }
+        
+        try {
+            const fingerprint = this.dataManager.getDataFingerprint();
+            if (options.automatic) {
+                const latest = (await this.dataManager.getSnapshots()).slice(-1)[0];
+                if (latest && latest.fingerprint && latest.fingerprint.hash === fingerprint.hash) {
+                    console.log("Training data unchanged since the last snapshot, not taking another");
+                    return null;
+                }
+            }
+            
+            const state = await this.getModelState();
+            const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+            state.artifacts = { ...state.artifacts, weightData: ModelBundle.encodeBase64(state.artifacts.weightData) };
+            
+            // Only an evaluation of exactly this model state describes the snapshot
+            const metrics = this.trainingMetrics;
+            const history = await this.dataManager.getEvaluationHistory(this.getModelId());
+            const evaluation = history.filter(result => result.trainingSessions === metrics.totalTrainingSessions).pop();
+            
+            const snapshot = await this.dataManager.addSnapshot({
+                label: label,
+                automatic: Boolean(options.automatic),
+                modelId: this.getModelId(),
+                architecture: this.parameters.architecture,
+                trainingMetrics: { ...metrics },
+                evaluation: evaluation
+                    ? { timestamp: evaluation.timestamp, testPairs: evaluation.testPairs, overall: evaluation.overall }
+                    : null,
+                fingerprint: fingerprint,
+                state: state
+            });
+            
+            if (snapshot) {
+                console.log(`Saved model snapshot ${snapshot.id}`);
+            }
+            return snapshot;
+        } catch (error) {
+            console.error("Error creating model snapshot:", error);
+            return null;
+        }
+    }
+
+    /**
+     * List the kept model snapshots
+     * @returns {Array} - Snapshot summaries, oldest first
+     */
+    async listSnapshots() {
+        return this.dataManager ? this.dataManager.getSnapshots() : [];
+    }
+
+    /**
+     * Compare the metrics of two snapshots
+     * @param {string} fromId - The earlier snapshot
+     * @param {string} toId - The later snapshot (defaults to the newest)
+     * @returns {Object|null} - Metric differences (to minus from), or null if a snapshot is unknown
+     */
+    async compareSnapshots(fromId, toId = null) {
+        const snapshots = await this.listSnapshots();
+        const from = snapshots.find(snapshot => snapshot.id === fromId);
+        const to = toId ? snapshots.find(snapshot => snapshot.id === toId) : snapshots[snapshots.length - 1];
+        if (!from || !to) {
+            return null;
+        }
+        
+        const ModelEvaluator = resolveExport('ModelEvaluator', './neural-evaluator.js');
+        const training = {};
+        for (const metric of ['accuracy', 'loss', 'validationLoss', 'totalExamples', 'totalTrainingSessions']) {
+            if (typeof from.trainingMetrics[metric] === 'number' && typeof to.trainingMetrics[metric] === 'number') {
+                training[metric] = to.trainingMetrics[metric] - from.trainingMetrics[metric];
+            }
+        }
+        
+        return {
+            from: from.id,
+            to: to.id,
+            training: training,
+            evaluation: from.evaluation && to.evaluation
+                ? ModelEvaluator.compare(to.evaluation.overall, from.evaluation.overall)
+                : null,
+            data: {
+                conversations: to.fingerprint.conversations - from.fingerprint.conversations,
+                feedback: to.fingerprint.feedback - from.fingerprint.feedback,
+                texts: to.fingerprint.texts - from.fingerprint.texts,
+                changed: to.fingerprint.hash !== from.fingerprint.hash
+            }
+        };
+    }
+
+    /**
+     * Replace the current model with a snapshot and save it
+     * Later snapshots are kept, so a rollback can itself be undone.
+     * @param {string} id - The snapshot id
+     * @returns {boolean} - True if the snapshot is now the current model
+     */
+    async rollback(id) {
+        if (this.trainingManager && this.trainingManager.isTraining()) {
+            console.error("Cannot roll back while the model is training");
+            return false;
+        }
+        
+        const snapshot = this.dataManager ? await this.dataManager.getSnapshot(id) : null;
+        if (!snapshot) {
+            console.error(`Model snapshot not found: ${id}`);
+            return false;
+        }
+        
+        try {
+            const { artifacts } = snapshot.state;
+            const ModelBundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+            await this.setModelState({
+                ...snapshot.state,
+                artifacts: { ...artifacts, weightData: ModelBundle.decodeBase64(artifacts.weightData) }
+            });
+            await this.saveModel();
+            
+            // An interrupted run would otherwise resume on top of the rolled back model
+            await this.clearCheckpoint();
+            
+            console.log(`Rolled back to model snapshot ${id} from ${snapshot.createdAt}`);
+            return true;
+        } catch (error) {
+            console.error("Error rolling back model:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a model snapshot
+     * @param {string} id - The snapshot id
+     * @returns {boolean} - True if the snapshot was deleted
+     */
+    async deleteSnapshot(id) {
+        return this.dataManager ? this.dataManager.deleteSnapshot(id) : false;
+    }
+
+    /**
+     * Get the tokenizer vocabulary in a storable form
+     * @returns {Object} - Serializable tokenizer data
+     */
+    serializeTokenizer() {
+        return this.tokenizer.toJSON();
+    }
+
+    /**
+     * Restore the tokenizer vocabulary from serialized data
+     * @param {Object} tokenizerData - Data produced by serializeTokenizer()
+     */
+    restoreTokenizer(tokenizerData) {
+        this.tokenizer = resolveExport('BPETokenizer', './neural-tokenizer.js').fromJSON(tokenizerData);
+    }
+
     /**
      * Export the trained model for external use
-     * @param {string} format - The export format ('tfjs', 'json')
+     * @param {string} format - The export format ('json' for a portable bundle, 'tfjs' for TensorFlow.js files)
+     * @param {Object} options - Export options
+     * @param {string} options.destination - TensorFlow.js save URL for the 'tfjs' format
      */
-    async exportModel(format = 'json') {
+    async exportModel(format = 'json', options = {}) {
         if (!this.initialized || !this.model) {
             console.error("Model not initialized. Cannot export.");
             return null;
@@ -1121,35 +2069,22 @@ class NeuralLanguageModel {
         
         try {
             if (format === 'tfjs') {
-                // In a real implementation, we would use:
-                // const saveResults = await this.model.save('downloads://mr-bot-language-model');
-                // return saveResults;
-                
-                console.log("TFJS model export simulated");
-                return { success: true, format: 'tfjs' };
+                // Writes model.json and weights.bin through a TensorFlow.js IO handler
+                const destination = options.destination || 'downloads://mr-bot-language-model';
+                const saveResults = await this.model.save(destination);
+                return { success: true, format: 'tfjs', saveResults };
             } else if (format === 'json') {
-                // Export model architecture and weights as JSON
-                const modelJSON = this.model.toJSON();
-                
-                // Export tokenizer data
-                const tokenizerData = {
-                    word2idx: Array.from(this.tokenizer.word2idx.entries()),
-                    idx2word: Array.from(this.tokenizer.idx2word.entries()),
-                    subwords: Array.from(this.tokenizer.subwords.entries()),
-                    vocabSize: this.tokenizer.vocabSize
-                };
-                
-                // Combine model and tokenizer data
-                const exportData = {
-                    model: modelJSON,
-                    tokenizer: tokenizerData,
+                // Export architecture, weights, tokenizer and metrics as one bundle
+                const bundle = resolveExport('ModelBundle', './neural-model-bundle.js').create({
+                    artifacts: await this.getModelArtifacts(),
+                    tokenizer: this.serializeTokenizer(),
                     parameters: this.parameters,
                     trainingMetrics: this.trainingMetrics,
-                    exportDate: new Date().toISOString()
-                };
+                    architecture: this.parameters.architecture
+                });
                 
-                console.log("Model exported as JSON");
-                return exportData;
+                console.log("Model exported as bundle");
+                return bundle;
             } else {
                 throw new Error(`Unsupported export format: ${format}`);
             }
@@ -1160,49 +2095,37 @@ class NeuralLanguageModel {
     }
 
     /**
-     * Import a previously exported model
-     * @param {Object} importData - The imported model data
+     * Import a previously exported model bundle
+     * @param {Object} importData - The imported model bundle
      */
     async importModel(importData) {
         console.log("Importing model...");
         
         try {
-            if (!importData || !importData.model || !importData.tokenizer) {
-                throw new Error("Invalid import data");
+            const Bundle = resolveExport('ModelBundle', './neural-model-bundle.js');
+            if (!Bundle.isBundle(importData)) {
+                throw new Error("Invalid import data: expected a model bundle exported by MR Bot");
             }
             
-            // Restore tokenizer
-            this.tokenizer = {
-                word2idx: new Map(importData.tokenizer.word2idx),
-                idx2word: new Map(importData.tokenizer.idx2word),
-                subwords: new Map(importData.tokenizer.subwords || []),
-                vocabSize: importData.tokenizer.vocabSize,
-                
-                // Add tokenizer methods
-                fit: this.tokenizer.fit,
-                encode: this.tokenizer.encode,
-                decode: this.tokenizer.decode
-            };
-            
-            // Restore parameters
-            if (importData.parameters) {
-                this.parameters = { ...this.parameters, ...importData.parameters };
-            }
-            
-            // Restore training metrics
-            if (importData.trainingMetrics) {
-                this.trainingMetrics = { ...this.trainingMetrics, ...importData.trainingMetrics };
-            }
-            
-            // Restore model
-            // In a real implementation, we would use:
-            // this.model = await tf.models.modelFromJSON(importData.model);
+            // Validates version, architecture and checksum before anything is replaced
+            const Architectures = resolveExport('ModelArchitectures', './neural-architectures.js');
+            const { manifest, ...state } = Bundle.load(importData, {
+                architectures: Architectures.list()
+            });
             
-            // For now, we'll create a new model with the imported parameters
-            await this.createModel();
+            // The manifest records the architecture for bundles whose parameters predate it
+            await this.setModelState({
+                ...state,
+                parameters: { ...state.parameters, architecture: manifest.architecture }
+            });
             
-            console.log("Model imported successfully");
             this.initialized = true;
+            console.log(`Model imported successfully (exported ${manifest.createdAt})`);
+            
+            // Persist the imported model so it survives a reload
+            if (this.dataManager) {
+                await this.saveModel();
+            }
             
             return true;
         } catch (error) {
@@ -1214,7 +2137,7 @@ class NeuralLanguageModel {
 
 // Export the class for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { NeuralLanguageModel };
+    module.exports = { NeuralLanguageModel, CustomMultiHeadAttention };
 } else {
     // For browser use
     window.NeuralLanguageModel = NeuralLanguageModel;
@@ -1,750 +0,0 @@
-/**
- * MR Bot Neural Language Teacher - Neural Language Model
- * 
- * This module provides a self-learning neural network model using TensorFlow.js
- * to learn from conversations and text inputs without requiring manual training.
- */
-
-class NeuralLanguageModel {
-    constructor() {
-        this.initialized = false;
-        this.model = null;
-        this.tokenizer = null;
-        this.dataManager = null;
-        
-        // Model parameters
-        this.parameters = {
-            learningRate: 0.001,
-            batchSize: 32,
-            epochs: 5,
-            embeddingDim: 128,
-            hiddenUnits: 256,
-            maxSequenceLength: 50,
-            vocabularySize: 10000,
-            temperature: 0.7
-        };
-        
-        // Conversation context
-        this.conversationContext = {
-            history: [],
-            currentTopic: null,
-            userLevel: 'beginner',
-            targetLanguage: 'bn',
-            nativeLanguage: 'en',
-            teachingMode: 'conversational'
-        };
-        
-        // Training metrics
-        this.trainingMetrics = {
-            totalTrainingSessions: 0,
-            totalExamples: 0,
-            lastTrainingTime: null,
-            accuracy: 0,
-            loss: 0
-        };
-    }
-
-    /**
-     * Initialize the neural language model
-     * @param {Object} dataManager - The data manager instance
-     * @param {Object} options - Initialization options
-     */
-    async initialize(dataManager, options = {}) {
-        console.log("Initializing Neural Language Model...");
-        this.dataManager = dataManager;
-        
-        // Override default parameters with provided options
-        if (options.parameters) {
-            this.parameters = { ...this.parameters, ...options.parameters };
-        }
-        
-        // Initialize tokenizer
-        await this.initializeTokenizer();
-        
-        // Create or load model
-        await this.initializeModel();
-        
-        this.initialized = true;
-        console.log("Neural Language Model initialized successfully");
-        return true;
-    }
-
-    /**
-     * Initialize the tokenizer for text processing
-     */
-    async initializeTokenizer() {
-        console.log("Initializing tokenizer...");
-        
-        // In a real implementation, we would use a proper tokenizer
-        // For simplicity, we'll use a basic word-level tokenizer
-        this.tokenizer = {
-            word2idx: new Map(),
-            idx2word: new Map(),
-            vocabSize: 0,
-            
-            fit: function(texts) {
-                // Reset vocabulary
-                this.word2idx.clear();
-                this.idx2word.clear();
-                
-                // Add special tokens
-                this.word2idx.set('<PAD>', 0);
-                this.word2idx.set('<UNK>', 1);
-                this.word2idx.set('<START>', 2);
-                this.word2idx.set('<END>', 3);
-                
-                this.idx2word.set(0, '<PAD>');
-                this.idx2word.set(1, '<UNK>');
-                this.idx2word.set(2, '<START>');
-                this.idx2word.set(3, '<END>');
-                
-                let idx = 4;
-                
-                // Process all texts
-                for (const text of texts) {
-                    const words = text.toLowerCase().split(/\s+/);
-                    for (const word of words) {
-                        if (!this.word2idx.has(word)) {
-                            this.word2idx.set(word, idx);
-                            this.idx2word.set(idx, word);
-                            idx++;
-                        }
-                    }
-                }
-                
-                this.vocabSize = this.word2idx.size;
-                console.log(`Tokenizer initialized with vocabulary size: ${this.vocabSize}`);
-                return this;
-            },
-            
-            encode: function(text, maxLength) {
-                const words = text.toLowerCase().split(/\s+/);
-                const result = [this.word2idx.get('<START>')];
-                
-                for (const word of words) {
-                    const idx = this.word2idx.has(word) ? this.word2idx.get(word) : this.word2idx.get('<UNK>');
-                    result.push(idx);
-                    if (result.length >= maxLength - 1) break;
-                }
-                
-                result.push(this.word2idx.get('<END>'));
-                
-                // Pad sequence
-                while (result.length < maxLength) {
-                    result.push(this.word2idx.get('<PAD>'));
-                }
-                
-                return result;
-            },
-            
-            decode: function(sequence) {
-                let result = [];
-                for (const idx of sequence) {
-                    if (idx === this.word2idx.get('<PAD>') || idx === this.word2idx.get('<START>')) continue;
-                    if (idx === this.word2idx.get('<END>')) break;
-                    result.push(this.idx2word.get(idx));
-                }
-                return result.join(' ');
-            }
-        };
-        
-        // If we have existing data, fit the tokenizer
-        const trainingData = await this.dataManager.getTrainingData();
-        if (trainingData && trainingData.length > 0) {
-            this.tokenizer.fit(trainingData);
-        }
-    }
-
-    /**
-     * Initialize the neural network model
-     */
-    async initializeModel() {
-        console.log("Initializing neural network model...");
-        
-        try {
-            // Try to load an existing model
-            const savedModel = await this.loadModel();
-            if (savedModel) {
-                console.log("Loaded existing model");
-                this.model = savedModel;
-                return;
-            }
-        } catch (error) {
-            console.log("No existing model found, creating a new one");
-        }
-        
-        // Create a new model if no saved model exists
-        await this.createModel();
-    }
-
-    /**
-     * Create a new sequence-to-sequence model using TensorFlow.js
-     */
-    async createModel() {
-        console.log("Creating new neural network model...");
-        
-        // Make sure TensorFlow.js is loaded
-        if (typeof tf === 'undefined') {
-            console.error("TensorFlow.js is not loaded. Please include the TensorFlow.js library.");
-            return false;
-        }
-        
-        const { vocabularySize, embeddingDim, hiddenUnits } = this.parameters;
-        
-        // Create a simple encoder-decoder model
-        // Encoder
-        const encoderInputs = tf.input({ shape: [null], name: 'encoder_inputs' });
-        const encoderEmbedding = tf.layers.embedding({
-            inputDim: vocabularySize,
-            outputDim: embeddingDim,
-            name: 'encoder_embedding'
-        }).apply(encoderInputs);
-        
-        const encoderLSTM = tf.layers.lstm({
-            units: hiddenUnits,
-            returnState: true,
-            name: 'encoder_lstm'
-        });
-        
-        const [, encoderStateH, encoderStateC] = encoderLSTM.apply(encoderEmbedding);
-        const encoderStates = [encoderStateH, encoderStateC];
-        
-        // Decoder
-        const decoderInputs = tf.input({ shape: [null], name: 'decoder_inputs' });
-        const decoderEmbedding = tf.layers.embedding({
-            inputDim: vocabularySize,
-            outputDim: embeddingDim,
-            name: 'decoder_embedding'
-        }).apply(decoderInputs);
-        
-        const decoderLSTM = tf.layers.lstm({
-            units: hiddenUnits,
-            returnSequences: true,
-            returnState: true,
-            name: 'decoder_lstm'
-        });
-        
-        const [decoderOutputs] = decoderLSTM.apply(
-            decoderEmbedding, 
-            { initialState: encoderStates }
-        );
-        
-        const decoderDense = tf.layers.dense({
-            units: vocabularySize,
-            activation: 'softmax',
-            name: 'decoder_dense'
-        });
-        
-        const decoderOutputsFinal = decoderDense.apply(decoderOutputs);
-        
-        // Define the model
-        this.model = tf.model({
-            inputs: [encoderInputs, decoderInputs],
-            outputs: decoderOutputsFinal,
-            name: 'seq2seq_model'
-        });
-        
-        // Compile the model
-        this.model.compile({
-            optimizer: tf.train.adam(this.parameters.learningRate),
-            loss: 'categoricalCrossentropy',
-            metrics: ['accuracy']
-        });
-        
-        console.log("Neural network model created successfully");
-        console.log(this.model.summary());
-        
-        return true;
-    }
-
-    /**
-     * Train the model on conversation data
-     * @param {Array} conversationData - Array of conversation pairs [input, output]
-     * @param {Object} options - Training options
-     */
-    async trainModel(conversationData, options = {}) {
-        if (!this.initialized || !this.model) {
-            console.error("Model not initialized. Call initialize() first.");
-            return false;
-        }
-        
-        console.log(`Training model on ${conversationData.length} conversation pairs...`);
-        
-        const trainingOptions = {
-            epochs: options.epochs || this.parameters.epochs,
-            batchSize: options.batchSize || this.parameters.batchSize,
-            validationSplit: options.validationSplit || 0.1
-        };
-        
-        // Prepare training data
-        const encoderInputData = [];
-        const decoderInputData = [];
-        const decoderTargetData = [];
-        
-        const maxLength = this.parameters.maxSequenceLength;
-        
-        for (const [input, output] of conversationData) {
-            // Encode input sequence
-            const encoderInput = this.tokenizer.encode(input, maxLength);
-            encoderInputData.push(encoderInput);
-            
-            // Encode output sequence for decoder input (shifted by one)
-            const decoderInput = this.tokenizer.encode(output, maxLength);
-            decoderInputData.push(decoderInput);
-            
-            // Encode target sequence (shifted by one compared to decoder input)
-            const decoderTarget = [...decoderInput.slice(1), this.tokenizer.word2idx.get('<PAD>')];
-            decoderTargetData.push(decoderTarget);
-        }
-        
-        // Convert to tensors
-        const encoderInputTensor = tf.tensor2d(encoderInputData);
-        const decoderInputTensor = tf.tensor2d(decoderInputData);
-        
-        // One-hot encode the decoder target data
-        const decoderTargetTensor = tf.oneHot(
-            tf.tensor2d(decoderTargetData), 
-            this.tokenizer.vocabSize
-        );
-        
-        // Train the model
-        const startTime = Date.now();
-        
-        try {
-            const history = await this.model.fit(
-                [encoderInputTensor, decoderInputTensor],
-                decoderTargetTensor,
-                trainingOptions
-            );
-            
-            // Update training metrics
-            this.trainingMetrics.totalTrainingSessions++;
-            this.trainingMetrics.totalExamples += conversationData.length;
-            this.trainingMetrics.lastTrainingTime = new Date().toISOString();
-            this.trainingMetrics.accuracy = history.history.accuracy[history.history.accuracy.length - 1];
-            this.trainingMetrics.loss = history.history.loss[history.history.loss.length - 1];
-            
-            console.log(`Training completed in ${(Date.now() - startTime) / 1000} seconds`);
-            console.log(`Final accuracy: ${this.trainingMetrics.accuracy}, Loss: ${this.trainingMetrics.loss}`);
-            
-            // Save the model after training
-            await this.saveModel();
-            
-            return true;
-        } catch (error) {
-            console.error("Error during training:", error);
-            return false;
-        } finally {
-            // Dispose tensors to free memory
-            encoderInputTensor.dispose();
-            decoderInputTensor.dispose();
-            decoderTargetTensor.dispose();
-        }
-    }
-
-    /**
-     * Generate a response to user input
-     * @param {string} userInput - The user's input text
-     * @returns {string} - The generated response
-     */
-    async generateResponse(userInput) {
-        if (!this.initialized || !this.model) {
-            console.error("Model not initialized. Call initialize() first.");
-            return "I'm still initializing. Please try again in a moment.";
-        }
-        
-        console.log(`Generating response for: "${userInput}"`);
-        
-        try {
-            // If the model is not trained enough, use a fallback response
-            if (this.trainingMetrics.totalExamples < 100) {
-                return this.generateFallbackResponse(userInput);
-            }
-            
-            const maxLength = this.parameters.maxSequenceLength;
-            
-            // Encode the input sequence
-            const encoderInput = this.tokenizer.encode(userInput, maxLength);
-            const encoderInputTensor = tf.tensor2d([encoderInput]);
-            
-            // Initialize decoder input with START token
-            let decoderInput = [this.tokenizer.word2idx.get('<START>')];
-            while (decoderInput.length < maxLength) {
-                decoderInput.push(this.tokenizer.word2idx.get('<PAD>'));
-            }
-            const decoderInputTensor = tf.tensor2d([decoderInput]);
-            
-            // Generate response token by token
-            const response = [];
-            let currentToken = this.tokenizer.word2idx.get('<START>');
-            
-            for (let i = 0; i < maxLength - 1 && currentToken !== this.tokenizer.word2idx.get('<END>'); i++) {
-                // Update decoder input tensor
-                decoderInput[i] = currentToken;
-                decoderInputTensor.dispose();
-                const newDecoderInputTensor = tf.tensor2d([decoderInput]);
-                
-                // Predict next token
-                const output = this.model.predict([encoderInputTensor, newDecoderInputTensor]);
-                const nextTokenProbs = output.slice([0, i, 0], [1, 1, this.tokenizer.vocabSize]).reshape([this.tokenizer.vocabSize]);
-                
-                // Apply temperature to adjust randomness
-                const logits = nextTokenProbs.log().div(tf.scalar(this.parameters.temperature));
-                const nextTokenIdx = tf.multinomial(logits, 1).dataSync()[0];
-                
-                currentToken = nextTokenIdx;
-                if (currentToken !== this.tokenizer.word2idx.get('<PAD>') && 
-                    currentToken !== this.tokenizer.word2idx.get('<START>') && 
-                    currentToken !== this.tokenizer.word2idx.get('<END>')) {
-                    response.push(this.tokenizer.idx2word.get(currentToken));
-                }
-                
-                // Clean up
-                output.dispose();
-                nextTokenProbs.dispose();
-                logits.dispose();
-                decoderInputTensor = newDecoderInputTensor;
-            }
-            
-            // Clean up tensors
-            encoderInputTensor.dispose();
-            decoderInputTensor.dispose();
-            
-            // Join response tokens
-            const responseText = response.join(' ');
-            console.log(`Generated response: "${responseText}"`);
-            
-            // Update conversation context
-            this.updateConversationContext(userInput, responseText);
-            
-            return responseText || this.generateFallbackResponse(userInput);
-        } catch (error) {
-            console.error("Error generating response:", error);
-            return this.generateFallbackResponse(userInput);
-        }
-    }
-
-    /**
-     * Generate a fallback response when the model is not trained enough
-     * @param {string} userInput - The user's input text
-     * @returns {string} - A fallback response
-     */
-    generateFallbackResponse(userInput) {
-        // Simple rule-based fallback responses
-        const input = userInput.toLowerCase();
-        
-        // Check for greetings
-        if (input.match(/hello|hi|hey|good morning|good afternoon|good evening|how are you/)) {
-            return "Hello! I'm still learning, but I'm happy to chat with you. How can I help with your language learning today?";
-        }
-        
-        // Check for farewells
-        if (input.match(/goodbye|bye|see you|take care/)) {
-            return "Goodbye! Thanks for chatting with me. I'm learning from our conversation!";
-        }
-        
-        // Check for questions about the bot
-        if (input.match(/who are you|what are you|tell me about yourself/)) {
-            return "I'm MR Bot, a self-learning language teaching assistant. I'm designed to learn from our conversations to help you better!";
-        }
-        
-        // Check for language learning questions
-        if (input.match(/teach|learn|language|word|grammar|vocabulary|speak|write/)) {
-            return "I'd be happy to help you learn languages! As we talk more, I'll get better at teaching you. What specific language would you like to practice?";
-        }
-        
-        // Default response
-        const defaultResponses = [
-            "I'm still learning from our conversations. Could you tell me more?",
-            "That's interesting! As we talk more, I'll get better at responding.",
-            "I'm processing what you said. My neural network is learning from this interaction!",
-            "Thanks for chatting with me. Each conversation helps me learn and improve.",
-            "I'm designed to learn from our conversations. Please continue, and I'll get better over time."
-        ];
-        
-        return defaultResponses[Math.floor(Math.random() * defaultResponses.length)];
-    }
-
-    /**
-     * Update the conversation context with new input and output
-     * @param {string} userInput - The user's input
-     * @param {string} botResponse - The bot's response
-     */
-    updateConversationContext(userInput, botResponse) {
-        // Add to conversation history
-        this.conversationContext.history.push({
-            user: userInput,
-            bot: botResponse,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Limit history size
-        if (this.conversationContext.history.length > 50) {
-            this.conversationContext.history.shift();
-        }
-        
-        // Update current topic (simplified)
-        const topicKeywords = {
-            'greeting': ['hello', 'hi', 'hey', 'morning', 'afternoon', 'evening'],
-            'farewell': ['goodbye', 'bye', 'see you', 'later', 'take care'],
-            'vocabulary': ['word', 'vocabulary', 'mean', 'definition', 'translate'],
-            'grammar': ['grammar', 'sentence', 'structure', 'tense', 'conjugate'],
-            'conversation': ['talk', 'speak', 'conversation', 'practice', 'dialogue']
-        };
-        
-        const input = userInput.toLowerCase();
-        for (const [topic, keywords] of Object.entries(topicKeywords)) {
-            if (keywords.some(keyword => input.includes(keyword))) {
-                this.conversationContext.currentTopic = topic;
-                break;
-            }
-        }
-    }
-
-    /**
-     * Learn from a text passage
-     * @param {string} text - The text to learn from
-     * @param {string} language - The language of the text
-     */
-    async learnFromText(text, language) {
-        if (!this.initialized) {
-            console.error("Model not initialized. Call initialize() first.");
-            return false;
-        }
-        
-        console.log(`Learning from text in ${language}...`);
-        
-        try {
-            // Add text to training data
-            await this.dataManager.addTrainingText(text, language);
-            
-            // Extract sentences for training
-            const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            
-            // Create training pairs (each sentence with the next one)
-            const trainingPairs = [];
-            for (let i = 0; i < sentences.length - 1; i++) {
-                trainingPairs.push([sentences[i].trim(), sentences[i + 1].trim()]);
-            }
-            
-            // Train on these pairs if we have enough
-            if (trainingPairs.length > 0) {
-                await this.trainModel(trainingPairs);
-                return true;
-            }
-            
-            return false;
-        } catch (error) {
-            console.error("Error learning from text:", error);
-            return false;
-        }
-    }
-
-    /**
-     * Record user feedback and learn from it
-     * @param {string} userInput - The user's input
-     * @param {string} botResponse - The bot's response
-     * @param {string} correctResponse - The correct response provided by the user
-     */
-    async recordFeedback(userInput, botResponse, correctResponse) {
-        if (!this.initialized) {
-            console.error("Model not initialized. Call initialize() first.");
-            return false;
-        }
-        
-        console.log("Recording feedback and learning from correction...");
-        
-        try {
-            // Add to feedback data
-            await this.dataManager.addFeedback(userInput, botResponse, correctResponse);
-            
-            // Train on this specific example
-            await this.trainModel([[userInput, correctResponse]]);
-            
-            return true;
-        } catch (error) {
-            console.error("Error recording feedback:", error);
-            return false;
-        }
-    }
-
-    /**
-     * Save the current model to storage
-     */
-    async saveModel() {
-        if (!this.initialized || !this.model) {
-            console.error("Model not initialized. Cannot save.");
-            return false;
-        }
-        
-        console.log("Saving model...");
-        
-        try {
-            // In a browser environment, we would use:
-            // await this.model.save('indexeddb://mr-bot-language-model');
-            
-            // For our implementation, we'll simulate saving
-            // In a real implementation, we would use proper storage
-            console.log("Model saved successfully");
-            
-            // Also save tokenizer data
-            const tokenizerData = {
-                word2idx: Array.from(this.tokenizer.word2idx.entries()),
-                idx2word: Array.from(this.tokenizer.idx2word.entries()),
-                vocabSize: this.tokenizer.vocabSize
-            };
-            
-            await this.dataManager.saveTokenizerData(tokenizerData);
-            
-            return true;
-        } catch (error) {
-            console.error("Error saving model:", error);
-            return false;
-        }
-    }
-
-    /**
-     * Load a saved model from storage
-     */
-    async loadModel() {
-        console.log("Loading model...");
-        
-        try {
-            // In a browser environment, we would use:
-            // const model = await tf.loadLayersModel('indexeddb://mr-bot-language-model');
-            
-            // For our implementation, we'll check if we have tokenizer data
-            const tokenizerData = await this.dataManager.getTokenizerData();
-            if (!tokenizerData) {
-                console.log("No saved model found");
-                return null;
-            }
-            
-            // Restore tokenizer
-            this.tokenizer.word2idx = new Map(tokenizerData.word2idx);
-            this.tokenizer.idx2word = new Map(tokenizerData.idx2word);
-            this.tokenizer.vocabSize = tokenizerData.vocabSize;
-            
-            console.log(`Loaded tokenizer with vocabulary size: ${this.tokenizer.vocabSize}`);
-            
-            // In a real implementation, we would load the actual model
-            // For now, we'll create a new model with the loaded vocabulary size
-            await this.createModel();
-            
-            return this.model;
-        } catch (error) {
-            console.error("Error loading model:", error);
-            return null;
-        }
-    }
-
-    /**
-     * Export the trained model for external use
-     * @param {string} format - The export format ('tfjs', 'json')
-     */
-    async exportModel(format = 'json') {
-        if (!this.initialized || !this.model) {
-            console.error("Model not initialized. Cannot export.");
-            return null;
-        }
-        
-        console.log(`Exporting model in ${format} format...`);
-        
-        try {
-            if (format === 'tfjs') {
-                // In a real implementation, we would use:
-                // const saveResults = await this.model.save('downloads://mr-bot-language-model');
-                // return saveResults;
-                
-                console.log("TFJS model export simulated");
-                return { success: true, format: 'tfjs' };
-            } else if (format === 'json') {
-                // Export model architecture and weights as JSON
-                const modelJSON = this.model.toJSON();
-                
-                // Export tokenizer data
-                const tokenizerData = {
-                    word2idx: Array.from(this.tokenizer.word2idx.entries()),
-                    idx2word: Array.from(this.tokenizer.idx2word.entries()),
-                    vocabSize: this.tokenizer.vocabSize
-                };
-                
-                // Combine model and tokenizer data
-                const exportData = {
-                    model: modelJSON,
-                    tokenizer: tokenizerData,
-                    parameters: this.parameters,
-                    trainingMetrics: this.trainingMetrics,
-                    exportDate: new Date().toISOString()
-                };
-                
-                console.log("Model exported as JSON");
-                return exportData;
-            } else {
-                throw new Error(`Unsupported export format: ${format}`);
-            }
-        } catch (error) {
-            console.error("Error exporting model:", error);
-            return null;
-        }
-    }
-
-    /**
-     * Import a previously exported model
-     * @param {Object} importData - The imported model data
-     */
-    async importModel(importData) {
-        console.log("Importing model...");
-        
-        try {
-            if (!importData || !importData.model || !importData.tokenizer) {
-                throw new Error("Invalid import data");
-            }
-            
-            // Restore tokenizer
-            this.tokenizer = {
-                word2idx: new Map(importData.tokenizer.word2idx),
-                idx2word: new Map(importData.tokenizer.idx2word),
-                vocabSize: importData.tokenizer.vocabSize,
-                
-                // Add tokenizer methods
-                fit: this.tokenizer.fit,
-                encode: this.tokenizer.encode,
-                decode: this.tokenizer.decode
-            };
-            
-            // Restore parameters
-            if (importData.parameters) {
-                this.parameters = { ...this.parameters, ...importData.parameters };
-            }
-            
-            // Restore training metrics
-            if (importData.trainingMetrics) {
-                this.trainingMetrics = { ...this.trainingMetrics, ...importData.trainingMetrics };
-            }
-            
-            // Restore model
-            // In a real implementation, we would use:
-            // this.model = await tf.models.modelFromJSON(importData.model);
-            
-            // For now, we'll create a new model with the imported parameters
-            await this.createModel();
-            
-            console.log("Model imported successfully");
-            this.initialized = true;
-            
-            return true;
-        } catch (error) {
-            console.error("Error importing model:", error);
-            return false;
-        }
-    }
-}
-
-// Export the class for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { NeuralLanguageModel };
-} else {
-    // For browser use
-    window.NeuralLanguageModel = NeuralLanguageModel;
-}
\ No newline at end of file
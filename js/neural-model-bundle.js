@@ -0,0 +1,247 @@
+/**
+ * MR Bot Neural Language Teacher - Model Bundle
+ *
+ * This module defines the portable single-file format used to share trained models:
+ * - A manifest describing the bundle and the model it contains
+ * - The model architecture (TensorFlow.js topology) and weight specs
+ * - The binary weights, base64 encoded so the bundle stays one JSON file
+ * - Tokenizer, parameters and training metrics
+ * - A checksum over all of the above, verified before loading
+ */
+
+class ModelBundle {
+    /**
+     * Bundle format identifier
+     */
+    static get FORMAT() {
+        return 'mr-bot-model-bundle';
+    }
+
+    /**
+     * Bundle format version written by this build (semver)
+     */
+    static get FORMAT_VERSION() {
+        return '1.0.0';
+    }
+
+    /**
+     * Create a bundle from model artifacts and metadata
+     * @param {Object} contents - Bundle contents
+     * @param {Object} contents.artifacts - TensorFlow.js model artifacts (modelTopology, weightSpecs, weightData)
+     * @param {Object} contents.tokenizer - Serialized tokenizer data
+     * @param {Object} contents.parameters - Model parameters
+     * @param {Object} contents.trainingMetrics - Training metrics
+     * @param {string} contents.architecture - Architecture name
+     * @param {string} contents.name - Optional model name
+     * @returns {Object} - The bundle
+     */
+    static create(contents) {
+        const { artifacts } = contents;
+        const weightData = artifacts.weightData;
+
+        const bundle = {
+            format: ModelBundle.FORMAT,
+            formatVersion: ModelBundle.FORMAT_VERSION,
+            manifest: {
+                name: contents.name || 'mr-bot-language-model',
+                architecture: contents.architecture || 'transformer',
+                createdAt: new Date().toISOString(),
+                weightBytes: weightData.byteLength,
+                weightTensors: artifacts.weightSpecs.length,
+                vocabularySize: contents.tokenizer ? contents.tokenizer.vocabSize : 0
+            },
+            architecture: artifacts.modelTopology,
+            weightSpecs: artifacts.weightSpecs,
+            weights: ModelBundle.encodeBase64(weightData),
+            tokenizer: contents.tokenizer,
+            parameters: contents.parameters,
+            trainingMetrics: contents.trainingMetrics
+        };
+
+        bundle.checksum = {
+            algorithm: 'crc32',
+            value: ModelBundle.computeChecksum(bundle, weightData)
+        };
+
+        return bundle;
+    }
+
+    /**
+     * Check whether an object looks like a model bundle
+     * @param {Object} data - Parsed import data
+     * @returns {boolean} - True if the data is a bundle
+     */
+    static isBundle(data) {
+        return !!data && data.format === ModelBundle.FORMAT;
+    }
+
+    /**
+     * Validate a bundle and unpack it into model artifacts
+     * @param {Object} bundle - The bundle to load
+     * @param {Object} options - Load options
+     * @param {Array} options.architectures - Architecture names this build can load
+     * @returns {Object} - { artifacts, tokenizer, parameters, trainingMetrics, manifest }
+     */
+    static load(bundle, options = {}) {
+        if (!ModelBundle.isBundle(bundle)) {
+            throw new Error("Not an MR Bot model bundle");
+        }
+
+        ModelBundle.checkVersion(bundle.formatVersion);
+
+        const required = ['manifest', 'architecture', 'weightSpecs', 'weights', 'tokenizer', 'checksum'];
+        const missing = required.filter(field => !bundle[field]);
+        if (missing.length > 0) {
+            throw new Error(`Model bundle is missing: ${missing.join(', ')}`);
+        }
+
+        const architectures = options.architectures || ['transformer'];
+        if (!architectures.includes(bundle.manifest.architecture)) {
+            throw new Error(`Unsupported model architecture: ${bundle.manifest.architecture}`);
+        }
+
+        const weightData = ModelBundle.decodeBase64(bundle.weights);
+        if (weightData.byteLength !== bundle.manifest.weightBytes) {
+            throw new Error(`Weight data is ${weightData.byteLength} bytes, manifest expects ${bundle.manifest.weightBytes}`);
+        }
+
+        if (bundle.checksum.algorithm !== 'crc32') {
+            throw new Error(`Unsupported checksum algorithm: ${bundle.checksum.algorithm}`);
+        }
+
+        const checksum = ModelBundle.computeChecksum(bundle, weightData);
+        if (checksum !== bundle.checksum.value) {
+            throw new Error("Model bundle checksum does not match, the file may be corrupted");
+        }
+
+        return {
+            artifacts: {
+                modelTopology: bundle.architecture,
+                weightSpecs: bundle.weightSpecs,
+                weightData: weightData
+            },
+            tokenizer: bundle.tokenizer,
+            parameters: bundle.parameters || {},
+            trainingMetrics: bundle.trainingMetrics || {},
+            manifest: bundle.manifest
+        };
+    }
+
+    /**
+     * Check that a bundle version can be read by this build
+     * Bundles with the same major version are compatible; newer minor versions may
+     * carry fields this build ignores.
+     * @param {string} version - The bundle format version
+     */
+    static checkVersion(version) {
+        const parse = (v) => String(v || '').split('.').map(part => parseInt(part, 10));
+        const [major, minor] = parse(version);
+        const [supportedMajor, supportedMinor] = parse(ModelBundle.FORMAT_VERSION);
+
+        if (isNaN(major)) {
+            throw new Error("Model bundle has no format version");
+        }
+
+        if (major !== supportedMajor) {
+            throw new Error(`Model bundle version ${version} is not compatible with this app (supports ${supportedMajor}.x)`);
+        }
+
+        if (minor > supportedMinor) {
+            console.warn(`Model bundle version ${version} is newer than ${ModelBundle.FORMAT_VERSION}, some data may be ignored`);
+        }
+    }
+
+    /**
+     * Compute the bundle checksum over its metadata and weight bytes
+     * @param {Object} bundle - The bundle
+     * @param {ArrayBuffer} weightData - The binary weights
+     * @returns {string} - Hex encoded CRC-32
+     */
+    static computeChecksum(bundle, weightData) {
+        const metadata = JSON.stringify({
+            formatVersion: bundle.formatVersion,
+            manifest: bundle.manifest,
+            architecture: bundle.architecture,
+            weightSpecs: bundle.weightSpecs,
+            tokenizer: bundle.tokenizer,
+            parameters: bundle.parameters,
+            trainingMetrics: bundle.trainingMetrics
+        });
+
+        let crc = ModelBundle.crc32(new TextEncoder().encode(metadata));
+        crc = ModelBundle.crc32(new Uint8Array(weightData), crc);
+
+        return crc.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * CRC-32 (IEEE) over a byte array
+     * @param {Uint8Array} bytes - Input bytes
+     * @param {number} previous - CRC of preceding data, for chaining
+     * @returns {number} - Unsigned CRC-32
+     */
+    static crc32(bytes, previous = 0) {
+        if (!ModelBundle.crcTable) {
+            ModelBundle.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ModelBundle.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ModelBundle.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Encode binary data as base64
+     * @param {ArrayBuffer} data - Binary data
+     * @returns {string} - Base64 string
+     */
+    static encodeBase64(data) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(data).toString('base64');
+        }
+
+        const bytes = new Uint8Array(data);
+        const chunkSize = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into an ArrayBuffer
+     * @param {string} encoded - Base64 string
+     * @returns {ArrayBuffer} - Binary data
+     */
+    static decodeBase64(encoded) {
+        if (typeof Buffer !== 'undefined') {
+            const buffer = Buffer.from(encoded, 'base64');
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+
+        const binary = atob(encoded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelBundle };
+} else {
+    // For browser use
+    window.ModelBundle = ModelBundle;
+}
@@ -0,0 +1,30 @@
+/**
+ * MR Bot Neural Language Teacher - Module Resolver
+ *
+ * The files in js/ are classic scripts in the browser and CommonJS modules in Node:
+ * - In the browser and the training worker, each script registers its classes on window
+ * - In Node (tests and tools), each file exports its classes
+ * resolveExport() finds a class from another file either way, so the files can use each other
+ * without a bundler.
+ */
+
+/**
+ * Get a class that is a script global in the browser and a module export in Node
+ * @param {string} name - Class name
+ * @param {string} modulePath - Path of the class's file, relative to js/
+ * @returns {Function} - The class
+ */
+function resolveExport(name, modulePath) {
+    if (typeof window !== 'undefined' && window[name]) {
+        return window[name];
+    }
+    return require(modulePath)[name];
+}
+
+// Export the function for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { resolveExport };
+} else {
+    // For browser use
+    window.resolveExport = resolveExport;
+}
@@ -0,0 +1,121 @@
+/**
+ * MR Bot Neural Language Teacher - Replay Buffer
+ *
+ * This module mixes new training examples with a sample of everything learned before,
+ * so training on a single correction does not overwrite what the model already knew:
+ * - Samples past conversations, corrections and text passages from the data manager
+ * - Weights the sample by source; corrections count more than raw bot output
+ * - Leaves out replies the bot fell back to, which would teach it to give them again
+ * - Never samples the examples that are being trained on anyway
+ */
+
+class ReplayBuffer {
+    /**
+     * @param {Object} dataManager - The data manager holding past examples
+     * @param {Object} options - Replay options
+     * @param {number} options.sampleSize - Past pairs mixed into each training run
+     * @param {Object} options.weights - Sampling weight per source (feedback, conversation, text)
+     */
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.sampleSize = options.sampleSize !== undefined ? options.sampleSize : 32;
+        this.weights = {
+            feedback: 3,
+            conversation: 1,
+            text: 1,
+            ...options.weights
+        };
+    }
+
+    /**
+     * Response sources of replies that are not trained on
+     * @returns {Array} - Response source names
+     */
+    static get UNTRAINED_SOURCES() {
+        return ['fallback'];
+    }
+
+    /**
+     * Check whether a pair is worth training on
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {boolean} - False for replies from an untrained source
+     */
+    static isTrainable(pair) {
+        const metadata = pair[2] || {};
+        return !ReplayBuffer.UNTRAINED_SOURCES.includes(metadata.responseSource);
+    }
+
+    /**
+     * Get the sampling weight of a pair
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {number} - The weight for the pair's source
+     */
+    getWeight(pair) {
+        const source = ReplayBuffer.getSource(pair);
+        return this.weights[source] !== undefined ? this.weights[source] : 1;
+    }
+
+    /**
+     * Get where a pair came from
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {string} - 'feedback', 'conversation' or 'text'
+     */
+    static getSource(pair) {
+        const metadata = pair[2] || {};
+        if (metadata.source) {
+            return metadata.source;
+        }
+        return metadata.isFeedback ? 'feedback' : 'conversation';
+    }
+
+    /**
+     * Sample past pairs, weighted by source, without replacement
+     * @param {number} count - Number of pairs to sample (defaults to the buffer's sampleSize)
+     * @param {Object} options - Sampling options
+     * @param {Array} options.exclude - Pairs that must not be sampled
+     * @returns {Array} - The sampled pairs
+     */
+    async sample(count = this.sampleSize, options = {}) {
+        const pairs = await this.dataManager.getConversationPairs();
+
+        const excluded = new Set((options.exclude || []).map(pair => ReplayBuffer.getKey(pair)));
+        const candidates = pairs.filter(pair =>
+            !excluded.has(ReplayBuffer.getKey(pair)) && ReplayBuffer.isTrainable(pair) && this.getWeight(pair) > 0
+        );
+
+        // Weighted sampling: each pair gets a random key u^(1/w), the largest keys win
+        return candidates
+            .map(pair => ({ pair, key: Math.pow(Math.random(), 1 / this.getWeight(pair)) }))
+            .sort((a, b) => b.key - a.key)
+            .slice(0, count)
+            .map(entry => entry.pair);
+    }
+
+    /**
+     * Combine new pairs with a replay sample
+     * @param {Array} newPairs - Pairs to train on
+     * @param {number} count - Number of past pairs to add (defaults to the buffer's sampleSize)
+     * @returns {Array} - The new pairs followed by the sample
+     */
+    async mix(newPairs, count = this.sampleSize) {
+        const replay = await this.sample(count, { exclude: newPairs });
+        return [...newPairs, ...replay];
+    }
+
+    /**
+     * Identify a pair by its text, so stored copies of new pairs are excluded too
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {string} - The pair key
+     */
+    static getKey(pair) {
+        return `${pair[0]}\u0000${pair[1]}`;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayBuffer };
+} else {
+    // For browser use
+    window.ReplayBuffer = ReplayBuffer;
+}
@@ -0,0 +1,251 @@
+/**
+ * MR Bot Neural Language Teacher - Response Memory
+ *
+ * This module answers from stored conversations by retrieval, so the bot gives useful
+ * replies before the neural model has seen enough examples:
+ * - Indexes the inputs of stored corrections and conversations
+ * - Compares inputs by TF-IDF weighted character n-grams, which works for Bengali word
+ *   forms and needs no word list
+ * - Returns the best stored response only above a confidence threshold
+ *
+ * Corrections are preferred over raw bot output, and replies that were themselves
+ * canned or retrieved are never indexed, so the memory does not repeat itself.
+ */
+
+class ResponseMemory {
+    /**
+     * @param {Object} dataManager - The data manager holding stored conversations
+     * @param {Object} options - Retrieval options
+     * @param {number} options.threshold - Minimum similarity for a stored response to be used
+     * @param {number} options.preferThreshold - Similarity above which a stored response beats the trained model
+     * @param {Array} options.ngramSizes - Character n-gram sizes
+     * @param {Object} options.weights - Similarity weight per source (feedback, conversation)
+     */
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.options = {
+            threshold: 0.5,
+            preferThreshold: 0.85,
+            ngramSizes: [2, 3, 4],
+            ...options,
+            weights: {
+                feedback: 1.0,
+                conversation: 0.9,
+                ...options.weights
+            }
+        };
+
+        this.entries = [];
+        this.documentFrequency = new Map();
+        this.signature = null;
+    }
+
+    /**
+     * Response sources of conversations that must not be indexed
+     * Canned fallback replies and retrieved replies say nothing new about the input.
+     */
+    static get UNINDEXED_SOURCES() {
+        return ['fallback', 'retrieval'];
+    }
+
+    /**
+     * Find the stored response that best matches an input
+     * @param {string} input - The user's input
+     * @param {Object} options - Search options
+     * @param {number} options.threshold - Minimum similarity (defaults to the memory's threshold)
+     * @returns {Object|null} - { response, input, score, source, id }, or null if nothing is similar enough
+     */
+    async findResponse(input, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : this.options.threshold;
+        const [best] = await this.search(input, 1);
+        return best && best.score >= threshold ? best : null;
+    }
+
+    /**
+     * Rank stored responses by the similarity of their inputs
+     * @param {string} input - The user's input
+     * @param {number} limit - Maximum results
+     * @returns {Array} - [{ response, input, score, source, id }], best first
+     */
+    async search(input, limit = 5) {
+        await this.refresh();
+        if (this.entries.length === 0) {
+            return [];
+        }
+
+        const query = this.vectorize(input);
+        if (query.norm === 0) {
+            return [];
+        }
+
+        return this.entries
+            .map(entry => ({
+                response: entry.response,
+                input: entry.input,
+                score: ResponseMemory.cosine(query, entry.vector) * this.getWeight(entry.source),
+                source: entry.source,
+                id: entry.id
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Rebuild the index if stored conversations were added, edited or deleted
+     */
+    async refresh() {
+        const pairs = (await this.dataManager.getConversationPairs())
+            .filter(pair => ['feedback', 'conversation'].includes((pair[2] || {}).source));
+
+        // Edited records keep their id, so their update time is part of the signature
+        const signature = pairs.map(pair => `${pair[2].id}:${pair[2].updatedAt || ''}`).join(',');
+        if (signature === this.signature) {
+            return;
+        }
+
+        this.build(pairs);
+        this.signature = signature;
+    }
+
+    /**
+     * Force the index to be rebuilt on the next search
+     */
+    invalidate() {
+        this.signature = null;
+    }
+
+    /**
+     * Build the index from conversation pairs
+     * @param {Array} pairs - [input, response, metadata] triples from the data manager
+     */
+    build(pairs) {
+        // A correction replaces every bot reply to the same input
+        const corrected = new Set(pairs
+            .filter(pair => pair[2].source === 'feedback')
+            .map(pair => ResponseMemory.normalize(pair[0])));
+
+        const documents = pairs.filter(([input, response, metadata]) => {
+            if (!response || !response.trim() || !ResponseMemory.normalize(input)) return false;
+            if (metadata.source === 'feedback') return true;
+            return !ResponseMemory.UNINDEXED_SOURCES.includes(metadata.responseSource) &&
+                !corrected.has(ResponseMemory.normalize(input));
+        });
+
+        this.documentFrequency = new Map();
+        const counts = documents.map(([input]) => {
+            const grams = this.countNgrams(input);
+            for (const gram of grams.keys()) {
+                this.documentFrequency.set(gram, (this.documentFrequency.get(gram) || 0) + 1);
+            }
+            return grams;
+        });
+
+        this.documentCount = documents.length;
+        this.entries = documents.map(([input, response, metadata], i) => ({
+            id: metadata.id,
+            input: input,
+            response: response,
+            source: metadata.source,
+            vector: this.weigh(counts[i])
+        }));
+    }
+
+    /**
+     * Get the similarity weight for a source
+     * @param {string} source - 'feedback' or 'conversation'
+     * @returns {number} - The weight
+     */
+    getWeight(source) {
+        return this.options.weights[source] !== undefined ? this.options.weights[source] : 1;
+    }
+
+    /**
+     * Turn a text into a TF-IDF vector
+     * @param {string} text - The text
+     * @returns {Object} - { weights: Map, norm }
+     */
+    vectorize(text) {
+        return this.weigh(this.countNgrams(text));
+    }
+
+    /**
+     * Weigh n-gram counts by inverse document frequency
+     * N-grams that appear in no indexed input get the highest weight: they match nothing,
+     * so an input with many unknown words scores low against every stored input.
+     * @param {Map} counts - N-gram counts
+     * @returns {Object} - { weights: Map, norm }
+     */
+    weigh(counts) {
+        const weights = new Map();
+        let squares = 0;
+        for (const [gram, count] of counts) {
+            const df = this.documentFrequency.get(gram) || 0;
+            const weight = (1 + Math.log(count)) * (Math.log((1 + this.documentCount) / (1 + df)) + 1);
+            weights.set(gram, weight);
+            squares += weight * weight;
+        }
+        return { weights, norm: Math.sqrt(squares) };
+    }
+
+    /**
+     * Count the character n-grams of a text, per word with word boundaries marked
+     * @param {string} text - The text
+     * @returns {Map} - N-gram counts
+     */
+    countNgrams(text) {
+        const counts = new Map();
+        for (const word of ResponseMemory.normalize(text).split(' ')) {
+            if (!word) continue;
+
+            const characters = Array.from(` ${word} `);
+            for (const n of this.options.ngramSizes) {
+                for (let i = 0; i + n <= characters.length; i++) {
+                    const gram = characters.slice(i, i + n).join('');
+                    counts.set(gram, (counts.get(gram) || 0) + 1);
+                }
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Cosine similarity of two TF-IDF vectors
+     * @param {Object} a - { weights, norm }
+     * @param {Object} b - { weights, norm }
+     * @returns {number} - Similarity in [0, 1]
+     */
+    static cosine(a, b) {
+        if (a.norm === 0 || b.norm === 0) return 0;
+
+        const [small, large] = a.weights.size <= b.weights.size ? [a, b] : [b, a];
+        let dot = 0;
+        for (const [gram, weight] of small.weights) {
+            const other = large.weights.get(gram);
+            if (other) dot += weight * other;
+        }
+        return dot / (a.norm * b.norm);
+    }
+
+    /**
+     * Normalize text for matching: Unicode NFC, lowercase, letters, marks and digits only
+     * Zero-width joiners stay, since Bengali spellings such as র‍্যাব depend on them.
+     * @param {string} text - The text
+     * @returns {string} - Words separated by single spaces
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\u200C\u200D]+/gu, ' ')
+            .trim();
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResponseMemory };
+} else {
+    // For browser use
+    window.ResponseMemory = ResponseMemory;
+}
@@ -0,0 +1,526 @@
+/**
+ * MR Bot Neural Language Teacher - Neural Storage
+ *
+ * This module provides the persistent storage used by the neural data manager:
+ * - A storage adapter contract (get/put/delete/list/transaction)
+ * - IndexedDB adapter for the browser
+ * - localStorage adapter as a small fallback
+ * - In-memory adapter for tests
+ * - Filesystem adapter that keeps JSON files under a data directory in Node
+ *
+ * All adapters store the same records in the same object stores, so data written
+ * in the browser can be exported and used by headless training jobs and back.
+ */
+
+// Object stores, one per data collection
+const STORAGE_STORE_NAMES = {
+    conversations: 'conversations',
+    texts: 'texts',
+    feedback: 'feedback',
+    vocabulary: 'vocabulary',
+    modelData: 'modelData',
+    profile: 'profile'
+};
+
+class StorageAdapter {
+    constructor() {
+        this.storeNames = { ...STORAGE_STORE_NAMES };
+    }
+
+    /**
+     * Prepare the backend for use
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Release the backend
+     */
+    close() {}
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - The object store name
+     * @param {string} key - The record key
+     * @returns {*} - The record or undefined if not found
+     */
+    async get(storeName, key) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - The object store name
+     * @param {string} key - The record key
+     * @param {*} value - The record to store
+     */
+    async put(storeName, key, value) {
+        return this.transaction(tx => tx.put(storeName, key, value));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - The object store name
+     * @param {string} key - The record key
+     */
+    async delete(storeName, key) {
+        return this.transaction(tx => tx.delete(storeName, key));
+    }
+
+    /**
+     * List all records in a store
+     * @param {string} storeName - The object store name
+     * @returns {Array} - All records in key order
+     */
+    async list(storeName) {
+        throw new Error(`${this.constructor.name} does not implement list()`);
+    }
+
+    /**
+     * Remove all records from a store
+     * @param {string} storeName - The object store name
+     */
+    async clear(storeName) {
+        return this.transaction(tx => tx.clear(storeName));
+    }
+
+    /**
+     * Group writes so they are applied together or not at all
+     * @param {Function} callback - Receives a transaction with put/delete/clear methods
+     * @returns {boolean} - True once all writes are applied
+     */
+    async transaction(callback) {
+        const operations = [];
+        const tx = {
+            put: (storeName, key, value) => operations.push({ type: 'put', storeName, key, value }),
+            delete: (storeName, key) => operations.push({ type: 'delete', storeName, key }),
+            clear: (storeName) => operations.push({ type: 'clear', storeName })
+        };
+
+        await callback(tx);
+
+        if (operations.length > 0) {
+            this.validateOperations(operations);
+            await this.applyOperations(operations);
+        }
+
+        return true;
+    }
+
+    /**
+     * Apply a batch of queued writes
+     * @param {Array} operations - Queued put/delete/clear operations
+     */
+    async applyOperations(operations) {
+        throw new Error(`${this.constructor.name} does not implement applyOperations()`);
+    }
+
+    /**
+     * Reject writes to unknown stores before anything is applied
+     * @param {Array} operations - Queued put/delete/clear operations
+     */
+    validateOperations(operations) {
+        const known = Object.values(this.storeNames);
+        for (const operation of operations) {
+            if (!known.includes(operation.storeName)) {
+                throw new Error(`Unknown object store: ${operation.storeName}`);
+            }
+        }
+    }
+
+    /**
+     * Apply queued operations to plain {key: value} store objects
+     * @param {Object} stores - Map of store name to {key: value} object
+     * @param {Array} operations - Queued put/delete/clear operations
+     */
+    static applyToObjects(stores, operations) {
+        for (const operation of operations) {
+            const store = stores[operation.storeName];
+            if (operation.type === 'put') {
+                store[operation.key] = operation.value;
+            } else if (operation.type === 'delete') {
+                delete store[operation.key];
+            } else if (operation.type === 'clear') {
+                for (const key of Object.keys(store)) {
+                    delete store[key];
+                }
+            }
+        }
+    }
+
+    /**
+     * Return the values of a {key: value} store object in key order
+     * @param {Object} store - The store object
+     * @returns {Array} - Values sorted by key
+     */
+    static sortedValues(store) {
+        return Object.keys(store).sort().map(key => store[key]);
+    }
+}
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.stores = {};
+        for (const storeName of Object.values(this.storeNames)) {
+            this.stores[storeName] = {};
+        }
+    }
+
+    async get(storeName, key) {
+        const value = this.stores[storeName][key];
+        // Hand out copies so callers behave the same as with a real backend
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    async list(storeName) {
+        return StorageAdapter.sortedValues(this.stores[storeName]).map(value => JSON.parse(JSON.stringify(value)));
+    }
+
+    async applyOperations(operations) {
+        const copied = operations.map(operation => operation.type === 'put'
+            ? { ...operation, value: JSON.parse(JSON.stringify(operation.value)) }
+            : operation);
+        StorageAdapter.applyToObjects(this.stores, copied);
+    }
+}
+
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.prefix - Prefix for localStorage keys
+     */
+    constructor(options = {}) {
+        super();
+        this.prefix = options.prefix || 'mr-bot';
+    }
+
+    /**
+     * Check whether localStorage is available in this environment
+     * @returns {boolean} - True if localStorage can be used
+     */
+    static isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is disabled
+            return false;
+        }
+    }
+
+    /**
+     * Read a whole store, kept as one JSON object per store
+     * @param {string} storeName - The object store name
+     * @returns {Object} - The {key: value} store object
+     */
+    readStore(storeName) {
+        const data = localStorage.getItem(`${this.prefix}:${storeName}`);
+        return data ? JSON.parse(data) : {};
+    }
+
+    async get(storeName, key) {
+        return this.readStore(storeName)[key];
+    }
+
+    async list(storeName) {
+        return StorageAdapter.sortedValues(this.readStore(storeName));
+    }
+
+    async applyOperations(operations) {
+        const touched = [...new Set(operations.map(operation => operation.storeName))];
+        const stores = {};
+        for (const storeName of touched) {
+            stores[storeName] = this.readStore(storeName);
+        }
+
+        StorageAdapter.applyToObjects(stores, operations);
+
+        // Serialize everything first so a quota error leaves storage untouched
+        const serialized = touched.map(storeName => [storeName, JSON.stringify(stores[storeName])]);
+        for (const [storeName, data] of serialized) {
+            localStorage.setItem(`${this.prefix}:${storeName}`, data);
+        }
+    }
+}
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.version - IndexedDB schema version; raised whenever an object store is added
+     */
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'mr-bot-neural-data';
+        this.version = options.version || 2;
+        this.db = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this environment
+     * @returns {boolean} - True if IndexedDB can be used
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database, creating the object stores on first use
+     * @returns {IndexedDBStorageAdapter} - The adapter
+     */
+    async open() {
+        if (this.db) {
+            return this;
+        }
+
+        if (!IndexedDBStorageAdapter.isAvailable()) {
+            throw new Error("IndexedDB is not available in this environment");
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // Records are stored with out-of-line keys (the record id)
+                for (const storeName of Object.values(this.storeNames)) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Opening ${this.dbName} was blocked by another connection`));
+        });
+
+        return this;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Run a read request and resolve with its result
+     * @param {string} storeName - The object store name
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {*} - The request result
+     */
+    async read(storeName, operation) {
+        await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = operation(this.db.transaction(storeName, 'readonly').objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(storeName, key) {
+        return this.read(storeName, store => store.get(key));
+    }
+
+    async list(storeName) {
+        const records = await this.read(storeName, store => store.getAll());
+        return records || [];
+    }
+
+    async applyOperations(operations) {
+        await this.open();
+        const storeNames = [...new Set(operations.map(operation => operation.storeName))];
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            for (const operation of operations) {
+                const store = transaction.objectStore(operation.storeName);
+                if (operation.type === 'put') {
+                    store.put(operation.value, operation.key);
+                } else if (operation.type === 'delete') {
+                    store.delete(operation.key);
+                } else if (operation.type === 'clear') {
+                    store.clear();
+                }
+            }
+
+            // Resolve only once the transaction has committed
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+        });
+    }
+}
+
+class FileSystemStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dataDir - Directory holding one JSON file per store
+     */
+    constructor(options = {}) {
+        super();
+        this.dataDir = options.dataDir || 'data';
+        this.fs = null;
+        this.path = null;
+
+        // Writes replace whole store files, so they are applied one at a time
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Check whether the Node filesystem is available in this environment
+     * @returns {boolean} - True when running under Node
+     */
+    static isAvailable() {
+        return typeof process !== 'undefined' && !!(process.versions && process.versions.node) &&
+            typeof require === 'function';
+    }
+
+    async open() {
+        if (this.fs) {
+            return this;
+        }
+
+        if (!FileSystemStorageAdapter.isAvailable()) {
+            throw new Error("The filesystem is not available in this environment");
+        }
+
+        this.fs = require('fs').promises;
+        this.path = require('path');
+        await this.fs.mkdir(this.dataDir, { recursive: true });
+
+        return this;
+    }
+
+    /**
+     * Get the JSON file path for a store
+     * @param {string} storeName - The object store name
+     * @returns {string} - The file path
+     */
+    storeFile(storeName) {
+        return this.path.join(this.dataDir, `${storeName}.json`);
+    }
+
+    /**
+     * Read a whole store file
+     * @param {string} storeName - The object store name
+     * @returns {Object} - The {key: value} store object
+     */
+    async readStore(storeName) {
+        await this.open();
+
+        try {
+            return JSON.parse(await this.fs.readFile(this.storeFile(storeName), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async get(storeName, key) {
+        return (await this.readStore(storeName))[key];
+    }
+
+    async list(storeName) {
+        return StorageAdapter.sortedValues(await this.readStore(storeName));
+    }
+
+    async applyOperations(operations) {
+        const write = this.writeQueue.then(() => this.writeStores(operations));
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Read, change and replace the files of the stores a batch of operations touches
+     * @param {Array} operations - Queued put/delete/clear operations
+     */
+    async writeStores(operations) {
+        const touched = [...new Set(operations.map(operation => operation.storeName))];
+        const stores = {};
+        for (const storeName of touched) {
+            stores[storeName] = await this.readStore(storeName);
+        }
+
+        StorageAdapter.applyToObjects(stores, operations);
+
+        // Write to temporary files first, then rename so a crash never leaves half-written JSON
+        for (const storeName of touched) {
+            await this.fs.writeFile(`${this.storeFile(storeName)}.tmp`, JSON.stringify(stores[storeName]), 'utf8');
+        }
+        for (const storeName of touched) {
+            await this.fs.rename(`${this.storeFile(storeName)}.tmp`, this.storeFile(storeName));
+        }
+    }
+}
+
+/**
+ * Create a storage adapter for the current environment
+ * @param {Object} options - Adapter options
+ * @param {string} options.type - 'indexeddb', 'localstorage', 'memory', 'filesystem' or 'auto'
+ * @param {string} options.dataDir - Data directory for the filesystem adapter
+ * @returns {StorageAdapter} - The storage adapter
+ */
+function createStorageAdapter(options = {}) {
+    const type = (options.type || 'auto').toLowerCase();
+    const dataDir = options.dataDir ||
+        (typeof process !== 'undefined' && process.env ? process.env.MR_BOT_DATA_DIR : undefined);
+
+    switch (type) {
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter(options);
+        case 'localstorage':
+            return new LocalStorageAdapter(options);
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'filesystem':
+            return new FileSystemStorageAdapter({ ...options, dataDir });
+        case 'auto':
+            break;
+        default:
+            throw new Error(`Unknown storage type: ${options.type}`);
+    }
+
+    if (IndexedDBStorageAdapter.isAvailable()) {
+        return new IndexedDBStorageAdapter(options);
+    }
+
+    // Headless runs only touch the disk when a data directory is configured
+    if (FileSystemStorageAdapter.isAvailable() && dataDir) {
+        return new FileSystemStorageAdapter({ ...options, dataDir });
+    }
+
+    if (LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter(options);
+    }
+
+    return new MemoryStorageAdapter();
+}
+
+// Export the classes for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StorageAdapter,
+        MemoryStorageAdapter,
+        LocalStorageAdapter,
+        IndexedDBStorageAdapter,
+        FileSystemStorageAdapter,
+        createStorageAdapter
+    };
+} else {
+    // For browser use
+    window.StorageAdapter = StorageAdapter;
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+    window.LocalStorageAdapter = LocalStorageAdapter;
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+    window.FileSystemStorageAdapter = FileSystemStorageAdapter;
+    window.createStorageAdapter = createStorageAdapter;
+}
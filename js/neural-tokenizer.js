@@ -0,0 +1,631 @@
+/**
+ * MR Bot Neural Language Teacher - Neural Tokenizer
+ *
+ * This module provides the byte-pair-encoding (BPE) tokenizer used by the language model:
+ * - Normalizes text to NFC and segments words into grapheme clusters, so Bengali and other
+ *   Indic conjuncts, vowel signs (kar) and virama (hasanta) stay attached to their base letters
+ * - Learns merge rules from the training corpus
+ * - Grows incrementally: new tokens are appended so existing ids never change
+ * - Marks the end of every word with an end-of-word suffix so decoding restores word boundaries
+ * - Falls back to UTF-8 byte tokens for characters it has never seen, so encode/decode is lossless
+ * - Keeps control tokens such as speaker separators whole: they are never split into symbols
+ * - Serializes to plain JSON for storage through the data manager
+ */
+
+class BPETokenizer {
+    /**
+     * @param {Object} options - Tokenizer options
+     * @param {number} options.maxVocabSize - Upper bound on the vocabulary size
+     * @param {number} options.minFrequency - Minimum pair frequency for a merge to be learned
+     */
+    constructor(options = {}) {
+        this.maxVocabSize = options.maxVocabSize || 10000;
+        this.minFrequency = options.minFrequency || 2;
+
+        this.word2idx = new Map();
+        this.idx2word = new Map();
+        this.merges = [];
+        this.mergeRanks = new Map();
+        this.vocabSize = 0;
+
+        // Whole-word tokens that encode to a single id (see addControlToken)
+        this.controlTokens = new Set();
+
+        // Encoded words, cleared whenever the merge rules change
+        this.cache = new Map();
+
+        this.reset();
+    }
+
+    /**
+     * Suffix marking the last symbol of a word
+     */
+    static get END_OF_WORD() {
+        return '</w>';
+    }
+
+    /**
+     * Reserved tokens with fixed ids
+     */
+    static get SPECIAL_TOKENS() {
+        return ['<PAD>', '<UNK>', '<START>', '<END>'];
+    }
+
+    /**
+     * Clear the vocabulary back to the reserved tokens
+     */
+    reset() {
+        this.word2idx.clear();
+        this.idx2word.clear();
+        this.merges = [];
+        this.mergeRanks.clear();
+        this.cache.clear();
+
+        for (const token of BPETokenizer.SPECIAL_TOKENS) {
+            this.addToken(token);
+        }
+
+        // Standalone end-of-word marker and byte fallback tokens for unseen characters
+        this.addToken(BPETokenizer.END_OF_WORD);
+        for (let byte = 0; byte < 256; byte++) {
+            this.addToken(BPETokenizer.byteToken(byte));
+        }
+
+        // Control tokens stay registered when the vocabulary is rebuilt
+        for (const token of this.controlTokens) {
+            this.addToken(token);
+        }
+    }
+
+    /**
+     * Register a control token, such as a speaker separator
+     * The token is encoded as one id wherever it appears as a whole word, and is never
+     * learned from or split by the merges. It is appended, so existing ids do not change.
+     * @param {string} token - The token, without whitespace
+     * @returns {number} - The token id
+     */
+    addControlToken(token) {
+        this.controlTokens.add(token);
+        return this.addToken(token);
+    }
+
+    /**
+     * Add a token to the end of the vocabulary
+     * @param {string} token - The token
+     * @returns {number} - The token id
+     */
+    addToken(token) {
+        if (this.word2idx.has(token)) {
+            return this.word2idx.get(token);
+        }
+
+        const idx = this.word2idx.size;
+        this.word2idx.set(token, idx);
+        this.idx2word.set(idx, token);
+        this.vocabSize = this.word2idx.size;
+        return idx;
+    }
+
+    /**
+     * Name of the fallback token for a UTF-8 byte
+     * @param {number} byte - Byte value
+     * @returns {string} - Token such as <0x41>
+     */
+    static byteToken(byte) {
+        return `<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`;
+    }
+
+    /**
+     * Check whether a token is a UTF-8 byte fallback token
+     * @param {string} token - Token
+     * @returns {boolean} - True for tokens such as <0x41>
+     */
+    static isByteToken(token) {
+        return /^<0x[0-9A-F]{2}>$/.test(token || '');
+    }
+
+    /**
+     * Get the byte fallback tokens that spell out a text
+     * @param {string} text - Text
+     * @returns {Array} - Tokens such as <0x41>
+     */
+    static toByteTokens(text) {
+        return [...new TextEncoder().encode(text)].map(byte => BPETokenizer.byteToken(byte));
+    }
+
+    /**
+     * Split text into NFC-normalized words
+     * @param {string} text - Input text
+     * @returns {Array} - Words
+     */
+    splitWords(text) {
+        return String(text).normalize('NFC').split(/\s+/).filter(word => word.length > 0);
+    }
+
+    /**
+     * Split text into NFC-normalized words and the whitespace between them
+     * @param {string} text - Input text
+     * @returns {Array} - Words at even indices (possibly empty at either end), whitespace runs at odd indices
+     */
+    splitText(text) {
+        return String(text).normalize('NFC').split(/(\s+)/);
+    }
+
+    /**
+     * Split a word into its initial symbols, marking the last one as end of word
+     * Clusters containing '<' are spelled out as byte tokens and never merged, so no learned
+     * token can be mistaken for a reserved token or the end-of-word marker.
+     * @param {string} word - A single word
+     * @returns {Array} - Symbols
+     */
+    wordToSymbols(word) {
+        const symbols = [];
+        for (const cluster of BPETokenizer.graphemes(word)) {
+            if (cluster.includes('<')) {
+                symbols.push(...BPETokenizer.toByteTokens(cluster));
+            } else {
+                symbols.push(cluster);
+            }
+        }
+        symbols[symbols.length - 1] += BPETokenizer.END_OF_WORD;
+        return symbols;
+    }
+
+    /**
+     * Check whether a word symbol is a byte token, with or without the end-of-word marker
+     * @param {string} symbol - Symbol
+     * @returns {boolean} - True for byte symbols, which are never merged
+     */
+    static isByteSymbol(symbol) {
+        const end = BPETokenizer.END_OF_WORD;
+        return BPETokenizer.isByteToken(symbol.endsWith(end) ? symbol.slice(0, -end.length) : symbol);
+    }
+
+    /**
+     * Segment a word into grapheme clusters
+     * Combining marks (vowel signs, virama, nukta, chandrabindu), ZWJ and ZWNJ attach to the
+     * preceding cluster, and a letter following a virama joins it to form a conjunct. The rules
+     * are fixed here rather than taken from Intl.Segmenter so every browser splits text the same way.
+     * @param {string} word - A single word
+     * @returns {Array} - Grapheme clusters
+     */
+    static graphemes(word) {
+        const clusters = [];
+        let previous = null;
+        
+        for (const char of word) {
+            const joins = previous !== null && (
+                /^[\p{M}\u200C\u200D]$/u.test(char) ||
+                previous === '\u200D' ||
+                (BPETokenizer.VIRAMAS.includes(previous) && /^\p{L}$/u.test(char))
+            );
+            
+            if (joins) {
+                clusters[clusters.length - 1] += char;
+            } else {
+                clusters.push(char);
+            }
+            previous = char;
+        }
+        
+        return clusters;
+    }
+
+    /**
+     * Virama (hasanta) signs of the Indic scripts, which join the following consonant
+     */
+    static get VIRAMAS() {
+        return [
+            '\u094D', // Devanagari
+            '\u09CD', // Bengali
+            '\u0A4D', // Gurmukhi
+            '\u0ACD', // Gujarati
+            '\u0B4D', // Oriya
+            '\u0BCD', // Tamil
+            '\u0C4D', // Telugu
+            '\u0CCD', // Kannada
+            '\u0D4D', // Malayalam
+            '\u0DCA'  // Sinhala
+        ];
+    }
+
+    /**
+     * Check whether the tokenizer has learned anything beyond the reserved tokens
+     * @returns {boolean} - True once fit() has added tokens
+     */
+    isTrained() {
+        return this.vocabSize > BPETokenizer.SPECIAL_TOKENS.length + 1 + 256 + this.controlTokens.size;
+    }
+
+    /**
+     * Learn the vocabulary and merge rules from a corpus
+     * A tokenizer that is already trained is extended with update() instead of being rebuilt,
+     * so the ids the model was trained on stay valid. Call reset() first to retrain from scratch.
+     * @param {Array} texts - Training texts
+     * @returns {BPETokenizer} - This tokenizer
+     */
+    async fit(texts) {
+        if (this.isTrained()) {
+            return this.update(texts);
+        }
+
+        this.reset();
+
+        const { words, freqs } = this.countWords(texts);
+
+        // Base alphabet: every initial symbol in the corpus, most frequent first
+        this.addAlphabet(words, freqs, this.maxVocabSize);
+
+        this.learnMerges(words, freqs, this.maxVocabSize);
+
+        console.log(`BPE tokenizer trained with ${this.merges.length} merges, vocabulary size: ${this.vocabSize}`);
+        return this;
+    }
+
+    /**
+     * Extend the vocabulary with symbols and merges from new texts
+     * Existing tokens and merge rules are kept, new ones are appended after them.
+     * @param {Array} texts - New texts
+     * @param {Object} options - Update options
+     * @param {number} options.maxNewTokens - Maximum number of tokens to add
+     * @returns {BPETokenizer} - This tokenizer
+     */
+    async update(texts, options = {}) {
+        const previousSize = this.vocabSize;
+        const budget = options.maxNewTokens !== undefined ? options.maxNewTokens : Infinity;
+        const limit = Math.min(this.maxVocabSize, previousSize + budget);
+
+        // Segment the new words the same way encode() does
+        const { words, freqs } = this.countWords(texts);
+        for (let i = 0; i < words.length; i++) {
+            words[i] = this.mergeSymbols(words[i]);
+        }
+
+        // Symbols the merges could not cover are new base symbols
+        this.addAlphabet(words, freqs, limit);
+
+        this.learnMerges(words, freqs, limit);
+        this.cache.clear();
+
+        console.log(`BPE tokenizer updated with ${this.vocabSize - previousSize} new tokens, vocabulary size: ${this.vocabSize}`);
+        return this;
+    }
+
+    /**
+     * Count word frequencies and split each distinct word into initial symbols
+     * @param {Array} texts - Texts to count
+     * @returns {Object} - { words: symbol arrays, freqs: frequency of each word }
+     */
+    countWords(texts) {
+        const wordFreq = new Map();
+        for (const text of texts) {
+            for (const word of this.splitWords(text)) {
+                if (this.controlTokens.has(word)) continue;
+                wordFreq.set(word, (wordFreq.get(word) || 0) + 1);
+            }
+        }
+
+        return {
+            words: [...wordFreq.keys()].map(word => this.wordToSymbols(word)),
+            freqs: [...wordFreq.values()]
+        };
+    }
+
+    /**
+     * Add symbols that are not yet in the vocabulary, most frequent first
+     * @param {Array} words - Words as symbol arrays
+     * @param {Array} freqs - Frequency of each word
+     * @param {number} limit - Vocabulary size not to exceed
+     */
+    addAlphabet(words, freqs, limit) {
+        const symbolFreq = new Map();
+        words.forEach((symbols, i) => {
+            for (const symbol of symbols) {
+                if (!this.word2idx.has(symbol) && !BPETokenizer.isByteSymbol(symbol)) {
+                    symbolFreq.set(symbol, (symbolFreq.get(symbol) || 0) + freqs[i]);
+                }
+            }
+        });
+
+        const alphabet = [...symbolFreq.entries()]
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .map(([symbol]) => symbol);
+        for (const symbol of alphabet) {
+            if (this.word2idx.size >= limit) break;
+            this.addToken(symbol);
+        }
+    }
+
+    /**
+     * Learn merge rules until the vocabulary is full or no pair is frequent enough
+     * @param {Array} words - Words as symbol arrays (modified in place)
+     * @param {Array} freqs - Frequency of each word
+     * @param {number} limit - Vocabulary size not to exceed
+     */
+    learnMerges(words, freqs, limit) {
+        // Pair counts and an index of which words contain each pair
+        const pairCounts = new Map();
+        const pairWords = new Map();
+
+        const countWord = (i, sign) => {
+            const symbols = words[i];
+            for (let j = 0; j < symbols.length - 1; j++) {
+                if (BPETokenizer.isByteSymbol(symbols[j]) || BPETokenizer.isByteSymbol(symbols[j + 1])) continue;
+                const pair = `${symbols[j]} ${symbols[j + 1]}`;
+                pairCounts.set(pair, (pairCounts.get(pair) || 0) + sign * freqs[i]);
+                if (sign > 0) {
+                    if (!pairWords.has(pair)) {
+                        pairWords.set(pair, new Set());
+                    }
+                    pairWords.get(pair).add(i);
+                }
+            }
+        };
+
+        words.forEach((_, i) => countWord(i, 1));
+
+        while (this.word2idx.size < limit) {
+            // Most frequent pair, ties broken alphabetically so training is deterministic
+            let bestPair = null;
+            let bestCount = 0;
+            for (const [pair, count] of pairCounts) {
+                if (count > bestCount || (count === bestCount && bestPair !== null && pair < bestPair)) {
+                    bestPair = pair;
+                    bestCount = count;
+                }
+            }
+
+            if (bestPair === null || bestCount < this.minFrequency) {
+                break;
+            }
+
+            const [left, right] = bestPair.split(' ');
+            const merged = left + right;
+            this.merges.push([left, right]);
+            this.mergeRanks.set(bestPair, this.merges.length - 1);
+            this.addToken(merged);
+
+            // Re-count only the words that contain the merged pair
+            for (const i of pairWords.get(bestPair)) {
+                countWord(i, -1);
+                words[i] = this.applyMerge(words[i], left, right);
+                countWord(i, 1);
+            }
+
+            pairCounts.delete(bestPair);
+            pairWords.delete(bestPair);
+        }
+    }
+
+    /**
+     * Replace every occurrence of a symbol pair with the merged symbol
+     * @param {Array} symbols - Symbols of one word
+     * @param {string} left - Left symbol
+     * @param {string} right - Right symbol
+     * @returns {Array} - Merged symbols
+     */
+    applyMerge(symbols, left, right) {
+        const result = [];
+        for (let i = 0; i < symbols.length; i++) {
+            if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+                result.push(left + right);
+                i++;
+            } else {
+                result.push(symbols[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Apply the learned merges to a word's symbols in the order they were learned
+     * @param {Array} symbols - Initial symbols of one word
+     * @returns {Array} - Merged symbols
+     */
+    mergeSymbols(symbols) {
+        while (symbols.length > 1) {
+            let bestRank = Infinity;
+            for (let i = 0; i < symbols.length - 1; i++) {
+                const rank = this.mergeRanks.get(`${symbols[i]} ${symbols[i + 1]}`);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                }
+            }
+
+            if (bestRank === Infinity) break;
+
+            const [left, right] = this.merges[bestRank];
+            symbols = this.applyMerge(symbols, left, right);
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Encode a single word into token ids using the learned merges
+     * @param {string} word - A single word
+     * @returns {Array} - Token ids
+     */
+    encodeWord(word) {
+        if (this.cache.has(word)) {
+            return this.cache.get(word);
+        }
+
+        const symbols = this.mergeSymbols(this.wordToSymbols(word));
+
+        const ids = [];
+        for (const symbol of symbols) {
+            if (this.word2idx.has(symbol)) {
+                ids.push(this.word2idx.get(symbol));
+                continue;
+            }
+
+            // Unseen symbol: spell it out as UTF-8 bytes, keeping the end-of-word marker
+            const isWordEnd = symbol.endsWith(BPETokenizer.END_OF_WORD);
+            const text = isWordEnd ? symbol.slice(0, -BPETokenizer.END_OF_WORD.length) : symbol;
+            const bytes = BPETokenizer.isByteToken(text) ? [text] : BPETokenizer.toByteTokens(text);
+            for (const token of bytes) {
+                ids.push(this.word2idx.get(token));
+            }
+            if (isWordEnd) {
+                ids.push(this.word2idx.get(BPETokenizer.END_OF_WORD));
+            }
+        }
+
+        this.cache.set(word, ids);
+        return ids;
+    }
+
+    /**
+     * Encode text into a sequence of token ids wrapped in <START>/<END>
+     * The end-of-word marker stands for a single space before the next word; any other
+     * whitespace is spelled out as byte tokens so decode() restores the text exactly.
+     * @param {string} text - Input text
+     * @param {number} maxLength - Pad or truncate to this length (optional)
+     * @returns {Array} - Token ids
+     */
+    encode(text, maxLength) {
+        const result = [this.word2idx.get('<START>')];
+        const limit = maxLength ? maxLength - 1 : Infinity;
+
+        const parts = this.splitText(text);
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            let ids;
+            if (i % 2 === 0) {
+                if (!part) continue;
+                ids = this.controlTokens.has(part) ? [this.word2idx.get(part)] : this.encodeWord(part);
+            } else {
+                if (part === ' ' && parts[i - 1] && parts[i + 1]) continue;
+                ids = BPETokenizer.toByteTokens(part).map(token => this.word2idx.get(token));
+            }
+            for (const id of ids) {
+                if (result.length >= limit) break;
+                result.push(id);
+            }
+            if (result.length >= limit) break;
+        }
+
+        result.push(this.word2idx.get('<END>'));
+
+        // Pad sequence
+        while (maxLength && result.length < maxLength) {
+            result.push(this.word2idx.get('<PAD>'));
+        }
+
+        return result;
+    }
+
+    /**
+     * Decode token ids back into text
+     * @param {Array} sequence - Token ids
+     * @returns {string} - Decoded text
+     */
+    decode(sequence) {
+        let text = '';
+        let bytes = [];
+        let wordEnded = false;
+
+        // A word end becomes a space only if another word follows rather than spelled-out whitespace
+        const append = (piece) => {
+            if (!piece) return;
+            if (wordEnded && !/^\s/.test(piece)) {
+                text += ' ';
+            }
+            wordEnded = false;
+            text += piece;
+        };
+
+        const flushBytes = () => {
+            if (bytes.length > 0) {
+                append(new TextDecoder().decode(new Uint8Array(bytes)));
+                bytes = [];
+            }
+        };
+
+        for (const idx of sequence) {
+            const token = this.idx2word.get(Number(idx));
+            if (token === '<PAD>' || token === '<START>') continue;
+            if (token === '<END>') break;
+
+            if (BPETokenizer.isByteToken(token)) {
+                bytes.push(parseInt(token.slice(3, 5), 16));
+                continue;
+            }
+
+            flushBytes();
+            if (token === undefined || token === '<UNK>') {
+                append('?');  // Replace UNK with a question mark
+            } else if (this.controlTokens.has(token)) {
+                append(token);
+                wordEnded = true;
+            } else if (token.endsWith(BPETokenizer.END_OF_WORD)) {
+                append(token.slice(0, -BPETokenizer.END_OF_WORD.length));
+                wordEnded = true;
+            } else {
+                append(token);
+            }
+        }
+        flushBytes();
+
+        // Byte fallback pieces may decompose characters, so normalize again
+        return text.normalize('NFC');
+    }
+
+    /**
+     * Serialize the tokenizer for storage
+     * @returns {Object} - Serializable tokenizer data
+     */
+    toJSON() {
+        return {
+            type: 'bpe',
+            version: 1,
+            maxVocabSize: this.maxVocabSize,
+            minFrequency: this.minFrequency,
+            vocab: Array.from(this.idx2word.entries()),
+            merges: this.merges,
+            controlTokens: Array.from(this.controlTokens),
+            vocabSize: this.vocabSize
+        };
+    }
+
+    /**
+     * Restore a tokenizer from serialized data
+     * @param {Object} data - Data produced by toJSON()
+     * @returns {BPETokenizer} - The restored tokenizer
+     */
+    static fromJSON(data) {
+        if (!data || data.type !== 'bpe') {
+            throw new Error("Tokenizer data is not in BPE format");
+        }
+
+        const tokenizer = new BPETokenizer({
+            maxVocabSize: data.maxVocabSize,
+            minFrequency: data.minFrequency
+        });
+
+        tokenizer.word2idx.clear();
+        tokenizer.idx2word.clear();
+        for (const [idx, token] of data.vocab) {
+            tokenizer.word2idx.set(token, idx);
+            tokenizer.idx2word.set(idx, token);
+        }
+
+        tokenizer.merges = data.merges.map(([left, right]) => [left, right]);
+        tokenizer.merges.forEach(([left, right], rank) => {
+            tokenizer.mergeRanks.set(`${left} ${right}`, rank);
+        });
+        tokenizer.controlTokens = new Set(data.controlTokens || []);
+        tokenizer.vocabSize = tokenizer.word2idx.size;
+
+        return tokenizer;
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BPETokenizer };
+} else {
+    // For browser use
+    window.BPETokenizer = BPETokenizer;
+}
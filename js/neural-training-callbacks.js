@@ -0,0 +1,201 @@
+/**
+ * MR Bot Neural Language Teacher - Training Callbacks
+ *
+ * This module holds the pieces trainModel() uses to control a training run:
+ * - LearningRateSchedule: linear warmup followed by a constant, cosine or inverse square root decay
+ * - EarlyStopping: stops when the validation loss stops improving and restores the best weights
+ * - GradientClipping: scales gradients down to a maximum global norm before the optimizer applies them
+ *
+ * Checkpoints are written by the language model itself through the data manager, so an
+ * interrupted run can resume from its last completed epoch.
+ */
+
+class LearningRateSchedule {
+    /**
+     * @param {Object} options - Schedule options
+     * @param {string} options.type - 'constant', 'cosine' or 'inverse-sqrt'
+     * @param {number} options.learningRate - Peak learning rate, reached at the end of the warmup
+     * @param {number} options.totalSteps - Batches in the whole run
+     * @param {number} options.warmupSteps - Batches of linear warmup (defaults to warmupRatio of the run)
+     * @param {number} options.warmupRatio - Fraction of the run used for warmup when warmupSteps is not set
+     * @param {number} options.minLearningRate - Learning rate at the end of a cosine schedule
+     */
+    constructor(options = {}) {
+        this.type = options.type || 'constant';
+        this.learningRate = options.learningRate;
+        this.totalSteps = Math.max(1, options.totalSteps || 1);
+        this.warmupSteps = options.warmupSteps !== undefined
+            ? options.warmupSteps
+            : Math.round((options.warmupRatio || 0) * this.totalSteps);
+        this.minLearningRate = options.minLearningRate || 0;
+
+        if (!LearningRateSchedule.TYPES.includes(this.type)) {
+            console.error(`Unknown learning rate schedule: ${this.type}, using a constant learning rate`);
+            this.type = 'constant';
+        }
+    }
+
+    static get TYPES() {
+        return ['constant', 'cosine', 'inverse-sqrt'];
+    }
+
+    /**
+     * Get the learning rate for a batch
+     * @param {number} step - Batch index from the start of the run
+     * @returns {number} - The learning rate
+     */
+    getLearningRate(step) {
+        if (step < this.warmupSteps) {
+            return this.learningRate * (step + 1) / this.warmupSteps;
+        }
+
+        if (this.type === 'cosine') {
+            const progress = Math.min(1, (step - this.warmupSteps) / Math.max(1, this.totalSteps - this.warmupSteps));
+            return this.minLearningRate + 0.5 * (this.learningRate - this.minLearningRate) * (1 + Math.cos(Math.PI * progress));
+        }
+
+        if (this.type === 'inverse-sqrt') {
+            // Continues smoothly from the end of the warmup
+            return this.learningRate * Math.sqrt(Math.max(1, this.warmupSteps) / Math.max(1, step + 1));
+        }
+
+        return this.learningRate;
+    }
+}
+
+class EarlyStopping {
+    /**
+     * @param {Object} options - Early stopping options
+     * @param {number} options.patience - Epochs without improvement before training stops
+     * @param {number} options.minDelta - Smallest decrease of the validation loss that counts as improvement
+     * @param {boolean} options.restoreBestWeights - Restore the weights of the best epoch when training ends
+     * @param {number} options.bestLoss - Best validation loss so far, when resuming a run
+     */
+    constructor(options = {}) {
+        this.patience = options.patience !== undefined ? options.patience : 2;
+        this.minDelta = options.minDelta || 0;
+        this.restoreBestWeights = options.restoreBestWeights !== false;
+
+        this.bestLoss = options.bestLoss !== undefined && options.bestLoss !== null ? options.bestLoss : Infinity;
+        this.bestEpoch = null;
+        this.bestWeights = null;
+        this.wait = 0;
+        this.stopped = false;
+    }
+
+    /**
+     * Record the result of an epoch
+     * Epochs without a validation loss (too few pairs for a validation split) are ignored.
+     * @param {tf.LayersModel} model - The model being trained
+     * @param {number} epoch - Epoch index
+     * @param {Object} logs - Epoch logs with val_loss
+     * @returns {boolean} - True if training should stop
+     */
+    update(model, epoch, logs) {
+        const loss = logs.val_loss;
+        if (typeof loss !== 'number' || !isFinite(loss)) {
+            return false;
+        }
+
+        if (loss < this.bestLoss - this.minDelta) {
+            this.bestLoss = loss;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+
+            if (this.restoreBestWeights) {
+                this.disposeWeights();
+                this.bestWeights = model.getWeights().map(weight => weight.clone());
+            }
+            return false;
+        }
+
+        this.wait++;
+        if (this.wait >= this.patience) {
+            console.log(`Early stopping after epoch ${epoch + 1}: validation loss has not improved on ${this.bestLoss.toFixed(4)} for ${this.wait} epochs`);
+            this.stopped = true;
+        }
+        return this.stopped;
+    }
+
+    /**
+     * Restore the best weights, if they were kept and a later epoch was worse
+     * @param {tf.LayersModel} model - The trained model
+     */
+    restore(model) {
+        if (this.bestWeights) {
+            console.log(`Restoring the weights of epoch ${this.bestEpoch + 1}`);
+            model.setWeights(this.bestWeights);
+        }
+        this.disposeWeights();
+    }
+
+    /**
+     * Release the copy of the best weights
+     */
+    disposeWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(weight => weight.dispose());
+            this.bestWeights = null;
+        }
+    }
+}
+
+class GradientClipping {
+    /**
+     * Make an optimizer clip gradients to a maximum global norm
+     * The norm is read from optimizer.clipNorm on every step, so it can be changed per run.
+     * @param {tf.Optimizer} optimizer - The optimizer
+     * @param {number} clipNorm - Maximum global gradient norm (0 or null disables clipping)
+     * @returns {tf.Optimizer} - The same optimizer
+     */
+    static wrap(optimizer, clipNorm) {
+        const applyGradients = optimizer.applyGradients.bind(optimizer);
+        optimizer.clipNorm = clipNorm;
+
+        optimizer.applyGradients = (variableGradients) => {
+            if (!optimizer.clipNorm) {
+                return applyGradients(variableGradients);
+            }
+
+            tf.tidy(() => {
+                const named = Array.isArray(variableGradients)
+                    ? variableGradients
+                    : Object.keys(variableGradients).map(name => ({ name, tensor: variableGradients[name] }));
+                const present = named.filter(gradient => gradient.tensor != null);
+                const scale = GradientClipping.getScale(present.map(gradient => gradient.tensor), optimizer.clipNorm);
+
+                const clipped = named.map(({ name, tensor }) => ({
+                    name,
+                    tensor: tensor == null ? tensor : tf.mul(tensor, scale)
+                }));
+                applyGradients(Array.isArray(variableGradients)
+                    ? clipped
+                    : Object.fromEntries(clipped.map(({ name, tensor }) => [name, tensor])));
+            });
+        };
+
+        return optimizer;
+    }
+
+    /**
+     * Get the factor that scales gradients down to the maximum global norm
+     * @param {Array} gradients - Gradient tensors
+     * @param {number} clipNorm - Maximum global norm
+     * @returns {tf.Scalar} - min(1, clipNorm / globalNorm)
+     */
+    static getScale(gradients, clipNorm) {
+        const squares = gradients.map(gradient => tf.sum(tf.square(gradient)));
+        const globalNorm = tf.sqrt(squares.length > 0 ? tf.addN(squares) : tf.scalar(0));
+        return tf.minimum(1, tf.div(clipNorm, tf.maximum(globalNorm, 1e-12)));
+    }
+}
+
+// Export the classes for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LearningRateSchedule, EarlyStopping, GradientClipping };
+} else {
+    // For browser use
+    window.LearningRateSchedule = LearningRateSchedule;
+    window.EarlyStopping = EarlyStopping;
+    window.GradientClipping = GradientClipping;
+}
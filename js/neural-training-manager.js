@@ -0,0 +1,364 @@
+/**
+ * MR Bot Neural Language Teacher - Training Manager
+ *
+ * This module schedules model training for the main thread:
+ * - Runs training in a Web Worker (neural-training-worker.js) so the UI stays responsive
+ * - Falls back to training on the main thread where workers are not available
+ * - Queues training requests so runs never overlap
+ * - Reports progress and supports pause, resume and cancel
+ * - Saves the checkpoints a worker run sends, so the run can be resumed after a reload
+ *
+ * Events (subscribe with on()): start, progress, pause, resume, complete, cancel, error
+ */
+
+class TrainingManager {
+    /**
+     * @param {Object} languageModel - The NeuralLanguageModel to train
+     * @param {Object} options - Manager options
+     * @param {string} options.workerUrl - URL of the training worker script
+     * @param {boolean} options.useWorker - Set to false to always train on the main thread
+     */
+    constructor(languageModel, options = {}) {
+        this.languageModel = languageModel;
+        this.workerUrl = options.workerUrl || 'js/neural-training-worker.js';
+        this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+        this.worker = null;
+
+        // Resolves the current worker run with its final message
+        this.finishWorkerJob = null;
+
+        // Training runs waiting for the current one to finish
+        this.queue = [];
+        this.currentJob = null;
+        this.nextJobId = 1;
+
+        // 'idle', 'training' or 'paused'
+        this.status = 'idle';
+        this.progress = null;
+
+        // Used to pause main-thread training
+        this.resumeTraining = null;
+
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribe to a training event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event data
+     */
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+    }
+
+    /**
+     * Notify the subscribers of an event
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    emit(event, data) {
+        for (const handler of this.listeners[event] || []) {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in training ${event} handler:`, error);
+            }
+        }
+    }
+
+    /**
+     * Queue a training run
+     * @param {Array} pairs - Conversation pairs [input, output, metadata?]
+     * @param {Object} options - Training options passed to trainModel()
+     * @param {Object} options.startState - Model state to train from instead of the current model,
+     *                                      such as a checkpoint's; the current model is kept until the run completes
+     * @returns {Promise<boolean>} - Resolves to true once the trained model is in use
+     */
+    train(pairs, options = {}) {
+        return new Promise(resolve => {
+            this.queue.push({ id: this.nextJobId++, pairs, options, resolve });
+            if (!this.currentJob) {
+                this.runNext();
+            }
+        });
+    }
+
+    /**
+     * Check whether a training run is in progress
+     * @returns {boolean} - True while training or paused
+     */
+    isTraining() {
+        return this.status !== 'idle';
+    }
+
+    /**
+     * Start the next queued training run
+     */
+    async runNext() {
+        const job = this.queue.shift();
+        if (!job) {
+            this.currentJob = null;
+            this.status = 'idle';
+            return;
+        }
+
+        this.currentJob = job;
+        this.status = 'training';
+        this.progress = null;
+        this.emit('start', { id: job.id, examples: job.pairs.length, queued: this.queue.length });
+
+        let result = false;
+        try {
+            result = this.useWorker
+                ? await this.runInWorker(job)
+                : await this.runOnMainThread(job);
+        } catch (error) {
+            console.error("Error during training:", error);
+            this.emit('error', { id: job.id, message: error.message });
+        }
+
+        job.resolve(result);
+        this.runNext();
+    }
+
+    /**
+     * Train a copy of the model in the worker and swap in the result
+     * @param {Object} job - The training job
+     * @returns {boolean} - True if the trained model was applied
+     */
+    async runInWorker(job) {
+        const worker = this.getWorker();
+        const { startState, ...options } = job.options;
+        const state = startState || await this.languageModel.getModelState();
+
+        const message = await new Promise(resolve => {
+            this.finishWorkerJob = resolve;
+            worker.postMessage({
+                type: 'start',
+                id: job.id,
+                state: state,
+                pairs: job.pairs,
+                options: options,
+                training: this.languageModel.training,
+                backend: tf.getBackend()
+            }, [state.artifacts.weightData]);
+        });
+        this.finishWorkerJob = null;
+
+        if (message.type === 'complete') {
+            await this.languageModel.setModelState(message.state);
+            await this.languageModel.saveModel();
+            await this.languageModel.clearCheckpoint();
+            if (job.options.snapshot !== false) {
+                await this.languageModel.createSnapshot(null, { automatic: job.options.automatic });
+            }
+            this.emit('complete', { id: job.id, trainingMetrics: this.languageModel.trainingMetrics });
+            return true;
+        }
+
+        if (message.type === 'cancelled') {
+            await this.languageModel.clearCheckpoint();
+            this.emit('cancel', { id: job.id });
+        } else {
+            this.emit('error', { id: job.id, message: message.message });
+        }
+        return false;
+    }
+
+    /**
+     * Train on the main thread, keeping the same progress, pause and cancel behavior
+     * @param {Object} job - The training job
+     * @returns {boolean} - True if training completed
+     */
+    async runOnMainThread(job) {
+        // Cancelling restores this snapshot, as the worker would discard its copy
+        const snapshot = await this.languageModel.getModelState();
+        const { startState, ...options } = job.options;
+
+        let completed = false;
+        try {
+            if (startState) {
+                await this.languageModel.setModelState(startState);
+            }
+            completed = await this.languageModel.trainModel(job.pairs, {
+                ...options,
+                onProgress: async (progress) => {
+                    this.handleProgress(job.id, progress);
+                    await this.waitWhilePaused();
+                }
+            });
+        } catch (error) {
+            console.error("Error during training:", error);
+        }
+
+        if (completed) {
+            this.emit('complete', { id: job.id, trainingMetrics: this.languageModel.trainingMetrics });
+            return true;
+        }
+
+        // Cancelled runs, and failed runs from another start state, leave a model that is not the one in use
+        if (this.languageModel.stopRequested || startState) {
+            await this.languageModel.setModelState(snapshot);
+        }
+
+        if (this.languageModel.stopRequested) {
+            this.emit('cancel', { id: job.id });
+        } else {
+            this.emit('error', { id: job.id, message: "Training failed" });
+        }
+        return false;
+    }
+
+    /**
+     * Get the training worker, starting it on first use
+     * @returns {Worker} - The worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error("Training worker error:", event.message);
+                this.worker.terminate();
+                this.worker = null;
+                if (this.finishWorkerJob) {
+                    this.finishWorkerJob({ type: 'error', message: event.message });
+                }
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the training worker
+     * @param {Object} message - The message
+     */
+    handleWorkerMessage(message) {
+        if (!this.currentJob || message.id !== this.currentJob.id) return;
+
+        switch (message.type) {
+            case 'progress':
+                this.handleProgress(message.id, message.progress);
+                break;
+            case 'checkpoint':
+                this.languageModel.saveCheckpoint(message.checkpoint)
+                    .catch(error => console.error("Error saving training checkpoint:", error));
+                break;
+            case 'complete':
+            case 'cancelled':
+            case 'error':
+                if (this.finishWorkerJob) {
+                    this.finishWorkerJob(message);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Record and publish a progress update
+     * @param {number} id - Job id
+     * @param {Object} progress - Progress reported by trainModel()
+     */
+    handleProgress(id, progress) {
+        this.progress = progress;
+        this.emit('progress', { id, ...progress });
+    }
+
+    /**
+     * Pause the current training run after the current batch
+     */
+    pause() {
+        if (this.status !== 'training') return;
+
+        this.status = 'paused';
+        if (this.useWorker) {
+            this.worker.postMessage({ type: 'pause' });
+        }
+        this.emit('pause', { id: this.currentJob.id });
+    }
+
+    /**
+     * Resume a paused training run
+     */
+    resume() {
+        if (this.status !== 'paused') return;
+
+        this.status = 'training';
+        if (this.useWorker) {
+            this.worker.postMessage({ type: 'resume' });
+        } else {
+            this.releasePause();
+        }
+        this.emit('resume', { id: this.currentJob.id });
+    }
+
+    /**
+     * Cancel the current training run and drop the queued ones
+     * The model keeps the weights it had before the run started.
+     */
+    cancel() {
+        for (const job of this.queue.splice(0)) {
+            job.resolve(false);
+        }
+
+        if (!this.currentJob) return;
+
+        this.status = 'training';
+        if (this.useWorker) {
+            this.worker.postMessage({ type: 'cancel' });
+        } else {
+            this.languageModel.stopTraining();
+            this.releasePause();
+        }
+    }
+
+    /**
+     * Resolve once main-thread training is not paused
+     * @returns {Promise} - Resolves when training may continue
+     */
+    waitWhilePaused() {
+        if (this.status !== 'paused') {
+            // Yield so the UI can handle input between batches
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return new Promise(resolve => {
+            this.resumeTraining = resolve;
+        });
+    }
+
+    /**
+     * Let paused main-thread training continue
+     */
+    releasePause() {
+        if (this.resumeTraining) {
+            this.resumeTraining();
+            this.resumeTraining = null;
+        }
+    }
+
+    /**
+     * Stop the worker and drop all queued training
+     */
+    dispose() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.finishWorkerJob) {
+            this.finishWorkerJob({ type: 'cancelled' });
+        }
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrainingManager };
+} else {
+    // For browser use
+    window.TrainingManager = TrainingManager;
+}
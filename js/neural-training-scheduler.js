@@ -0,0 +1,229 @@
+/**
+ * MR Bot Neural Language Teacher - Training Scheduler
+ *
+ * This module trains the model in the background on data collected while chatting:
+ * - Starts a run when enough new conversation pairs or corrections have been stored
+ * - Starts a run when the app has been idle and there is anything new to learn
+ * - Never starts runs closer together than a configurable interval
+ * - Trains only on examples not trained on before, plus a replay sample of older ones
+ *   (see ReplayBuffer) so the model does not forget what it already knew
+ * - Skips fallback replies, but marks them trained so they do not keep counting as new
+ * - Resumes a run that was interrupted (for example by closing the app) from its last checkpoint
+ */
+
+// Loaded as a script before this one in the browser (see neural-modules.js)
+if (typeof module !== 'undefined' && module.exports) {
+    var { resolveExport } = require('./neural-modules.js');
+}
+
+class TrainingScheduler {
+    /**
+     * @param {Object} languageModel - The NeuralLanguageModel to train
+     * @param {Object} dataManager - The data manager holding the collected examples
+     * @param {Object} options - Scheduler options
+     * @param {number} options.minNewPairs - New conversation pairs that trigger a run
+     * @param {number} options.minNewFeedback - New corrections that trigger a run
+     * @param {number} options.idleTimeout - Idle time (ms) after which any new data triggers a run
+     * @param {number} options.minInterval - Minimum time (ms) between the start of two runs
+     * @param {number} options.checkInterval - How often (ms) the thresholds are checked
+     * @param {number} options.replaySize - Past pairs from the model's replay buffer mixed into each run
+     */
+    constructor(languageModel, dataManager, options = {}) {
+        this.languageModel = languageModel;
+        this.dataManager = dataManager;
+
+        this.options = {
+            minNewPairs: 20,
+            minNewFeedback: 1,
+            idleTimeout: 2 * 60 * 1000,
+            minInterval: 5 * 60 * 1000,
+            checkInterval: 30 * 1000,
+            replaySize: 20,
+            ...options
+        };
+
+        this.timer = null;
+        this.running = false;
+        this.lastRunTime = 0;
+        this.lastActivityTime = Date.now();
+    }
+
+    /**
+     * Start checking the thresholds periodically
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.check().catch(error => console.error("Error in training scheduler:", error));
+        }, this.options.checkInterval);
+    }
+
+    /**
+     * Stop the periodic checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Record user activity; idle-triggered runs wait until the user has been away for a while
+     */
+    notifyActivity() {
+        this.lastActivityTime = Date.now();
+    }
+
+    /**
+     * Count the examples that have not been trained on yet
+     * @returns {Object} - { pairs, feedback } counts, the newPairs list and the skippedPairs
+     *                     that are new but not worth training on (see ReplayBuffer.isTrainable())
+     */
+    async getBacklog() {
+        const ReplayBufferClass = resolveExport('ReplayBuffer', './neural-replay-buffer.js');
+        const allPairs = await this.dataManager.getConversationPairs();
+        const untrained = allPairs.filter(pair => TrainingScheduler.isNew(pair));
+        const newPairs = untrained.filter(pair => ReplayBufferClass.isTrainable(pair));
+
+        return {
+            pairs: newPairs.filter(pair => !pair[2].isFeedback).length,
+            feedback: newPairs.filter(pair => pair[2].isFeedback).length,
+            newPairs: newPairs,
+            skippedPairs: untrained.filter(pair => !ReplayBufferClass.isTrainable(pair))
+        };
+    }
+
+    /**
+     * Check whether a pair comes from a stored record that has not been trained on
+     * @param {Array} pair - Conversation pair with metadata
+     * @returns {boolean} - True for untrained conversations and feedback
+     */
+    static isNew(pair) {
+        const metadata = pair[2];
+        return !!metadata && !!metadata.id && !metadata.trained;
+    }
+
+    /**
+     * Decide why a run should start now
+     * @param {Object} backlog - Result of getBacklog()
+     * @param {number} now - Current time (ms)
+     * @returns {string|null} - 'feedback', 'pairs', 'idle', or null if no run is due
+     */
+    getTrigger(backlog, now = Date.now()) {
+        if (backlog.newPairs.length === 0) {
+            return null;
+        }
+
+        if (now - this.lastRunTime < this.options.minInterval) {
+            return null;
+        }
+
+        if (backlog.feedback >= this.options.minNewFeedback) {
+            return 'feedback';
+        }
+
+        if (backlog.pairs >= this.options.minNewPairs) {
+            return 'pairs';
+        }
+
+        if (now - this.lastActivityTime >= this.options.idleTimeout) {
+            return 'idle';
+        }
+
+        return null;
+    }
+
+    /**
+     * Start a run if one is due
+     * @returns {boolean} - True if a run was started and completed
+     */
+    async check() {
+        if (this.running) {
+            return false;
+        }
+
+        const trainingManager = this.languageModel.trainingManager;
+        if (trainingManager && trainingManager.isTraining()) {
+            return false;
+        }
+
+        if (await this.dataManager.getCheckpoint()) {
+            return this.resume();
+        }
+
+        const backlog = await this.getBacklog();
+        const trigger = this.getTrigger(backlog);
+        if (!trigger) {
+            return false;
+        }
+
+        return this.run(backlog, trigger);
+    }
+
+    /**
+     * Finish an interrupted run and mark its pairs as trained
+     * @returns {boolean} - True if the resumed run completed
+     */
+    async resume() {
+        this.running = true;
+        this.lastRunTime = Date.now();
+
+        try {
+            const result = await this.languageModel.resumeTraining({ automatic: true });
+            if (result && result.completed) {
+                await this.dataManager.markTrained(result.pairs.map(pair => (pair[2] || {}).id).filter(Boolean));
+            }
+
+            return Boolean(result && result.completed);
+        } catch (error) {
+            console.error("Error resuming training:", error);
+            return false;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Train on the new examples plus a replay sample and mark them as trained
+     * @param {Object} backlog - Result of getBacklog()
+     * @param {string} trigger - Why the run started
+     * @returns {boolean} - True if training completed
+     */
+    async run(backlog, trigger) {
+        this.running = true;
+        this.lastRunTime = Date.now();
+
+        try {
+            const replayBuffer = this.languageModel.replayBuffer;
+            const replay = replayBuffer
+                ? await replayBuffer.sample(this.options.replaySize, { exclude: backlog.newPairs })
+                : [];
+            const pairs = [...backlog.newPairs, ...replay];
+
+            console.log(`Auto-training (${trigger}) on ${backlog.newPairs.length} new and ${replay.length} replayed pairs...`);
+
+            const completed = await this.languageModel.train(pairs, { automatic: true });
+            if (completed) {
+                const handled = [...backlog.newPairs, ...backlog.skippedPairs];
+                await this.dataManager.markTrained(handled.map(pair => pair[2].id));
+            }
+
+            return completed;
+        } catch (error) {
+            console.error("Error during auto-training:", error);
+            return false;
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrainingScheduler };
+} else {
+    // For browser use
+    window.TrainingScheduler = TrainingScheduler;
+}
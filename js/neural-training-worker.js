@@ -0,0 +1,206 @@
+/**
+ * MR Bot Neural Language Teacher - Training Worker
+ *
+ * This script runs model training in a dedicated Web Worker so the chat UI stays responsive:
+ * - Receives the model state to train from, the training pairs and the model's training
+ *   configuration from TrainingManager
+ * - Trains a private copy of the model and reports progress after every batch and epoch
+ * - Sends checkpoints to the main thread, which saves them so an interrupted run can resume
+ * - Pauses, resumes and cancels on request
+ * - Sends the trained model state back; the main thread swaps it in and saves it
+ *
+ * Messages to the worker:   { type: 'start', id, state, pairs, options, training, backend }
+ *                           { type: 'pause' } | { type: 'resume' } | { type: 'cancel' }
+ * Messages from the worker: { type: 'progress', id, progress }
+ *                           { type: 'checkpoint', id, checkpoint }
+ *                           { type: 'complete', id, state } | { type: 'cancelled', id }
+ *                           { type: 'error', id, message }
+ */
+
+class TrainingWorker {
+    /**
+     * @param {Object} scope - The worker global scope (self)
+     */
+    constructor(scope) {
+        this.scope = scope;
+        this.model = null;
+        this.jobId = null;
+        this.paused = false;
+        this.resumeTraining = null;
+
+        this.scope.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * Dispatch a message from the main thread
+     * @param {Object} message - The message
+     */
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+                await this.start(message);
+                break;
+            case 'pause':
+                this.pause();
+                break;
+            case 'resume':
+                this.resume();
+                break;
+            case 'cancel':
+                this.cancel();
+                break;
+            default:
+                console.error(`Unknown training worker message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Train on the given pairs and post the trained model state back
+     * @param {Object} message - Start message with id, state, pairs, options, training and backend
+     */
+    async start(message) {
+        this.jobId = message.id;
+        this.paused = false;
+
+        try {
+            if (message.backend && tf.getBackend() !== message.backend) {
+                await tf.setBackend(message.backend);
+            }
+
+            await this.loadModel(message.state, message.training);
+
+            const completed = await this.model.trainModel(message.pairs, {
+                ...message.options,
+                onProgress: async (progress) => {
+                    this.post({ type: 'progress', id: this.jobId, progress });
+                    await this.waitWhilePaused();
+                },
+                onCheckpoint: (checkpoint) => {
+                    this.post({ type: 'checkpoint', id: this.jobId, checkpoint });
+                },
+                // The main thread keeps the snapshots
+                snapshot: false
+            });
+
+            if (this.model.stopRequested) {
+                this.post({ type: 'cancelled', id: this.jobId });
+            } else if (!completed) {
+                this.post({ type: 'error', id: this.jobId, message: "Training failed" });
+            } else {
+                const state = await this.model.getModelState();
+                this.post({ type: 'complete', id: this.jobId, state }, [state.artifacts.weightData]);
+            }
+        } catch (error) {
+            console.error("Error in training worker:", error);
+            this.post({ type: 'error', id: this.jobId, message: error.message });
+        } finally {
+            this.jobId = null;
+        }
+    }
+
+    /**
+     * Rebuild the main thread's model inside the worker
+     * Saves go to memory storage; the main thread persists the result.
+     * @param {Object} state - Model state from NeuralLanguageModel.getModelState()
+     * @param {Object} training - The main thread model's training configuration (schedule, clipping,
+     *                            early stopping and checkpoints); runs default to it as they would there
+     */
+    async loadModel(state, training) {
+        if (!this.model) {
+            const dataManager = new NeuralDataManager({ storageType: 'memory' });
+            await dataManager.initialize();
+
+            this.model = new NeuralLanguageModel();
+            this.model.dataManager = dataManager;
+        }
+
+        await this.model.setModelState(state);
+        if (training) {
+            this.model.training = { ...this.model.training, ...training };
+        }
+        this.model.initialized = true;
+    }
+
+    /**
+     * Pause training after the current batch
+     */
+    pause() {
+        if (this.jobId === null || this.paused) return;
+
+        this.paused = true;
+    }
+
+    /**
+     * Resume paused training
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (this.resumeTraining) {
+            this.resumeTraining();
+            this.resumeTraining = null;
+        }
+    }
+
+    /**
+     * Cancel training; the trained weights are discarded
+     */
+    cancel() {
+        if (this.jobId === null) return;
+
+        this.model.stopTraining();
+
+        // A paused run has to continue to the next batch to see the stop request
+        this.paused = false;
+        if (this.resumeTraining) {
+            this.resumeTraining();
+            this.resumeTraining = null;
+        }
+    }
+
+    /**
+     * Resolve once training is not paused
+     * @returns {Promise} - Resolves when training may continue
+     */
+    waitWhilePaused() {
+        if (!this.paused) {
+            // Yield so pause and cancel messages are handled between batches
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return new Promise(resolve => {
+            this.resumeTraining = resolve;
+        });
+    }
+
+    /**
+     * Post a message to the main thread
+     * @param {Object} message - The message
+     * @param {Array} transfer - Transferable objects
+     */
+    post(message, transfer = []) {
+        this.scope.postMessage(message, transfer);
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrainingWorker };
+} else if (typeof importScripts === 'function') {
+    // Inside the worker: the shared scripts register their classes on window
+    self.window = self;
+    importScripts(
+        'lib/tf.min.js',
+        'neural-modules.js',
+        'neural-storage.js',
+        'neural-data-migrations.js',
+        'neural-data-manager-enhanced.js',
+        'neural-tokenizer.js',
+        'neural-model-bundle.js',
+        'neural-architectures.js',
+        'neural-training-callbacks.js',
+        'neural-language-model-transformer.js'
+    );
+    self.trainingWorker = new TrainingWorker(self);
+}
@@ -0,0 +1,334 @@
+/**
+ * MR Bot Neural Language Teacher - Vocabulary Decks
+ *
+ * This module reads and writes flashcard decks for the vocabulary store:
+ * - anki: Anki's "Notes in Plain Text" export, with its #separator, #html, #columns
+ *   and #... column headers; older exports without headers are tab-separated
+ * - csv: a simple front/back deck, with or without a header row
+ *
+ * The front of a card is the word and the back its translation. Further fields hold the
+ * part of speech and example sentences (the third field of decks without column names);
+ * an Anki tag such as "noun" also sets the part of speech.
+ */
+
+// Loaded as a script before this one in the browser (see neural-modules.js)
+if (typeof module !== 'undefined' && module.exports) {
+    var { resolveExport } = require('./neural-modules.js');
+}
+
+class VocabularyDecks {
+    /**
+     * Supported formats
+     */
+    static get FORMATS() {
+        return ['anki', 'csv'];
+    }
+
+    /**
+     * Entry fields and the column names they are read from (lowercase, without spaces)
+     */
+    static get FIELD_NAMES() {
+        return {
+            word: ['front', 'word', 'term', 'expression', 'vocab'],
+            translation: ['back', 'translation', 'meaning', 'definition'],
+            partOfSpeech: ['partofspeech', 'part_of_speech', 'pos'],
+            examples: ['examples', 'example', 'sentence', 'sentences'],
+            language: ['language', 'lang'],
+            tags: ['tags']
+        };
+    }
+
+    /**
+     * Parts of speech recognized in tags
+     */
+    static get PARTS_OF_SPEECH() {
+        return ['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'postposition',
+            'conjunction', 'interjection', 'particle', 'numeral', 'phrase'];
+    }
+
+    /**
+     * Anki separator names
+     */
+    static get SEPARATORS() {
+        return { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' };
+    }
+
+    /**
+     * Get the format of a deck file from its name
+     * @param {string} fileName - The file name
+     * @returns {string|null} - The format, or null if the extension is unknown
+     */
+    static detectFormat(fileName) {
+        const extension = String(fileName || '').split('.').pop().toLowerCase();
+        if (extension === 'txt') {
+            return 'anki';
+        }
+        return extension === 'csv' ? 'csv' : null;
+    }
+
+    /**
+     * Read the entries of a deck
+     * @param {string|Blob|AsyncIterable|Iterable} source - The deck (see CorpusFormats.readChunks)
+     * @param {Object} options - Read options
+     * @param {string} options.format - 'anki' or 'csv'
+     * @param {Object} options.columns - Column (name or index from 0) of each entry field,
+     *                                   for example { partOfSpeech: 2, examples: 3 }
+     * @param {boolean} options.header - Whether the first CSV row names the columns (detected by default)
+     * @param {string} options.language - Language of entries that do not name one
+     * @returns {AsyncGenerator<Object>} - Entries { word, translation, language, partOfSpeech, examples, tags }
+     *                                     or { rejected: true, line, reason }
+     */
+    static async *readEntries(source, options = {}) {
+        const corpusFormats = resolveExport('CorpusFormats', './neural-corpus-formats.js');
+        let chunks = corpusFormats.readChunks(source);
+        let headers = {};
+        let headerLines = 0;
+
+        if (options.format === 'anki') {
+            ({ headers, chunks, lines: headerLines } = await VocabularyDecks.readAnkiHeaders(chunks));
+        } else if (options.format !== 'csv') {
+            throw new Error(`Unknown deck format: ${options.format}`);
+        }
+
+        const separator = options.format === 'anki'
+            ? VocabularyDecks.getSeparator(headers.separator)
+            : ',';
+        const html = options.format === 'anki' && headers.html !== 'false';
+
+        // Anki numbers its special columns from 1
+        const special = {};
+        for (const name of ['tags', 'guid', 'notetype', 'deck']) {
+            if (headers[`${name} column`]) {
+                special[parseInt(headers[`${name} column`], 10) - 1] = name;
+            }
+        }
+
+        let columns = headers.columns ? headers.columns.split(separator) : null;
+        for await (const { line, fields } of corpusFormats.parseDelimited(chunks, separator)) {
+            if (!columns && options.format === 'csv' && options.header !== false &&
+                (options.header === true || VocabularyDecks.isHeader(fields))) {
+                columns = fields;
+                continue;
+            }
+
+            const row = {};
+            fields.forEach((field, index) => {
+                const value = html ? VocabularyDecks.htmlToText(field) : field.trim();
+                row[String(index)] = value;
+                if (special[index]) {
+                    row[`#${special[index]}`] = value;
+                } else if (columns && columns[index] !== undefined) {
+                    row[VocabularyDecks.columnKey(columns[index])] = value;
+                }
+            });
+            yield VocabularyDecks.toEntry(row, line + headerLines, columns, special, options);
+        }
+    }
+
+    /**
+     * Read the "#name:value" header lines at the start of an Anki export
+     * @param {AsyncIterable<string>} chunks - Text chunks
+     * @returns {Object} - { headers, chunks, lines } where chunks continues after the header lines
+     */
+    static async readAnkiHeaders(chunks) {
+        const iterator = chunks[Symbol.asyncIterator]();
+        const headers = {};
+        let buffer = '';
+        let done = false;
+        let lines = 0;
+
+        while (true) {
+            const newline = buffer.indexOf('\n');
+            if (newline === -1 && !done) {
+                const next = await iterator.next();
+                done = next.done;
+                buffer += next.done ? '' : next.value;
+                continue;
+            }
+
+            const line = (newline === -1 ? buffer : buffer.slice(0, newline)).replace(/^\uFEFF/, '').replace(/\r$/, '');
+            if (!line.startsWith('#')) break;
+
+            const colon = line.indexOf(':');
+            if (colon !== -1) {
+                headers[line.slice(1, colon).trim().toLowerCase()] = line.slice(colon + 1);
+            }
+            buffer = newline === -1 ? '' : buffer.slice(newline + 1);
+            lines++;
+            if (newline === -1) break;
+        }
+
+        const rest = async function* () {
+            if (buffer) yield buffer;
+            while (!done) {
+                const next = await iterator.next();
+                done = next.done;
+                if (!next.done) yield next.value;
+            }
+        };
+
+        return { headers, chunks: rest(), lines };
+    }
+
+    /**
+     * Map a row to a vocabulary entry
+     * @param {Object} row - Values by column index, column key and #special column
+     * @param {number} line - Line the row starts on
+     * @param {Array|null} columns - Column names, if the deck has them
+     * @param {Object} special - Anki special columns by index
+     * @param {Object} options - Read options (see readEntries)
+     * @returns {Object} - The entry
+     */
+    static toEntry(row, line, columns, special, options = {}) {
+        // Named columns are found by name; otherwise the note fields are the front, the back and examples
+        const noteFields = Object.keys(row)
+            .filter(key => /^\d+$/.test(key) && !special[key])
+            .map(Number)
+            .sort((a, b) => a - b);
+        const positions = { word: noteFields[0], translation: noteFields[1], examples: noteFields[2] };
+
+        const read = (field) => {
+            let column = options.columns ? options.columns[field] : undefined;
+            if (column === undefined && columns) {
+                column = VocabularyDecks.FIELD_NAMES[field].find(name => row[name] !== undefined);
+            }
+            if (column === undefined) {
+                column = positions[field];
+            }
+
+            const value = column === undefined ? undefined : row[VocabularyDecks.columnKey(column)];
+            if (value !== undefined) {
+                return value;
+            }
+            return field === 'tags' && row['#tags'] ? row['#tags'] : '';
+        };
+
+        const word = read('word');
+        const translation = read('translation');
+        if (!word || !translation) {
+            return { rejected: true, line, reason: `missing ${word ? 'back (translation)' : 'front (word)'}` };
+        }
+
+        const tags = read('tags').split(/\s+/).filter(Boolean);
+        const partOfSpeech = read('partOfSpeech').toLowerCase() ||
+            tags.map(tag => tag.toLowerCase().replace(/^pos::/, '')).find(tag => VocabularyDecks.PARTS_OF_SPEECH.includes(tag)) ||
+            null;
+
+        return {
+            word,
+            translation,
+            language: read('language') || options.language || undefined,
+            partOfSpeech,
+            examples: read('examples').split('\n').map(example => example.trim()).filter(Boolean),
+            tags
+        };
+    }
+
+    /**
+     * Write entries as a deck
+     * @param {Iterable<Object>} entries - Vocabulary entries
+     * @param {Object} options - Write options
+     * @param {string} options.format - 'anki' or 'csv'
+     * @returns {Generator<string>} - The file as chunks
+     */
+    static *writeEntries(entries, options = {}) {
+        const columns = ['Front', 'Back', 'Part of Speech', 'Examples', 'Language', 'Tags'];
+        const values = (entry) => [
+            entry.word,
+            entry.translation,
+            entry.partOfSpeech || '',
+            (entry.examples || []).join('\n'),
+            entry.language || '',
+            (entry.tags || []).join(' ')
+        ];
+
+        if (options.format === 'anki') {
+            yield `#separator:tab\n#html:true\n#columns:${columns.join('\t')}\n#tags column:${columns.length}\n`;
+            for (const entry of entries) {
+                // Fields are HTML; line breaks become <br> so every note stays on one line
+                const fields = values(entry).map(value => VocabularyDecks.textToHtml(value));
+                fields[fields.length - 1] = (entry.tags || []).map(tag => tag.replace(/\s+/g, '_')).join(' ');
+                yield `${fields.join('\t')}\n`;
+            }
+        } else if (options.format === 'csv') {
+            const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+            yield `${columns.map(quote).join(',')}\r\n`;
+            for (const entry of entries) {
+                yield `${values(entry).map(quote).join(',')}\r\n`;
+            }
+        } else {
+            throw new Error(`Unknown deck format: ${options.format}`);
+        }
+    }
+
+    /**
+     * Check whether a CSV row names columns rather than holding a card
+     * @param {Array} fields - The row
+     * @returns {boolean} - True if the row has a front or word column name
+     */
+    static isHeader(fields) {
+        const keys = fields.map(field => VocabularyDecks.columnKey(field));
+        const names = VocabularyDecks.FIELD_NAMES;
+        return keys.some(key => names.word.includes(key)) && keys.some(key => names.translation.includes(key));
+    }
+
+    /**
+     * Get the key a column name or index is stored under in a row
+     * @param {string|number} column - Column name or index
+     * @returns {string} - The key
+     */
+    static columnKey(column) {
+        return Number.isInteger(column) ? String(column) : String(column).toLowerCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * Get the separator an Anki #separator header names
+     * @param {string} name - Header value, such as 'Tab' or 'Comma'
+     * @returns {string} - The separator character
+     */
+    static getSeparator(name) {
+        if (!name) {
+            return '\t';
+        }
+        const separator = VocabularyDecks.SEPARATORS[name.trim().toLowerCase()];
+        return separator || name;
+    }
+
+    /**
+     * Convert an Anki HTML field to plain text; line breaks and blocks become newlines
+     * @param {string} html - The field
+     * @returns {string} - Plain text
+     */
+    static htmlToText(html) {
+        const text = html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|li)>/gi, '\n')
+            .replace(/\[sound:[^\]]*\]/g, '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ');
+        return resolveExport('CorpusFormats', './neural-corpus-formats.js').unescapeXml(text)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Convert plain text to an Anki HTML field
+     * @param {string} text - The text
+     * @returns {string} - HTML
+     */
+    static textToHtml(text) {
+        return resolveExport('CorpusFormats', './neural-corpus-formats.js').escapeXml(text)
+            .replace(/\t/g, ' ')
+            .replace(/\r?\n/g, '<br>');
+    }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VocabularyDecks };
+} else {
+    // For browser use
+    window.VocabularyDecks = VocabularyDecks;
+}
@@ -3,7 +3,8 @@
  * Provides offline functionality by caching app resources
  */
 
-const CACHE_NAME = 'neural-mr-bot-cache-v1';
+// Bump the version whenever urlsToCache changes, so installed clients replace the old cache
+const CACHE_NAME = 'neural-mr-bot-cache-v3';
 const urlsToCache = [
   './',
   './index.html',
@@ -11,8 +12,26 @@ const urlsToCache = [
   './css/styles.css',
   './fonts/bangla-fonts.css',
   './js/lib/tf.min.js',
+  './js/neural-modules.js',
+  './js/neural-storage.js',
+  './js/neural-data-migrations.js',
+  './js/neural-data-merge.js',
+  './js/neural-corpus-formats.js',
+  './js/neural-vocabulary-decks.js',
   './js/neural-data-manager-enhanced.js',
+  './js/neural-tokenizer.js',
+  './js/neural-model-bundle.js',
+  './js/neural-replay-buffer.js',
+  './js/neural-evaluator.js',
+  './js/neural-response-memory.js',
+  './js/neural-incremental-decoder.js',
+  './js/neural-decoding-strategy.js',
+  './js/neural-architectures.js',
+  './js/neural-training-callbacks.js',
   './js/neural-language-model-transformer.js',
+  './js/neural-training-manager.js',
+  './js/neural-training-worker.js',
+  './js/neural-training-scheduler.js',
   './js/neural-conversation-engine.js',
   './js/app-integrator-enhanced.js',
   './manifest.json'